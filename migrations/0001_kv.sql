@@ -0,0 +1,9 @@
+-- Key-value table used when STORAGE = "d1" (mirrors the KV namespace layout)
+CREATE TABLE IF NOT EXISTS kv (
+  key TEXT PRIMARY KEY,
+  value BLOB NOT NULL,
+  metadata TEXT,
+  expiration INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS kv_expiration ON kv (expiration) WHERE expiration IS NOT NULL;
@@ -0,0 +1,160 @@
+/**
+ * Bitmap font for the Open Graph card renderer: printable ASCII from Lato Regular
+ * (SIL Open Font License 1.1, https://www.latofonts.com/) rasterized at 36px
+ * with 2-bit coverage per pixel.
+ *
+ * glyphs[code - 32] = [advance, xOffset, yOffset, width, height]; offsets are relative
+ * to the top of the line, and pixel data follows in glyph order, row by row.
+ */
+export const OG_FONT = {
+  size: 36,
+  ascent: 36,
+  descent: 8,
+  glyphs: [
+    [7, 0, 0, 0, 0], [12, 3, 10, 6, 27], [14, 2, 10, 10, 10], [21, 0, 10, 20, 26], [21, 1, 6, 19, 35], [28, 1, 9, 26, 28],
+    [25, 1, 9, 25, 28], [8, 2, 10, 4, 10], [11, 2, 8, 8, 34], [11, 1, 8, 8, 34], [14, 1, 8, 12, 13], [21, 1, 15, 19, 18],
+    [8, 1, 31, 6, 10], [12, 1, 23, 10, 4], [8, 1, 31, 6, 6], [13, -1, 9, 15, 29], [21, 1, 9, 19, 28], [21, 3, 10, 16, 26],
+    [21, 1, 9, 19, 27], [21, 1, 9, 19, 28], [21, 0, 10, 21, 26], [21, 1, 10, 18, 27], [21, 1, 10, 19, 27], [21, 1, 10, 19, 26],
+    [21, 1, 9, 19, 28], [21, 2, 9, 18, 27], [9, 2, 18, 5, 19], [9, 2, 18, 5, 23], [21, 2, 16, 15, 16], [21, 2, 19, 17, 10],
+    [21, 4, 16, 15, 16], [14, 0, 9, 14, 28], [30, 1, 11, 28, 30], [24, 0, 10, 25, 26], [23, 3, 10, 19, 26], [25, 1, 9, 23, 28],
+    [27, 3, 10, 23, 26], [21, 3, 10, 17, 26], [20, 3, 10, 17, 26], [26, 1, 9, 24, 28], [27, 3, 10, 22, 26], [11, 3, 10, 5, 26],
+    [16, 1, 10, 12, 27], [25, 3, 10, 22, 26], [19, 3, 10, 15, 26], [33, 3, 10, 27, 26], [27, 3, 10, 22, 26], [29, 1, 9, 27, 28],
+    [22, 3, 10, 18, 26], [29, 1, 9, 28, 33], [23, 3, 10, 20, 26], [19, 1, 9, 17, 28], [21, 0, 10, 21, 26], [26, 2, 10, 22, 27],
+    [24, 0, 10, 25, 26], [37, 0, 10, 37, 26], [23, 0, 10, 23, 26], [23, 0, 10, 23, 26], [22, 1, 10, 21, 26], [11, 2, 8, 8, 34],
+    [13, -1, 9, 15, 29], [11, 1, 8, 8, 34], [21, 2, 10, 16, 12], [14, 0, 38, 15, 4], [11, 0, 9, 8, 7], [18, 1, 17, 16, 20],
+    [20, 2, 9, 17, 28], [17, 1, 17, 16, 20], [20, 1, 9, 17, 28], [19, 1, 17, 17, 20], [12, 0, 9, 12, 27], [18, 0, 17, 18, 26],
+    [20, 2, 9, 16, 27], [9, 2, 9, 5, 27], [9, -2, 9, 9, 34], [19, 2, 9, 17, 27], [9, 2, 9, 5, 27], [30, 2, 17, 26, 19],
+    [20, 2, 17, 16, 19], [20, 1, 17, 18, 20], [20, 2, 17, 17, 26], [20, 1, 17, 17, 26], [15, 2, 17, 12, 19], [16, 1, 17, 14, 20],
+    [13, 0, 11, 13, 26], [20, 2, 17, 16, 20], [18, 0, 17, 19, 19], [28, 0, 17, 28, 19], [18, 0, 17, 18, 19], [18, 0, 17, 19, 26],
+    [17, 1, 17, 15, 19], [11, 0, 8, 10, 34], [11, 4, 8, 3, 35], [11, 1, 8, 10, 34], [21, 2, 22, 17, 7]
+  ],
+  data:
+    'pEIv9EIv9EIv9EIv9EIv9EIv9EIv8AIv8AEAAAAAAAAE9MJ//IcvUJAGab3Q2wu9vdDbC7290NsLfXzAxwd8FEABAKABKAAA9AF9' +
+    'AAD4AH4AALgAPgAAvAAvAAB9AC8AAH1AHwBUfpVfBf7///8L/////wtVb9VbAUAf0AsAgB/QBwCAD+ADAMAL4AMAwAvwAsD/////' +
+    'wv////9C6qv6qgHgA/gAAPACvAAA8AK8AAD0AX0AAPgAfgAA+AA+AAB8AC4AAAAACQAAAMADAAAA9AAAAAAtAAAA+a8BAPT//wJA' +
+    '////B/AbLv0AvYALFIAf4AIA8AN4AAD8AB4AAL+ABwCAf/ABAMC/PQAA0P8fAACQ/78BAED+/wIAAL3/AgBAS/4CANAC/gAAuAA/' +
+    'AAAuwA8AgAvwAwDgAb3QAniAH/gHHvgD/u/rfwD9//8HAOT/GwAAQB8AAADAAwAAALQAAAAALQAAAAABAAAAAAAAAAAA/gsAAKAC' +
+    '+P8CAIAf4Ae9AAC+QB9AHwD0AvgA8ALAD4ALAC4AfgC4AOAC9AKADwAu0AsA9ADwAT8AAC+AD/gBAOBbvtALAAD4/0IvAAAAqQb8' +
+    'AAAAAADgB6QBAABAL/T/AgAAvdCvvgAA8AN+QB8AgB/wAvACAL1AHwA+APQC+ADgA8AfgA8APgB+APQB4AL0AgAvAC/QCwDgB/gA' +
+    'fgAA+PsH+AEAAP4fAAAAAAAVAAAAAAAAAABA/gsAAACA//8BAACAv+ofAABAfwD+AAAAfgDgBwAA/ABAGgAA8AMAAAAAwA8AAAAA' +
+    'AL4AAAAAAPQHAAAAAIA/AAAAAAD9AgAAAAD+LwBAAQD+/QJAHwC+0C8APgC+AP0C+AD8AdAv8AL0AwD94gfgCwDQ7w+ALwAA/R8A' +
+    '/QAA0D8A8AsAQP8CgH8AgP8vAPxr6X/9AoD//y/QLwD0/wsA/QIAVAAAAEBab29vb28vHx8FAAaAH8AP4AfwA/gB/AC9AH4APgA/' +
+    'QC9AL4AfgB+AH4AfgB+AH4AfQC9ALwAvAD8AfgC9APwA+AH0AuAH0AuAHwALAAAGgA9ALwA/AL0A/AD4AfAC4APgB9ALwAvAD4AP' +
+    'gA+AH4AfgB+AD4APwA/AC9AL0AfgB/AD9AL4Ab0AfgA/gB9ACgAAAAAAAAAOAAAOAAYOCW+OH/j+AoB/AOD/Ab7eCwsOHgAOAAAO' +
+    'AAAJAADACwAAAPACAAAAvAAAAAAvAAAAwAsAAADwAgAAALwAAFRVb1VF/////9P/////UFW9VRUAAC8AAADACwAAAPACAAAAvAAA' +
+    'AAAvAAAAwAsAAACgAgBAAH70T//gD7CABy3wAAZQVVX///b/L6qqQQB+9E//4AsUAAAAZAAAQB8AAOADAAB8AACADwAA8AIAAH0A' +
+    'AIAPAADwAQAAPgAAwAsAAPQBAAA+AADABwAA+AAAAC8AANAHAAD4AAAAHwAA4AMAALwAAEAfAADgAwAAfAAAgA8AAPACAAB9AACA' +
+    'DwAAoAAAAAAAAAAAAPivAADg//8BAP6r/wLgLwD+AfwCAP6APwAAf/AHAIA//QAA0I8vAADw5wsAAPj6AgAAvr8AAIDvLwAA4PsL' +
+    'AAD4/gIAAL6+AACAry8AAODrCwAA/PUDAAB//AEA0A++AAD8Qn8AgD+AfwD0C4C/6r8AgP//CwBA/m8AAABUAAAAQCoAANA/AAD0' +
+    'PwAA/j8AgL8/AOBfPwD8Rz8A+EE/ACRAPwAAQD8AAEA/AABAPwAAQD8AAEA/AABAPwAAQD8AAEA/AABAPwAAQD8AAEA/AABAPwAA' +
+    'QD8AAEA/AJCqv6rg////4P///wAAAAAAAOi/AQDQ//8CAP6r/wPQLwD+AvwCAP1APwAAf+ALAIAvkAAA4AsAAAD4AgAAAH8AAADg' +
+    'DwAAAPwBAACALwAAAPgCAACAfwAAAPgHAACAfwAAAPgHAACAfwAAAPgHAACAfwAAAPgHAACAfwAAAPj///8L/////9P/////AAAA' +
+    'AAAAkP8KAED//x8A9L/+HwD/AfQP4A8A9Af8AQD4Aj8AAL5ABgCALwAAAOAHAAAA/QAAANAfAACk/gEAAP4LAACA/y8AAADkLwAA' +
+    'ANAvAAAA0A8AAADwBwAAAPzhAwAAf/gCANAP/QEA/AL+AYB/QP+q/gdA//9/AAD+/wIAAFABAAAAAKAGAAAA4B8AAADQfwAAAND/' +
+    'AQAAwO8HAACAnx8AAIAvfgAAQD/4AQAAf+AHAAC+gB8AAL4AfgAA/QD4AQD8AeAHAPgCgB8A+AIAfgD0AwD4AfBbVeVX0f////8f' +
+    '/////39QVVX5VQAAAOAHAAAAgB8AAAAAfgAAAAD4AQAAAOAHAAAAgB8AgKqqagD4//8LwP//fwC9VVUA0AcAAAB+AAAA4AMAAAA/' +
+    'AAAA8AIAAEBvaQEA9P//AoD///8BpFblPwAAAPQLAAAA/gAAAMAfAAAA/AEAAIAvAAAA/AEAAMAfAAAA/kAAAPQLvQDQL/C/qv8B' +
+    '+P//AgD5/wYAAFQBAAAAAKoAAADgHwAAAP4BAADQLwAAAPwCAACAPwAAAPgHAABAfwAAAPALAAAAvgAAANCfqgEA/P7/B4D/q/8H' +
+    '8C8A/QP+AQD9gi8AAP3wBwAAf/wAAMAfPwAA8McfAAD84QsAQD/0AwDwC/gCQP4A/av6HwD9//8BAPj/BwAAQAUAgKqqqqrx////' +
+    'v/z///8fVFVV9QMAAAC+AAAA0A8AAAD4AgAAQD8AAADgCwAAAP0AAACALwAAAPQDAAAAvgAAANAPAAAA+AIAAEA/AAAA4AsAAAD9' +
+    'AAAAgC8AAAD0AwAAAL8AAADQDwAAAPwCAABAPwAAAPALAAAAvQAAAAAAAAAAAPm/AADg//8CAP6q/gLgHwD9AfwBAP5APwAAP9AL' +
+    'AMAf9AIA8Af8AAD9AL4AgC9AvwD4A0D/6m8AAP7/AgD4//8HgL8B+Qv0BwD0B78AAPjCHwAA/fQDAEA//QAA0A9/AAD0wy8AAL/Q' +
+    'LwDgH+C/lf8C4P//HwCQ/78AAABVAAAAAAAAAED+KwBA/v8fAP2r/gfwGwD+gD8AgC/8AQDw0w8AAH79AADg1w8AAL79AADwxy8A' +
+    'QH/4BwD9A/8G+S/Q////AOD/6wsAkIUvAAAA/QEAAPALAACALwAAAP4AAAD0BwAAwC8AAAD+AAAA+AcAANAvAABAvwAAgEq//vaL' +
+    'CgAAAAAAAAAAAAAE/fnrb38QoNKvv/2iAgAAAAAAAAAAAABBf/72iy904NDRAgIAAAAUAADQCwBA/wIA/S8A5L8AkP8CQP4LAPQr' +
+    'AAD9GwAA+G8AAOC/AQCA/wIAAP4LAAD4CwAA4AIAAFBUVVVV9P///9f///8fAAAAAAAAAAAAAAAAQFVVVUX///9//f///wEAAABg' +
+    'AAAA+AEAAP4GAAD+GwAA+G8AAOC/AACA/wIAAP4HAJD/AED+BwD5LwDkvwCQ/wIA+AsAAC4AAEAAAAAAAAAAQP4bQP//C/2r/4IL' +
+    'QH8AAOALAAC9AADQCwAAfgAA9AMA0C8AQL8AAP4BAPgHAIAfAAC4AACACwAAuAAAAAAAAAAAAAAAAAAAAAAAAQAA/QAA4C8AAP4C' +
+    'ANAPAAAQAAAAAJAaAAAAAID//wsAAAD4r+q/AABAvwEA+QcA0B8AAJAfAPQCAAAAPgC4AAAAALwAfgAAAAD0AC8AgP4b8EEPAPj/' +
+    'H+CCCwC+gQ/QwweAH4AL0NMD0AfAC9DXA/AC0AfQ4wP0AdAD0OMD+ADgAuDSA/gA8ALw0gP4APgC9MAH9AH9Ar2AC/Cr36svQA/Q' +
+    '/4f/CwAvAGkAaQAAfgAAAAAAAPwAAAAAAAD0BwAAAAAA0C8AAAApAED+BgDkPwAA9P/q/wsAAED+/28AAAAAQFUAAAAAAKoAAAAA' +
+    'APwLAAAAAPQ/AAAAAOD/AQAAANDfCwAAAIAvPwAAAAB/+AIAAAD90A8AAAD4An8AAAD0A/gCAADgC9APAADAHwC+AABAPwD0AwAA' +
+    'vgDAHwAA/QEAvgAA+AIA9AMA8Kuq6i8A0P////8AgP////8HQH8AAIAvAP4AAAD9APwCAADwC/QDAACAP+ALAAAA/dEfAAAA4Isv' +
+    'AAAAQD+qqqoBgP///wvg////C/gCAP0LvgAA/IMvAAD94QsAAL/4AgDAH74AAPSHLwAA/uALANAf+FaV/wH+//8HgP///xvgW1X5' +
+    'L/gCANAvvgAA4I8vAAD05wsAAP35AgBAf74AAOCPLwAA/eILANB/+Kuq/wf+//9/gP//rwEAAAAAAAAAAKT/awAAkP//vwAA/v//' +
+    '/wHgvwGQ/wD+BwBAHtA/AAAAAfwHAAAAQL8AAAAA4A8AAAAA/AIAAABAfwAAAADQHwAAAAD0BwAAAAD9AQAAAEB/AAAAANAfAAAA' +
+    'APALAAAAAPgDAAAAAP0BAAAAAP8AAAAAgL8AAAAEwL8AAIAH0P8BAP4D0P+v/n8AgP///wIAAP7/GwAAAFAFAKCqqmoAAPj///8C' +
+    'AP7///8LgC8AUP4L4AsAAPkL+AIAAPgHvgAAAPyDLwAAAP3hCwAAAL/4AgAAgD++AAAA0J8vAAAA9OcLAAAA/PoCAAAAv74AAADQ' +
+    'ry8AAAD05wsAAAD++AIAAIA/vgAAAPSLLwAAAP7gCwAA4C/4AgAA/gK+AAD5L4C/qvr/AuD///8fAPj//2sAAKqqqqr4////4///' +
+    '/48vAAAAvgAAAPgCAADgCwAAgC8AAAC+AAAA+AIAAOALAACAv6qqAf7//wv4//8v4FtVVYAvAAAAvgAAAPgCAADgCwAAgC8AAAC+' +
+    'AAAA+AIAAOALAACAv6qqKv7////4////o6qqqor///8//v////gCAADgCwAAgC8AAAC+AAAA+AIAAOALAACALwAAAL4AAAD4AgAA' +
+    '4P///4H///8H/v//H/gCAADgCwAAgC8AAAC+AAAA+AIAAOALAACALwAAAL4AAAD4AgAA4AsAAIAvAAAAAAAAAAAAAADp/xsAAJD/' +
+    '//8CAPj///8fAP4bAPkvgP8BAEAP0C8AAAAA8B8AAAAA9AsAAAAA+AMAAAAA/AIAAAAA/QEAAAAA/QEAAAAA/QEAAAAA/QEAQKoq' +
+    '/QEAgP9//QEAgP9//AIAAFV/+AMAAAB/9AcAAAB/8A8AAAB/0C8AAAB/gL8AAAB/AP4HAJB/APi/qv4/AND///8LAAD5/28AAABA' +
+    'VQAAqgAAAKTiCwAAgD++AAAA+OMLAACAP74AAAD44wsAAIA/vgAAAPjjCwAAgD++AAAA+OMLAACAP74AAAD441tVVZU//v/////j' +
+    '/////z++VVVV+eMLAACAP74AAAD44wsAAIA/vgAAAPjjCwAAgD++AAAA+OMLAACAP74AAAD44wsAAIA/vgAAAPjjCwAAgD+p9ddf' +
+    'f/31119//fXXX3/99ddff/31119//fXXX3/99QcAoAoA4AsA4AsA4AsA4AsA4AsA4AsA4AsA4AsA4AsA4AsA4AsA4AsA4AsA4AsA' +
+    '4AsA4AsA4AsA4AsA8AsA8AcA+AMA/uLq/+D/f+D/CwAVAJAKAACgCv4AAIB/4A8AAP4B/gAA9AfgDwDQLwD+AEC/AOAPAP0CAP4A' +
+    '8AsA4A+AfwAA/gD+AQDgD/gHAAD+6h8AAOD/vwAAAP7/LwAA4F/5BwAA/gD/AQDgD9B/AAD+APQPAOAPAP0CAP4AgL8A4A8A4B8A' +
+    '/gAA+AfgDwAA/gH+AADQP+APAAD0C/4AAAD9ogYAAPgCAAC+AACALwAA4AsAAPgCAAC+AACALwAA4AsAAPgCAAC+AACALwAA4AsA' +
+    'APgCAAC+AACALwAA4AsAAPgCAAC+AACALwAA4AsAAPgCAAC+AACA////6/////r//7+qAAAAAICqfwAAAAD07z8AAAAA/vsfAAAA' +
+    '0P/+DwAAAPy/7wsAAED/7/sDAADw9/v5AgAAvvx+/AEAwB+/H74AAPjC7wd/AAA/8PuBPwDgC/x+wC8A/QC/H9APgC/A7wfgC/QD' +
+    '8PsB9AN/APx+APjiDwC/HwD8/QHA7wcA/i8A8PsBAP8HAPx+AEC/AAC/HwCADwDA7wcAQAAA8PsBAAAAAPx+AAAAAAC/HwAAAADA' +
+    'rwIAAAAqvgAAAPDjHwAAAD/+BwAA8OP/AAAAP/4vAADw4/sLAAA/fv4BAPDjxz8AAD9+9AsA8OMH/QIAP36AfwDw4wfgHwA/fgD8' +
+    'AvDjB0C/AD9+AOAf8OMHAPgHP34AAP/w4wcA0C8/fgAA9PvjBwAA/j9+AADA/+MHAAD0P34AAAD94wcAAIA/fgAAAOADAAAAAAAA' +
+    'AACk/xsAAACQ//+/AAAA/v///wEA4L8BkP8BAP4GAED/AdAvAABA/wD8AwAAQL9AfwAAAIA/4A8AAADQH/wCAAAA8Au/AAAAAPjT' +
+    'HwAAAAD+9AcAAACAP/0BAAAA4E9/AAAAAPjTHwAAAAD+8AsAAADAL/gDAAAA9Af9AQAAAP4A/wAAANAvQL8AAAD4B4C/AACQvwCA' +
+    '/wJA/gsAgP+v/r8AAID///8HAAAA+f8bAAAAAFAFAACQqqoWAP7//xvg////B/4AkP/hDwDQP/4AAPTnDwAAv/4AAODrDwAAvv4A' +
+    'APDrDwBAf/4AAPjjDwDgL/6q6r/g////Av7//wbgX1UBAP4AAADgDwAAAP4AAADgDwAAAP4AAADgDwAAAP4AAADgDwAAAP4AAAAA' +
+    'AAAAAAAAAACQ/m8AAAAA+f//CwAAgP///38AAOC/AZD/AQD4GwAA/QcA/QIAAPQPAP8AAADQL0B/AAAAgD+APwAAAEB/wC8AAAAA' +
+    'v8AvAAAAAP7QHwAAAAD+0B8AAAAA/tAfAAAAAP7QHwAAAAD+0B8AAAAA/sAvAAAAAL+APwAAAEB/QH8AAACAPwD/AAAA0C8A/QIA' +
+    'AOAfAPgLAAD5CwDgvwCQ/wIAgP+v/r8AAAD+//8/AAAAkP+/vwAAAABUAf0CAAAAAAD0CwAAAAAA4C8AAAAAAIC/AAAAAAAA/gIA' +
+    'AAAAAFSRqqoGAOD//78B4P///wfgDwD5H+APANAv4A8AgD/gDwBAf+APAEB/4A8AQH/gDwCAP+APAMAv4A8A5A/gX5X+B+D//78A' +
+    '4P//CwDgX/ULAOAP0C8A4A+AfwDgDwD+AOAPAP0C4A8A9AvgDwDgH+APAMA/4A8AQL/gDwAA/uEPAAD4BwAAAAAA+b8BQP//L0D/' +
+    '6/8D/wHkC/0BABn4AgAA4AsAAIAvAAAA/gAAAPQLAADA/wYAAP3/BgCQ/78BAOT/LwAA5P8CAAD4HwAAQL8AAAD4AgAA4AsAAIAv' +
+    'AAAAf3wAAP34CwD+0v+q/wL5//8CQP6/AQBAFQCQqqqqqqr/////v/7/////UlX1V1UFANAfAAAAQH8AAAAA/QEAAAD0BwAAANAf' +
+    'AAAAQH8AAAAA/QEAAAD0BwAAANAfAAAAQH8AAAAA/QEAAAD0BwAAANAfAAAAQH8AAAAA/QEAAAD0BwAAANAfAAAAQH8AAAAA/QEA' +
+    'AAD0BwAAANAfAAAAQH8AAKgBAACgxh8AAAC//AEAAPDLHwAAAL/8AQAA8MsfAAAAv/wBAADwyx8AAAC//AEAAPDLHwAAAL/8AQAA' +
+    '8MsfAAAAv/wBAADwyx8AAAC//AEAAPDLHwAAAL/8AQAA8MsvAABAf/wCAAD0gz8AAIA/9AsAAP0C/gEA9A/AvwHgfwD0//r/AgD5' +
+    '//8HAAD5/wsAAABUAQCgCgAAAJBKfwAAAMAv/AIAAEB/4A8AAAD+AL8AAAD8AvgDAAD0A9AfAADwCwC/AADQHwD4AwCAPwDALwAA' +
+    'vwAA/gAA/QAA9AcA/AIAwC8A9AcAAP0A4A8AAPALwC8AAIA/QD8AAAD9Ab8AAADgC/0BAABAP/gDAAAA/PIHAAAA4N8PAAAAQL8v' +
+    'AAAAAPh/AAAAAND/AAAAAAD/AQAAAAD4AwAAqQAAAKgAAACp9QcAAPQHAAD4wy8AAOAvAADwC/4AAMD/AADQH/QHAED/BwCAP8Av' +
+    'AAC+LwAAvgD+AAD8/QAA/AH0BwD08gcA9APALwDghy8A4AsA/wDAD/0AwC8A+ANAL/AHQH8A0B8AfoAvAP4AAL8A/AD9APwCAPgD' +
+    '9ALwB/QHANAf4AeAL+APAAC/wA8A/YAvAAD4Qy8A8Ad/AADQH34AgC/9AAAAv/wAAP34AgAA+PYCAPD3BwAA0O8HAIDvDwAAAP8P' +
+    'AAD9LwAAAPgvAADwfwAAANB/AACA/wAAAED/AAAA/QIAAAD8AgAA8AsAgCoAAACp4S8AAMAv4B8AAPgD9AsAQH8A+AcA8AsA+AMA' +
+    '/gAA/ALQHwAA/QH8AgAA/oAvAAAAv/QHAABAf78AAACA/wsAAADA/wEAAAD0vwAAAAD/fwAAAODPPwAAAP3RLwAAwC/gHwAA+APw' +
+    'DwBAfwD0CwDwCwD4BwD+AAD8A9AfAAD9AvwCAAD+gT8AAAC/9AcAAEC/qQAAAJAavwAAAPyCfwAAgD+APwAA9AvQLwAA/gDgDwDQ' +
+    'HwDwCwD8AgD0B4A/AAD4AvALAAD9Af4AAAD+0B8AAAC//AIAAEB/PwAAAID/BwAAANC/AAAAAOAfAAAAAPgDAAAAAP4AAAAAgD8A' +
+    'AAAA4A8AAAAA+AMAAAAA/gAAAACAPwAAAADgDwAAAAD4AwAAAAD+AACAqqqqqgr+////P/j///+/AAAAAP4BAAAA/gEAAAD9AgAA' +
+    'APwDAAAA+AcAAAD0CwAAAPALAAAA4B8AAADgHwAAANAvAAAAwD8AAACAfwAAAEC/AAAAAL8AAAAA/gEAAAD+AQAAAP0CAAAA/AMA' +
+    'AAD4BwAAAPQLAAAA8K+qqqrS/////4v/////L6kq/n++Gn4AfgB+AH4AfgB+AH4AfgB+AH4AfgB+AH4AfgB+AH4AfgB+AH4AfgB+' +
+    'AH4AfgB+AH4AfgB+AH4A/j/+f1QVGAAAAC8AAIAPAADABwAA4AMAAPQBAAC8AAAAPgAAAB8AAIAPAADQBwAA8AIAAPgAAAB8AAAA' +
+    'PgAAQB8AAMALAADgAwAA8AEAAPgAAAB9AAAALwAAgA8AAMAHAADgAwAA9AEAALwAAAA+AAAAWapK/x+qH4AfgB+AH4AfgB+AH4Af' +
+    'gB+AH4AfgB+AH4AfgB+AH4AfgB+AH4AfgB+AH4AfgB+AH4AfgB+AH4Bf/5//H1UFAKABAAD0AwAA/AsAAL4fAAA/LwCAH34A0Av8' +
+    'AOAH+AH0AvAD/ADQC70AgA8qAEAaAAAA8P////3//39VVVUFAAD+APgC8AfQD0AvAAAApAYAkP9/APj//wL9BvkDeADgCwAA0A8A' +
+    'ANAPAADQDwAA1A8A6f8P4P/rD/0b0A++ANBPPwDQTy8A0E8/APQPv0D+D/3/mw/0/0IPQAUAACoAAAD9AAAA9AMAANAPAABAPwAA' +
+    'AP0AAAD0AwAA0A8AAEA/QBoA/eD/C/T3/7/Q/wb5R/8BgD/9AQD99QMA8NsPAIBvPwAAvv0AAPj2AwDg2w8AgG8/AAC+/QAA/PUD' +
+    'APjTLwD0R/9b+Qu9/f8L9NL/BwAAUAAAAJQWAED/vwHg//8L+BvgB/0BAAG/AABAPwAAgD8AAIAvAACALwAAgC8AAIAvAABAPwAA' +
+    'AH8AAAC+AAAA/QJAB/hf5Q/g//8HQP5vAABQAQAAAAApAAAA+AEAAOAHAACAHwAAAH4AAAD4AQAA4AcAAIAfAKQGfgD+v/gB/v//' +
+    'B/4C+B/+AUB//AIA+PUDAODnCwCAny8AAH6+AAD4+QIA4OcLAICfLwAAfv0AAPjxCwD0h38A9B/8W7p+0P+/+AH5v9AHAAUAAACk' +
+    'BgAA/f8CAP77fwD+AfgD/QCAL/wBAPz0AwDg5wsAgJ////+//v////kCAADgCwAAQD8AAAD8AQAA4AsAAEC/AIAH9G/lP0D//28A' +
+    '4P8bAABQAQAAAAEA+C8A/i+AvxXQHwDgCwDgCwDgCwDgC0D6r6r//y/1qxrgCwDgCwDgCwDgCwDgCwDgCwDgCwDgCwDgCwDgCwDg' +
+    'CwDgCwDgCwDgCwDgCwAApAYAAPT/qxrgv/7/Qn8A/hr8AYAfwA8A9AK9AEAvwA8A9AL4AYAfQL9AvgDQ//8CAPj/BgDgQgEAQB8A' +
+    'AAD4BgAAQP+vagDg//9vQK6q/w+9AAD+8QMAgC8vAAD48QMA0A/+AUB/gP/q/wHg//8CAFCqAQAaAABALwAAQC8AAEAvAABALwAA' +
+    'QC8AAEAvAABALwAAQC9QGkAv+f9Bb///R/8b9E+/ANBfPwCAby8AgG8vAIBvLwCAby8AgG8vAIBvLwCAby8AgG8vAIBvLwCAby8A' +
+    'gG8vAIBvLwCAby8AgC8E/PnrP38QAAAAFfzxxx9//PHHH3/88ccff/zxxx9//PEHAAEAfwD+AvgPwB8ABAAAAAAAQAUAfwD8AfAH' +
+    'wB8AfwD8AfAHwB8AfwD8AfAHwB8AfwD8AfAHwB8AfwD8AfAHwB8APwD+4P/B/wJpAKgAAAD0AwAA0A8AAEA/AAAA/QAAAPQDAADQ' +
+    'DwAAQD8AAAD9AABV9AMA/dEPAP1BPwD9Af0A/QH0A/0B0A/9AUA//QIA/f8CAPT/CwDQX78AQD/0BwD9gH8A9AP4A9APgC9APwD9' +
+    'Av0A0B/0AwD+0Q8A4Asq/PHHH3/88ccff/zxxx9//PHHH3/88ccff/zxxx9//PFHAaQBQFoAffS/QP8v0Ov/L/7/C/0b9PcC/tIv' +
+    'AP0HgD+9AMA/APDXCwD4AgB/vQCALwDg1wsA+AIAfr0AgC8A4NcLAPgCAH69AIAvAODXCwD4AgB+vQCALwDg1wsA+AIAfr0AgC8A' +
+    '4NcLAPgCAH69AIAvAODXCwD4AgB+FEBpAH3k/we9/f8f/W/QP/0CQH/9AAC+vQAAvr0AAL69AAC+vQAAvr0AAL69AAC+vQAAvr0A' +
+    'AL69AAC+vQAAvr0AAL69AAC+vQAAvgBQWgAA0P9/AID//y8A/gb5C/QHAP3BLwCAP/0AAPDnCwAAvr4AAODrCwAAvr4AAODrCwAA' +
+    'vv0AAPDXDwBAf/gCAPhCfwDQH+Bvlb8A+P//AgD4/wIAAFQBABRAagD0kf8f0Nv//0L/G/Qf/QYAv/QHAPTTCwDAXy8AAL69AAD4' +
+    '9gIA4NsLAIBvLwAAvr0AAPz1AgD01wsA4Eu/ANAf/V/lL/T6/y/Qi/8bQC9QAQC9AAAA9AIAANALAABALwAAAL0AAABQAQAAAACp' +
+    'AQWA/y99gP//+4G/QP6HfwDQH78AAH79AAD4+QIA4OcLAICfLwAAfr4AAPj5AgDg5wsAgF8/AAB+/AIA/eEfAP0H/5a+H/T/L35A' +
+    '/i/4AUAB4AcAAIAfAAAAfgAAAPgBAADgBwAAgB8AAAAVFEAafeS/vfy/vb56/QsA/QIA/QEAvQAAvQAAvQAAvQAAvQAAvQAAvQAA' +
+    'vQAAvQAAvQAAvQAAvQAAAKQFAPj/B/T//4IvQB79AADQCwAA/QAAwH8AAPi/AQD9/wIA+b8AAPQvAAD4AwAAPwAA8IMBQC++Af7R' +
+    '//8H4P8bAFAFAAAUAAD0AADgAwCADwAAPwAA/AAA9AMA+q8q/f//kP6qAvQDANAPAEA/AAD9AAD0AwDQDwBAPwAA/QAA9AMA0A8A' +
+    'QD8AAP0AAPBbD4D/fwD4fwAAFVABAFDhCwDg5wsA4OcLAODnCwDg5wsA4OcLAODnCwDg5wsA4OcLAODnCwDg5wsA4OcLAODnCwDg' +
+    '5wsA9NcfAP3Hv5XvR///5wf5v9AHQAUAUAEAAFT0AwBAL/wBAOAHvgAA/QA/AIAvgC8A8APQDwC9APAHgB8A+AL0AwD8AL4AAL7A' +
+    'DwBAP/QCAMAffgAA4MsPAADw9wIAAPg/AAAA/QsAAAD/AQAAQD8AQAUAAAUAAIUvAIAvAMBPPwDAPwDQC38A0D8A4Ae+AOB/APAD' +
+    '/QDwvgD0AvwB9PkA+AH4Avj0AfwA9AO88AL8APAHfeADvQDgBz7QB34A0AsvwAs/AMBPH4BPLwCAnw9Anx8AQO8LAO8PAAD/BwD+' +
+    'CwAA/gMA/QcAAP0CAPwDAAD8AQD4AgAVAABU4A8A4Av8AkB/QH8A/AHgC+ALAPxCPwBAf/wBAODrCwAA/D8AAED/AQAA+D8AANDv' +
+    'CwAAf/0BAPiCPwDQD/ALAH8A/QH4AoA/4A8A8Et/AAD9VQAAABX9AADQD78AAPiBPwBAP8AfAOAL4AsA/AD0A0AvAPgC8AcA/QC9' +
+    'AAB/gB8AgD/wAwDAH74AAODLDwAA8PcCAAD4fwAAAP0LAAAA/wEAAEA/AAAA4AsAAAD8AAAAQC8AAADwBwAAAL0AAACAHwAAAPQD' +
+    'AAAAFAAAAFVVVdH////1//9/VFXlCwAA/QAAwB8AAPgCAIAvAAD0AwAAfwAA4AsAAL4AANAPAAD8AQCALwAA+AIAQL+qquL////4' +
+    '//8/AJAC4H+AvwK8AOAHAH4A4AcAfgDQBwC9AMALAPwAgA8A+ADAC0B+AL0BkC8A0AsA/ACADwD4AMALALwA0AsAfgDgBwB+AOAH' +
+    'AL0AwB8A9D8A+QcAFJnruq7ruq7ruq7ruq7ruq7ruq7ruq7ruq5bpAGA/wGgfwDQDwD4AUAvAPQCgB8A+AGADwC8AMALAL0A0AsA' +
+    'vABAbwDQDwC+APgBwAsAvQDACwC8AIAPAPgAgB8A9AJALwD0AYAfAL5A/wP4CwAFAAAAAIAK+QYAL/7/Bn79+v//+AH5/+ECQGqA' +
+    'BgAAAA=='
+};
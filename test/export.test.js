@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HTMLRewriter } from '@worker-tools/html-rewriter/base64';
+
+globalThis.HTMLRewriter ??= HTMLRewriter;
+
+const { htmlToMarkdown } = await import('../worker.js');
+
+test('converts headings, emphasis, inline code and links', async () => {
+  const html = '<h2>Title</h2><p>Some <strong>bold</strong>, <em>em</em> and <code>a &lt; b</code> ' +
+    '<a href="https://example.com/?a=1&amp;b=2">link</a></p>';
+
+  assert.equal(await htmlToMarkdown(html),
+    '## Title\n\nSome **bold**, *em* and `a < b` [link](https://example.com/?a=1&b=2)');
+});
+
+test('keeps the language of fenced code blocks', async () => {
+  const html = '<pre><code class="language-js">if (a &lt; b) {\n  go();\n}\n</code></pre>';
+
+  assert.equal(await htmlToMarkdown(html), '```js\nif (a < b) {\n  go();\n}\n```');
+});
+
+test('converts nested lists, quotes and tables', async () => {
+  assert.equal(await htmlToMarkdown('<ol start="3"><li>three</li><li>four<ul><li>inner</li></ul></li></ol>'),
+    '3. three\n4. four\n\n   - inner');
+  assert.equal(await htmlToMarkdown('<blockquote><p>one</p><p>two</p></blockquote>'), '> one\n>\n> two');
+  assert.equal(
+    await htmlToMarkdown('<table><thead><tr><th>a</th><th style="text-align: right">b</th></tr></thead>' +
+      '<tbody><tr><td>1</td><td>x | y</td></tr></tbody></table>'),
+    '| a | b |\n| --- | ---: |\n| 1 | x \\| y |'
+  );
+});
+
+test('drops script content and returns an empty string for empty input', async () => {
+  assert.equal(await htmlToMarkdown('<p>hi</p><script>alert(1)</script>'), 'hi');
+  assert.equal(await htmlToMarkdown(''), '');
+  assert.equal(await htmlToMarkdown('<p>a</p><svg><path d="M0"/></svg><math><mi/></math><p>b</p>'), 'a\n\nb');
+});
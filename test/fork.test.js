@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, request, json, share } from './helpers.js';
+
+const messages = [
+  { role: 'user', content: 'My key is **sk-secret**, how do I use it?' },
+  { role: 'assistant', name: 'Helper', content: 'Pass it in the `Authorization` header.' }
+];
+
+test('opens an editor pre-filled with the messages as Markdown', async () => {
+  const env = createEnv();
+  const { id } = await share(env, { messages, title: 'Keys </script>' });
+
+  const response = await request(env, `/${id}/fork`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('Content-Security-Policy'), /script-src 'nonce-/);
+  const html = await response.text();
+
+  const data = JSON.parse(/<script type="application\/json" id="forkData">(.*?)<\/script>/s.exec(html)[1]);
+  assert.equal(data.id, id);
+  assert.deepEqual(data.messages.map(message => message.role), ['user', 'assistant']);
+  assert.equal(data.messages[0].content, 'My key is **sk-secret**, how do I use it?');
+  assert.equal(data.messages[1].name, 'Helper');
+  assert.match(html, /value="Keys &lt;\/script&gt;"/);
+});
+
+test('saves a fork that links back, and the source lists it', async () => {
+  const env = createEnv();
+  const source = await share(env, { messages, title: 'Original' });
+
+  const fork = await share(env, {
+    messages: [{ role: 'user', content: 'How do I use my key?' }, messages[1]],
+    title: 'Redacted',
+    forkedFrom: source.id
+  }, { Cookie: source.cookie });
+  assert.equal(fork.forkedFrom, source.id);
+
+  const forkPage = await (await request(env, `/${fork.id}`)).text();
+  assert.match(forkPage, new RegExp(`Forked from <a href="/${source.id}">${source.id}</a>`));
+  assert.doesNotMatch(forkPage, /sk-secret/);
+
+  const sourcePage = await (await request(env, `/${source.id}`)).text();
+  assert.match(sourcePage, new RegExp(`<a class="copy-btn fork-btn" href="/${source.id}/fork">Fork</a>`));
+  assert.match(sourcePage, new RegExp(`Forks: <a href="/${fork.id}">Redacted</a>`));
+
+  const api = await (await request(env, `/api/conversations/${fork.id}`)).json();
+  assert.equal(api.metadata.forkedFrom, source.id);
+
+  // Deleting the fork takes it off the source's page
+  const deleted = await request(env, `/${fork.id}`, { method: 'DELETE', headers: { 'X-Manage-Token': fork.token } });
+  assert.equal(deleted.status, 200);
+  assert.doesNotMatch(await (await request(env, `/${source.id}`)).text(), /Forks:/);
+});
+
+test('only lists forks by the source\'s owner, and the page ETag follows the list', async () => {
+  const env = createEnv();
+  const source = await share(env, { messages });
+  const before = await request(env, `/${source.id}`);
+
+  const stranger = await share(env, { messages, title: 'Visit spam.example', forkedFrom: source.id });
+  const unchanged = await request(env, `/${source.id}`, { headers: { 'If-None-Match': before.headers.get('ETag') } });
+  assert.equal(unchanged.status, 304);
+  const strangerPage = await (await request(env, `/${stranger.id}`)).text();
+  assert.match(strangerPage, new RegExp(`Forked from <a href="/${source.id}">`));
+
+  const own = await share(env, { messages, title: 'Trimmed', forkedFrom: source.id }, { Cookie: source.cookie });
+  const listed = await request(env, `/${source.id}`, { headers: { 'If-None-Match': before.headers.get('ETag') } });
+  assert.equal(listed.status, 200);
+  assert.notEqual(listed.headers.get('ETag'), before.headers.get('ETag'));
+  const page = await listed.text();
+  assert.match(page, new RegExp(`Forks: <a href="/${own.id}">Trimmed</a>`));
+  assert.doesNotMatch(page, /spam\.example/);
+
+  await request(env, `/${own.id}`, { method: 'DELETE', headers: { 'X-Manage-Token': own.token } });
+  const removed = await request(env, `/${source.id}`, { headers: { 'If-None-Match': listed.headers.get('ETag') } });
+  assert.equal(removed.status, 200);
+});
+
+test('rejects forks of missing or burn-after-reading shares', async () => {
+  const env = createEnv();
+  const burn = await share(env, { messages, burnAfterReading: true });
+
+  assert.equal((await request(env, `/${burn.id}/fork`)).status, 404);
+  assert.equal((await request(env, '/zzzzzzzz/fork')).status, 404);
+
+  for (const forkedFrom of [burn.id, 'zzzzzzzz', 42]) {
+    const response = await request(env, '/', json('POST', { messages, forkedFrom }));
+    assert.equal(response.status, 400);
+  }
+
+  // Checking the editor did not burn the share
+  assert.equal((await request(env, `/${burn.id}`)).status, 200);
+});
+
+test('protected shares need unlocking before forking, and protected forks hide their titles', async () => {
+  const env = createEnv();
+  const locked = await share(env, { messages, password: 'hunter2' });
+  assert.equal((await request(env, `/${locked.id}/fork`)).status, 401);
+
+  const source = await share(env, { messages });
+  const fork = await share(env, { messages, title: 'Secret fork', password: 'hunter2', forkedFrom: source.id }, { Cookie: source.cookie });
+
+  const page = await (await request(env, `/${source.id}`)).text();
+  assert.match(page, new RegExp(`Forks: <a href="/${fork.id}">Password-protected conversation</a>`));
+  assert.doesNotMatch(page, /Secret fork/);
+});
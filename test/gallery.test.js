@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, request, json, share } from './helpers.js';
+
+/**
+ * Share a one-message conversation
+ */
+function shareText(env, content, options = {}) {
+  return share(env, { messages: [{ role: 'user', content }], ...options });
+}
+
+test('normalizes tags and rejects invalid ones', async () => {
+  const env = createEnv();
+  const created = await shareText(env, 'Flask routing', { tags: ['Python', 'web dev', 'python'] });
+  assert.deepEqual(created.tags, ['python', 'web-dev']);
+
+  const api = await (await request(env, `/api/conversations/${created.id}`)).json();
+  assert.deepEqual(api.tags, ['python', 'web-dev']);
+
+  for (const tags of [['a:b'], 'python', Array(11).fill('x').map((x, i) => x + i)]) {
+    const response = await request(env, '/', json('POST', { messages: [{ role: 'user', content: 'x' }], tags }));
+    assert.equal(response.status, 400);
+  }
+});
+
+test('lists recent public shares in the gallery, by tag', async () => {
+  const env = createEnv();
+  const flask = await shareText(env, 'Flask routing', { public: true, tags: ['python'] });
+  // Listings order by creation time in milliseconds
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const borrow = await shareText(env, 'Borrow checker', { public: true, tags: ['rust'] });
+  await shareText(env, 'Private python', { tags: ['python'] });
+
+  const all = await (await request(env, '/api/gallery')).json();
+  assert.deepEqual(all.conversations.map(item => item.id), [borrow.id, flask.id]);
+  assert.equal(all.conversations[0].messageCount, 1);
+
+  const python = await (await request(env, '/api/gallery?tag=python')).json();
+  assert.deepEqual(python.conversations.map(item => item.title), ['Flask routing']);
+
+  const page = await request(env, '/gallery?tag=python');
+  assert.match(await page.text(), /Flask routing/);
+});
+
+test('moves gallery entries when tags change and drops them on delete', async () => {
+  const env = createEnv();
+  const created = await shareText(env, 'Borrow checker', { public: true, tags: ['rust'] });
+
+  await request(env, `/${created.id}`, json('PUT', { messages: [{ role: 'user', content: 'Borrow checker' }], tags: ['ownership'] }, { 'X-Manage-Token': created.token }));
+  assert.equal((await (await request(env, '/api/gallery?tag=rust')).json()).conversations.length, 0);
+  assert.equal((await (await request(env, '/api/gallery?tag=ownership')).json()).conversations.length, 1);
+
+  await request(env, `/${created.id}`, { method: 'DELETE', headers: { 'X-Manage-Token': created.token } });
+  assert.equal((await (await request(env, '/api/gallery')).json()).conversations.length, 0);
+});
+
+test('collections keep their order and hide protected titles', async () => {
+  const env = createEnv();
+  const first = await shareText(env, 'First question');
+  const second = await shareText(env, 'Second question');
+  const locked = await shareText(env, 'Secret question', { password: 'hunter2' });
+
+  const created = await request(env, '/api/collections', json('POST', {
+    slug: 'onboarding',
+    title: 'Onboarding',
+    description: 'Start here',
+    ids: [second.id, locked.id, first.id]
+  }));
+  assert.equal(created.status, 201);
+  const collection = await created.json();
+  assert.equal(collection.url, 'https://share.example/c/onboarding');
+  assert.deepEqual(collection.conversations.map(item => item.title), ['Second question', 'Password-protected conversation', 'First question']);
+
+  const page = await (await request(env, '/c/onboarding')).text();
+  assert.ok(page.indexOf('Second question') < page.indexOf('First question'));
+  assert.doesNotMatch(page, /Secret question/);
+
+  const taken = await request(env, '/api/collections', json('POST', { slug: 'onboarding', title: 'Again', ids: [first.id] }));
+  assert.equal(taken.status, 409);
+  const missing = await request(env, '/api/collections', json('POST', { title: 'Missing', ids: ['AAAAAAAA'] }));
+  assert.equal(missing.status, 404);
+});
+
+test('collections are edited and deleted with their management token', async () => {
+  const env = createEnv();
+  const first = await shareText(env, 'First question');
+  const collection = await (await request(env, '/api/collections', json('POST', { title: 'Picks', ids: [first.id] }))).json();
+  assert.match(collection.slug, /^[a-z0-9]{8}$/);
+
+  const path = `/api/collections/${collection.slug}`;
+  assert.equal((await request(env, path, json('PUT', { title: 'Renamed', ids: [first.id] }, { 'X-Manage-Token': 'wrong' }))).status, 403);
+
+  const updated = await request(env, path, json('PUT', { title: 'Renamed', ids: [first.id] }, { 'X-Manage-Token': collection.token }));
+  assert.equal((await updated.json()).title, 'Renamed');
+
+  assert.equal((await request(env, path, { method: 'DELETE', headers: { 'X-Manage-Token': collection.token } })).status, 200);
+  assert.equal((await request(env, `/c/${collection.slug}`)).status, 404);
+  assert.equal((await request(env, `/${first.id}`)).status, 200);
+});
@@ -0,0 +1,218 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, request, json, share } from './helpers.js';
+
+const conversation = {
+  messages: [
+    { role: 'user', content: 'How do I reverse a list in Python?' },
+    { role: 'assistant', content: 'Use `items[::-1]` or `items.reverse()`.' }
+  ]
+};
+
+test('POST stores a conversation that GET renders and the API returns', async () => {
+  const env = createEnv();
+  const created = await share(env, conversation);
+  assert.equal(created.success, true);
+  assert.match(created.id, /^[a-zA-Z0-9]{8}$/);
+  assert.equal(created.url, `https://share.example/${created.id}`);
+
+  const page = await request(env, `/${created.id}`);
+  assert.equal(page.status, 200);
+  assert.match(page.headers.get('Content-Security-Policy'), /script-src 'nonce-[\w-]+';/);
+  assert.match(await page.text(), /How do I reverse a list in Python\?/);
+
+  const api = await request(env, `/api/conversations/${created.id}`);
+  const data = await api.json();
+  assert.equal(data.title, 'How do I reverse a list in Python?');
+  assert.deepEqual(data.messages.map(message => message.role), ['user', 'assistant']);
+});
+
+test('parses HTML pages whose messages contain inline SVG', async () => {
+  const env = createEnv();
+  const icon = '<svg viewBox="0 0 24 24"><path d="M0 0h24v24H0z"/><g><circle r="2"/></g></svg>';
+  const html = `<div data-message-author-role="user"><p>${icon}Show me a table</p></div>` +
+    `<div data-message-author-role="assistant"><table><tr><td>a</td></tr></table>${icon}</div>` +
+    `<div data-message-author-role="user"><pre><code>x = 1</code></pre></div>`;
+  const response = await request(env, '/', { method: 'POST', body: html });
+  assert.equal(response.status, 200);
+  const { id } = await response.json();
+
+  const data = await (await request(env, `/api/conversations/${id}`)).json();
+  assert.equal(data.format, 'htmlrewriter');
+  assert.deepEqual(data.messages.map(message => message.role), ['user', 'assistant', 'user']);
+  assert.match(data.messages[1].content, /<table>/);
+  assert.match(data.messages[2].content, /<pre><code>x = 1<\/code><\/pre>/);
+  assert.doesNotMatch(JSON.stringify(data.messages), /svg|path|circle/);
+});
+
+test('escapes text around removed tags so it cannot rebuild markup', async () => {
+  const env = createEnv();
+  const html = '<div data-message-author-role="user"><p>hi <<script></script>img src=x onerror=alert(1)></p></div>' +
+    '<div data-message-author-role="assistant"><p>hi <<foo>img src=x onerror=alert(1)></p></div>';
+  const response = await request(env, '/', { method: 'POST', body: html });
+  assert.equal(response.status, 200);
+  const { id } = await response.json();
+
+  const data = await (await request(env, `/api/conversations/${id}`)).json();
+  assert.equal(data.format, 'htmlrewriter');
+  for (const message of data.messages) {
+    assert.doesNotMatch(message.content, /<img/);
+    assert.match(message.content, /&lt;img src=x onerror=alert\(1\)&gt;/);
+  }
+});
+
+test('sanitizes messages-API payloads like every other format', async () => {
+  const env = createEnv();
+  for (const body of [
+    { messages: [{ role: 'user', content: 'See [the docs](https://example.com)' }] },
+    { system: 'Be brief', messages: [{ role: 'user', content: [{ type: 'text', text: 'See [the docs](https://example.com)' }] }] }
+  ]) {
+    const { id } = await share(env, body);
+    const data = await (await request(env, `/api/conversations/${id}`)).json();
+    const user = data.messages.find(message => message.role === 'user');
+    assert.match(user.content, /<a href="https:\/\/example\.com" rel="noopener noreferrer nofollow">the docs<\/a>/);
+  }
+});
+
+test('rejects empty submissions and unknown ids', async () => {
+  const env = createEnv();
+  const empty = await request(env, '/', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+  assert.equal(empty.status, 400);
+
+  assert.equal((await request(env, '/AAAAAAAA')).status, 404);
+  assert.equal((await request(env, '/api/conversations/AAAAAAAA')).status, 404);
+});
+
+test('PUT and DELETE require the management token', async () => {
+  const env = createEnv();
+  const created = await share(env, conversation);
+  const replacement = { messages: [{ role: 'user', content: 'Replaced question' }] };
+
+  const forbidden = await request(env, `/${created.id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', 'X-Manage-Token': 'wrong' },
+    body: JSON.stringify(replacement)
+  });
+  assert.equal(forbidden.status, 403);
+
+  const updated = await request(env, `/${created.id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', 'X-Manage-Token': created.token },
+    body: JSON.stringify(replacement)
+  });
+  assert.equal(updated.status, 200);
+  assert.equal((await (await request(env, `/api/conversations/${created.id}`)).json()).title, 'Replaced question');
+
+  const deleted = await request(env, `/${created.id}`, { method: 'DELETE', headers: { 'X-Manage-Token': created.token } });
+  assert.equal(deleted.status, 200);
+  assert.equal((await request(env, `/${created.id}`)).status, 404);
+});
+
+test('password-protected shares need the unlock cookie', async () => {
+  const env = createEnv();
+  const created = await share(env, { ...conversation, password: 'hunter2' });
+
+  const locked = await request(env, `/${created.id}`);
+  assert.equal(locked.status, 401);
+  assert.doesNotMatch(await locked.text(), /reverse a list/);
+
+  const wrong = await request(env, `/${created.id}/unlock`, { method: 'POST', body: new URLSearchParams({ password: 'nope' }) });
+  assert.equal(wrong.status, 401);
+
+  for (const init of [{}, json('POST', { password: 'hunter2' }), { body: 'password=hunter2', headers: { 'Content-Type': 'text/plain' } }]) {
+    const malformed = await request(env, `/${created.id}/unlock`, { method: 'POST', ...init });
+    assert.equal(malformed.status, 400);
+    assert.match(await malformed.text(), /Please enter the password/);
+  }
+
+  const unlocked = await request(env, `/${created.id}/unlock`, { method: 'POST', body: new URLSearchParams({ password: 'hunter2' }) });
+  assert.equal(unlocked.status, 303);
+  const cookie = unlocked.headers.get('Set-Cookie').split(';')[0];
+
+  const page = await request(env, `/${created.id}`, { headers: { Cookie: cookie } });
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /reverse a list/);
+});
+
+test('burn-after-reading shares are deleted after the first view', async () => {
+  const env = createEnv();
+  const created = await share(env, { ...conversation, burnAfterReading: true });
+
+  assert.equal((await request(env, `/${created.id}`)).status, 200);
+  assert.equal((await request(env, `/${created.id}`)).status, 404);
+});
+
+test('lists and bulk-deletes the owner\'s shares', async () => {
+  const env = createEnv();
+  const first = await share(env, conversation);
+  // Listings order by creation time in milliseconds
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const second = await share(env, conversation, { Cookie: first.cookie });
+  await share(env, conversation);
+
+  const list = await (await request(env, '/api/conversations', { headers: { Cookie: first.cookie } })).json();
+  assert.deepEqual(list.conversations.map(item => item.id), [second.id, first.id]);
+  assert.equal(list.conversations[0].messageCount, 2);
+
+  const removed = await request(env, '/api/conversations', {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json', Cookie: first.cookie },
+    body: JSON.stringify({ ids: [first.id, second.id] })
+  });
+  assert.deepEqual((await removed.json()).deleted, [first.id, second.id]);
+  assert.equal((await request(env, `/${first.id}`)).status, 404);
+});
+
+test('exports Markdown as an attachment', async () => {
+  const env = createEnv();
+  const created = await share(env, conversation);
+
+  const response = await request(env, `/${created.id}.md`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('Content-Disposition'), `attachment; filename="conversation-${created.id}.md"`);
+  assert.match(await response.text(), /items\[::-1\]/);
+});
+
+test('limits uploads per client', async () => {
+  const env = createEnv({ RATE_LIMITS: JSON.stringify({ create: { limit: 1, window: 60 } }) });
+  const headers = { 'Content-Type': 'application/json', 'CF-Connecting-IP': '198.51.100.1' };
+  const body = JSON.stringify(conversation);
+
+  assert.equal((await request(env, '/', { method: 'POST', headers, body })).status, 200);
+  const limited = await request(env, '/', { method: 'POST', headers, body });
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+});
+
+test('issues API keys only with a valid quota', async () => {
+  const env = createEnv({ ADMIN_TOKEN: 'admin-secret' });
+  const admin = { Authorization: 'Bearer admin-secret' };
+  for (const quota of ['abc', [], { limit: -1 }, { limit: 'x' }, { window: 0 }, { limit: 1.5 }]) {
+    const response = await request(env, '/admin/api-keys', json('POST', { name: 'ci', quota }, admin));
+    assert.equal(response.status, 400, JSON.stringify(quota));
+  }
+
+  const created = await request(env, '/admin/api-keys', json('POST', { name: 'ci', quota: { limit: 5 } }, admin));
+  assert.equal(created.status, 201);
+  assert.equal((await created.json()).quota.limit, 5);
+});
+
+test('caps uploads by size and by message count', async () => {
+  const env = createEnv();
+  const large = await request(env, '/', json('POST', { messages: [{ role: 'user', content: 'x'.repeat(1024 * 1024 + 1) }] }));
+  assert.equal(large.status, 413);
+
+  const messages = Array.from({ length: 1001 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `m${i}` }));
+  const many = await request(env, '/', json('POST', { messages }));
+  assert.equal(many.status, 413);
+  assert.match(await many.text(), /Too many messages \(max 1000\)/);
+
+  const created = await share(env, conversation);
+  const edit = await request(env, `/${created.id}`, json('PUT', { messages }, { 'X-Manage-Token': created.token }));
+  assert.equal(edit.status, 413);
+});
+
+test('fails clearly when the configured backend is missing', async () => {
+  const response = await request({ STORAGE: 'd1' }, '/AAAAAAAA');
+  assert.equal(response.status, 500);
+});
@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { HTMLRewriter } from '@worker-tools/html-rewriter/base64';
+
+// The Workers runtime provides HTMLRewriter; in Node use the same lol-html engine built to WASM
+globalThis.HTMLRewriter ??= HTMLRewriter;
+
+export const { default: worker } = await import('../worker.js');
+
+/**
+ * Fresh in-memory environment per test, with a create limit high enough not to interfere
+ */
+export function createEnv(vars = {}) {
+  return {
+    STORAGE: 'memory',
+    RATE_LIMITS: JSON.stringify({ create: { limit: 1000, window: 60 } }),
+    ...vars
+  };
+}
+
+/**
+ * Call the worker's fetch handler with a path on the test origin
+ */
+export function request(env, path, init = {}) {
+  return worker.fetch(new Request(`https://share.example${path}`, init), env, {});
+}
+
+/**
+ * Request init for a JSON body
+ */
+export function json(method, body, headers = {}) {
+  return { method, headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) };
+}
+
+/**
+ * Create a share, expecting success; returns the POST response plus the owner cookie it set
+ */
+export async function share(env, body, headers = {}) {
+  const response = await request(env, '/', json('POST', body, { 'CF-Connecting-IP': '203.0.113.7', ...headers }));
+  assert.equal(response.status, 200, await response.clone().text());
+  return { ...await response.json(), cookie: response.headers.get('Set-Cookie')?.split(';')[0] };
+}
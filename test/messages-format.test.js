@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const {
+  isOpenAIMessagesJSON,
+  isAnthropicMessagesJSON,
+  parseOpenAIConversation,
+  parseAnthropicConversation
+} = await import('../worker.js');
+
+const openAI = JSON.stringify({
+  messages: [
+    { role: 'developer', content: 'Answer in **one** line.' },
+    { role: 'user', name: 'jane', content: [{ type: 'text', text: 'Weather in Paris?' }, { type: 'image_url', image_url: { url: 'https://example.com/a.png' } }] },
+    { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+    { role: 'tool', tool_call_id: 'call_1', content: '<b>18°C</b>' },
+    { role: 'assistant', content: 'It is 18°C.' }
+  ]
+});
+
+const anthropic = JSON.stringify({
+  system: 'You are terse.',
+  messages: [
+    { role: 'user', content: 'Weather in Paris?' },
+    {
+      role: 'assistant',
+      content: [
+        { type: 'thinking', thinking: 'Need the <tool>' },
+        { type: 'text', text: 'Checking.' },
+        { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }
+      ]
+    },
+    {
+      role: 'user',
+      content: [{ type: 'tool_result', tool_use_id: 'toolu_1', is_error: true, content: [{ type: 'text', text: 'Timeout <after 5s>' }] }]
+    }
+  ]
+});
+
+test('detects each format and tells them apart', () => {
+  assert.equal(isOpenAIMessagesJSON(openAI), true);
+  assert.equal(isAnthropicMessagesJSON(openAI), false);
+  assert.equal(isAnthropicMessagesJSON(anthropic), true);
+
+  // Plain string contents only count as Anthropic with a top-level system or a non-text block
+  const plain = JSON.stringify([{ role: 'user', content: 'Hi' }]);
+  assert.equal(isAnthropicMessagesJSON(plain), false);
+  assert.equal(isOpenAIMessagesJSON(plain), true);
+  assert.equal(isAnthropicMessagesJSON(JSON.stringify({ system: 'x', messages: [{ role: 'user', content: 'Hi' }] })), true);
+
+  for (const content of ['', 'not json', '[]', '{"messages":[]}', '[{"role":"robot","content":"x"}]', '[{"from":"human","value":"x"}]']) {
+    assert.equal(isOpenAIMessagesJSON(content), false, content);
+    assert.equal(isAnthropicMessagesJSON(content), false, content);
+  }
+});
+
+test('parses OpenAI tool calls, looks up tool names by call id and keeps system messages', () => {
+  const { format, messages } = parseOpenAIConversation(openAI);
+  assert.equal(format, 'openai');
+  assert.deepEqual(messages.map(message => [message.role, message.type]), [
+    ['system', 'system'],
+    ['user', 'text'],
+    ['assistant', 'tool_call'],
+    ['tool', 'tool_result'],
+    ['assistant', 'text']
+  ]);
+
+  assert.match(messages[0].content, /<strong>one<\/strong>/);
+  assert.equal(messages[1].name, 'jane');
+  assert.match(messages[1].content, /<img src="https:\/\/example\.com\/a\.png" alt="image">/);
+
+  assert.equal(messages[2].toolName, 'get_weather');
+  assert.equal(messages[2].toolCallId, 'call_1');
+  assert.match(messages[2].content, /<code class="language-json">\{\n {2}&quot;city&quot;: &quot;Paris&quot;\n\}<\/code>/);
+
+  assert.equal(messages[3].toolName, 'get_weather');
+  assert.equal(messages[3].toolCallId, 'call_1');
+  assert.equal(messages[3].content, '&lt;b&gt;18°C&lt;/b&gt;');
+});
+
+test('parses the Anthropic top-level system, tool use and error results', () => {
+  const { format, messages } = parseAnthropicConversation(anthropic);
+  assert.equal(format, 'anthropic');
+  assert.deepEqual(messages.map(message => [message.role, message.type]), [
+    ['system', 'system'],
+    ['user', 'text'],
+    ['assistant', 'text'],
+    ['assistant', 'tool_call'],
+    ['tool', 'tool_result']
+  ]);
+
+  assert.match(messages[0].content, /You are terse\./);
+  assert.match(messages[2].content, /<details><summary>Thinking<\/summary>Need the &lt;tool&gt;<\/details>/);
+  assert.match(messages[2].content, /Checking\./);
+
+  assert.equal(messages[3].toolName, 'get_weather');
+  assert.equal(messages[3].toolCallId, 'toolu_1');
+
+  assert.equal(messages[4].toolName, 'get_weather');
+  assert.equal(messages[4].toolCallId, 'toolu_1');
+  assert.equal(messages[4].isError, true);
+  assert.equal(messages[4].content, 'Timeout &lt;after 5s&gt;');
+});
+
+test('skips malformed tool calls', () => {
+  const payload = [{
+    role: 'assistant',
+    content: null,
+    tool_calls: [null, 'call', { id: 'call_2', function: { name: 'lookup', arguments: '{}' } }],
+    function_call: { name: 'legacy', arguments: '{}' }
+  }];
+
+  const { format, messages } = parseOpenAIConversation(JSON.stringify(payload));
+  assert.equal(format, 'openai');
+  assert.deepEqual(messages.map(message => message.toolName), ['lookup', 'legacy']);
+});
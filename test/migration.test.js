@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv as createTestEnv, request, json } from './helpers.js';
+
+const { getStorage, parseConversationRecord } = await import('../worker.js');
+
+/**
+ * A record as the first release stored it: content inline, no version, no derived metadata
+ */
+const legacyRecord = {
+  id: 'Legacy01',
+  content: {
+    parsed: {
+      messages: [
+        { role: 'user', content: 'What is a monad?' },
+        { role: 'assistant', content: 'A monoid in the category of endofunctors.' }
+      ],
+      format: 'parsed'
+    },
+    raw: 'User: What is a monad?\nAssistant: A **monoid** in the category of endofunctors.',
+    format: 'parsed',
+    metadata: { created: '2024-01-02T03:04:05.000Z', size: 80, ip: '203.0.113.7' }
+  }
+};
+
+const admin = { Authorization: 'Bearer admin-secret' };
+
+function createEnv() {
+  return createTestEnv({ ADMIN_TOKEN: 'admin-secret' });
+}
+
+test('upgrades unversioned records to the current schema', () => {
+  const record = parseConversationRecord(JSON.stringify(legacyRecord));
+
+  assert.equal(record.schemaVersion, 3);
+  assert.equal(record.protection, null);
+  assert.deepEqual(record.content.metadata, {
+    ...legacyRecord.content.metadata,
+    title: 'What is a monad?',
+    customTitle: false,
+    description: record.content.metadata.description,
+    messageCount: 2
+  });
+  assert.match(record.content.metadata.description, /monoid/);
+});
+
+test('drops the layout flag of split records and keeps their metadata', () => {
+  const { parsed, raw, ...content } = legacyRecord.content;
+  const split = { ...legacyRecord, storage: 2, content: { ...content, metadata: { ...content.metadata, title: 'Kept', customTitle: true } } };
+  const record = parseConversationRecord(JSON.stringify(split));
+
+  assert.equal(record.schemaVersion, 3);
+  assert.equal('storage' in record, false);
+  assert.equal(record.content.metadata.title, 'Kept');
+});
+
+test('refuses records written by a newer worker', () => {
+  assert.throws(() => parseConversationRecord(JSON.stringify({ ...legacyRecord, schemaVersion: 99 })), /newer than this worker/);
+});
+
+test('serves legacy records and rewrites them through admin reparse', async () => {
+  const env = createEnv();
+  await getStorage(env).put(legacyRecord.id, JSON.stringify(legacyRecord));
+
+  const page = await request(env, `/${legacyRecord.id}`);
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /What is a monad\?/);
+
+  assert.equal((await request(env, `/admin/reparse/${legacyRecord.id}`, { method: 'POST' })).status, 401);
+
+  const response = await request(env, `/admin/reparse/${legacyRecord.id}`, { method: 'POST', headers: admin });
+  assert.deepEqual(await response.json(), { success: true, id: legacyRecord.id, format: 'parsed', parserVersion: 2, messageCount: 2 });
+
+  // Rewritten in the current layout, with the Markdown in the raw text now rendered
+  const stored = JSON.parse(await getStorage(env).get(legacyRecord.id));
+  assert.equal(stored.schemaVersion, 3);
+  assert.equal('parsed' in stored.content, false);
+  const api = await (await request(env, `/api/conversations/${legacyRecord.id}`)).json();
+  assert.match(api.messages[1].content, /<strong>monoid<\/strong>/);
+});
+
+test('bulk reparse only touches records from an older parser', async () => {
+  const env = createEnv();
+  await getStorage(env).put(legacyRecord.id, JSON.stringify(legacyRecord));
+  const created = await request(env, '/', json('POST', { messages: [{ role: 'user', content: 'fresh' }] }));
+  const { id } = await created.json();
+
+  const scan = async body => (await request(env, '/admin/reparse', json('POST', body, admin))).json();
+
+  const first = await scan({ limit: 100 });
+  assert.deepEqual(first.reparsed, [legacyRecord.id]);
+  assert.equal(first.skipped, 1);
+  assert.equal(first.cursor, null);
+
+  assert.deepEqual((await scan({})).reparsed, []);
+  assert.deepEqual((await scan({ force: true })).reparsed.sort(), [id, legacyRecord.id].sort());
+});
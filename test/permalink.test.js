@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, request, share, worker } from './helpers.js';
+
+const messages = [
+  { role: 'user', content: 'How do I reverse a list in Python?' },
+  { role: 'assistant', content: 'Use slicing: items[::-1]' },
+  { role: 'user', content: 'And in place?' },
+  { role: 'assistant', content: 'Call items.reverse()' }
+];
+
+test('gives every message an anchor and a copy-link button', async () => {
+  const env = createEnv();
+  const { id } = await share(env, { messages });
+
+  const html = await (await request(env, `/${id}`)).text();
+  for (let n = 1; n <= messages.length; n++) {
+    assert.match(html, new RegExp(`<div class="message [^"]*" id="m${n}">`));
+    assert.match(html, new RegExp(`data-message="${n}"`));
+  }
+});
+
+test('renders an excerpt with its own title and preview', async () => {
+  const env = createEnv();
+  const { id } = await share(env, { messages });
+
+  const response = await request(env, `/${id}/m/3-4`);
+  assert.equal(response.status, 200);
+  const html = await response.text();
+  assert.match(html, /<title>How do I reverse a list in Python\? \(messages 3–4\) - ShareGPT<\/title>/);
+  assert.match(html, new RegExp(`<meta property="og:url" content="https://share.example/${id}/m/3-4">`));
+  assert.match(html, new RegExp(`<meta property="og:image" content="https://share.example/${id}/m/3-4/og.png">`));
+  assert.match(html, /<meta property="og:description" content="Call items\.reverse\(\)">/);
+  assert.match(html, /Showing messages 3–4 of 4/);
+  assert.match(html, new RegExp(`href="/${id}#m3"`));
+  assert.match(html, /id="m3"/);
+  assert.doesNotMatch(html, /id="m2"/);
+  assert.doesNotMatch(html, /items\[::-1\]/);
+
+  const single = await (await request(env, `/${id}/m/2`)).text();
+  assert.match(single, /\(message 2\)/);
+
+  const image = await request(env, `/${id}/m/3-4/og.png`);
+  assert.equal(image.status, 200);
+  assert.equal(image.headers.get('Content-Type'), 'image/png');
+});
+
+/**
+ * Minimal Cache API for the render cache, which Node does not have; returns the stored entries by URL
+ */
+function stubRenderCache(t) {
+  const entries = new Map();
+  globalThis.caches = {
+    default: {
+      match: async key => entries.has(key.url) ? entries.get(key.url).clone() : undefined,
+      put: async (key, response) => { entries.set(key.url, new Response(await response.arrayBuffer(), response)); },
+      delete: async key => entries.delete(key.url)
+    }
+  };
+  t.after(() => { delete globalThis.caches; });
+  return entries;
+}
+
+test('caches excerpt cards per range and purges them on edit and delete', async (t) => {
+  const entries = stubRenderCache(t);
+  const cachedRanges = () => [...entries.keys()].filter(url => /\/og-/.test(url)).map(url => /og-([\d-]+)/.exec(url)[1]);
+
+  const env = createEnv();
+  const { id, token } = await share(env, { messages });
+  const first = await request(env, `/${id}/m/3-4/og.png`);
+  assert.equal(first.status, 200);
+  await request(env, `/${id}/m/2/og.png`);
+  assert.deepEqual(cachedRanges(), ['3-4', '2']);
+
+  const hit = await request(env, `/${id}/m/03-4/og.png`);
+  assert.equal(hit.headers.get('ETag'), first.headers.get('ETag'));
+  assert.deepEqual(await hit.arrayBuffer(), await first.arrayBuffer());
+  const revalidated = await request(env, `/${id}/m/3-4/og.png`, { headers: { 'If-None-Match': first.headers.get('ETag') } });
+  assert.equal(revalidated.status, 304);
+
+  await request(env, `/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', 'X-Manage-Token': token },
+    body: JSON.stringify({ messages: messages.slice(0, 2) })
+  });
+  assert.deepEqual(cachedRanges(), []);
+  assert.equal((await request(env, `/${id}/m/3-4/og.png`)).status, 404);
+
+  await request(env, `/${id}/m/1-2/og.png`);
+  assert.deepEqual(cachedRanges(), ['1-2']);
+  await request(env, `/${id}`, { method: 'DELETE', headers: { 'X-Manage-Token': token } });
+  assert.equal(entries.size, 0);
+});
+
+test('rejects malformed or out-of-range excerpts', async () => {
+  const env = createEnv();
+  const { id } = await share(env, { messages });
+
+  assert.equal((await request(env, `/${id}/m/0-2`)).status, 400);
+  assert.equal((await request(env, `/${id}/m/3-2`)).status, 400);
+  assert.equal((await request(env, `/${id}/m/abc`)).status, 400);
+  assert.equal((await request(env, `/${id}/m/2-5`)).status, 404);
+  assert.equal((await request(env, '/zzzzzzzz/m/1-2')).status, 404);
+
+  const burn = await share(env, { messages, burnAfterReading: true });
+  assert.equal((await request(env, `/${burn.id}/m/1-2`)).status, 404);
+  assert.equal((await request(env, `/${burn.id}`)).status, 200);
+});
+
+test('protected excerpts unlock back to the excerpt', async () => {
+  const env = createEnv();
+  const { id } = await share(env, { messages, password: 'hunter2' });
+
+  const locked = await request(env, `/${id}/m/2-9`);
+  assert.equal(locked.status, 401);
+  assert.match(await locked.text(), /name="range" value="2-9"/);
+
+  const unlocked = await request(env, `/${id}/unlock`, {
+    method: 'POST',
+    body: new URLSearchParams({ password: 'hunter2', range: '2-3' })
+  });
+  assert.equal(unlocked.status, 303);
+  assert.equal(unlocked.headers.get('Location'), `/${id}/m/2-3`);
+
+  const cookie = unlocked.headers.get('Set-Cookie').split(';')[0];
+  const excerpt = await request(env, `/${id}/m/2-3`, { headers: { Cookie: cookie } });
+  assert.equal(excerpt.status, 200);
+  assert.equal(excerpt.headers.get('Cache-Control'), 'private, no-store');
+  assert.match(await excerpt.text(), /items\[::-1\]/);
+});
+
+test('caches pages per origin, so absolute URLs follow the host', async (t) => {
+  const entries = stubRenderCache(t);
+  const env = createEnv();
+  const { id, token } = await share(env, { messages });
+  const page = async origin => (await worker.fetch(new Request(`${origin}/${id}`), env, {})).text();
+
+  assert.match(await page('https://share.example'), new RegExp(`rel="canonical" href="https://share.example/${id}"`));
+  assert.match(await page('https://mirror.example'), new RegExp(`rel="canonical" href="https://mirror.example/${id}"`));
+  assert.match(await page('https://share.example'), new RegExp(`rel="canonical" href="https://share.example/${id}"`));
+
+  await request(env, `/${id}`, { method: 'DELETE', headers: { 'X-Manage-Token': token } });
+  assert.equal(entries.size, 0);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { MemoryRateLimitStore } = await import('../worker.js');
+
+const rule = { limit: 3, window: 60 };
+
+test('allows up to the limit, then rejects with Retry-After', async () => {
+  const store = new MemoryRateLimitStore();
+  const start = 1_700_000_000_000;
+
+  for (let i = 0; i < 3; i++) {
+    const result = await store.hit('create:1.2.3.4', rule, start + i * 1000);
+    assert.equal(result.allowed, true);
+    assert.equal(result.remaining, 2 - i);
+  }
+
+  const limited = await store.hit('create:1.2.3.4', rule, start + 3000);
+  assert.equal(limited.allowed, false);
+  assert.equal(limited.remaining, 0);
+  assert.equal(limited.retryAfter, 57);
+  assert.equal(limited.reset, Math.ceil((start + 60_000) / 1000));
+});
+
+test('slides: each hit frees up once it leaves the window', async () => {
+  const store = new MemoryRateLimitStore();
+  const start = 1_700_000_000_000;
+
+  await store.hit('k', rule, start);
+  await store.hit('k', rule, start + 10_000);
+  await store.hit('k', rule, start + 20_000);
+  assert.equal((await store.hit('k', rule, start + 59_000)).allowed, false);
+
+  // The first hit has expired, the other two have not
+  assert.equal((await store.hit('k', rule, start + 60_001)).allowed, true);
+  assert.equal((await store.hit('k', rule, start + 60_002)).allowed, false);
+});
+
+test('rejected hits do not extend the window', async () => {
+  const store = new MemoryRateLimitStore();
+  const start = 1_700_000_000_000;
+
+  for (let i = 0; i < 3; i++) await store.hit('k', rule, start);
+  for (let i = 1; i <= 5; i++) await store.hit('k', rule, start + i * 10_000);
+
+  assert.equal((await store.hit('k', rule, start + 60_001)).allowed, true);
+});
+
+test('keys are limited independently', async () => {
+  const store = new MemoryRateLimitStore();
+
+  for (let i = 0; i < 3; i++) await store.hit('create:a', rule, 0);
+  assert.equal((await store.hit('create:a', rule, 1)).allowed, false);
+  assert.equal((await store.hit('create:b', rule, 1)).allowed, true);
+  assert.equal((await store.hit('unlock:a', rule, 1)).allowed, true);
+});
+
+test('evicts the least recently hit key when full of live windows', async () => {
+  const store = new MemoryRateLimitStore({ maxKeys: 2 });
+
+  for (let i = 0; i < 3; i++) await store.hit('b', rule, 0);
+  for (let i = 0; i < 3; i++) await store.hit('a', rule, 1);
+  await store.hit('c', rule, 2);
+
+  assert.equal((await store.hit('a', rule, 3)).allowed, false);
+  assert.equal((await store.hit('b', rule, 4)).remaining, 2);
+});
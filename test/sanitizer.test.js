@@ -0,0 +1,185 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HTMLRewriter } from '@worker-tools/html-rewriter/base64';
+
+// The Workers runtime provides HTMLRewriter; in Node use the same lol-html engine built to WASM
+globalThis.HTMLRewriter ??= HTMLRewriter;
+
+const { sanitizeHtmlContent } = await import('../worker.js');
+const { createEnv, request, share } = await import('./helpers.js');
+
+/**
+ * XSS payloads the sanitizer must neutralize
+ */
+const XSS_PAYLOADS = [
+  '<script>alert(1)</script>',
+  '<SCRIPT SRC=//evil.example/x.js></SCRIPT>',
+  '<scr<script>ipt>alert(1)</script>',
+  '<img src=x onerror=alert(1)>',
+  '<img src="x" onerror="alert(1)">',
+  "<img src='x' ONERROR='alert(1)'>",
+  '<img src=x onerror=alert(1)//',
+  '<img/src=x/onerror=alert(1)>',
+  '<body onload=alert(1)>',
+  '<div onmouseover="alert(1)">hover</div>',
+  '<p style="background:url(javascript:alert(1))">x</p>',
+  '<a href="javascript:alert(1)">click</a>',
+  '<a href="JaVaScRiPt:alert(1)">click</a>',
+  '<a href=" javascript:alert(1)">click</a>',
+  '<a href="java\tscript:alert(1)">click</a>',
+  '<a href="java&#x09;script:alert(1)">click</a>',
+  '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">click</a>',
+  '<a href="&#x6A;&#x61;&#x76;&#x61;&#x73;&#x63;&#x72;&#x69;&#x70;&#x74;&#x3A;alert(1)">click</a>',
+  '<a href="javascript&colon;alert(1)">click</a>',
+  '<a href="vbscript:msgbox(1)">click</a>',
+  '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">click</a>',
+  '<img src="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+">',
+  '<svg onload=alert(1)>',
+  '<svg><script>alert(1)</script></svg>',
+  '<svg><path/></svg>',
+  '<svg><path d="M0"/><a href="javascript:alert(1)"/></svg><img src=x onerror=alert(1)>',
+  '<math><mi/></math>',
+  '<svg><style><img src=x onerror=alert(1)></style></svg>',
+  '<svg><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>',
+  '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+  '<object data="javascript:alert(1)"></object>',
+  '<embed src="javascript:alert(1)">',
+  '<iframe src="javascript:alert(1)"></iframe>',
+  '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+  '<form action="javascript:alert(1)"><button>x</button></form>',
+  '<button formaction="javascript:alert(1)">x</button>',
+  '<input autofocus onfocus=alert(1)>',
+  '<details open ontoggle=alert(1)>',
+  '<video><source onerror=alert(1)></video>',
+  '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+  '<base href="javascript:alert(1)//">',
+  '<link rel="stylesheet" href="javascript:alert(1)">',
+  '<style>@import "javascript:alert(1)";</style>',
+  '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+  '<xmp><img src=x onerror=alert(1)></xmp>',
+  '<noembed><img src=x onerror=alert(1)></noembed>',
+  '<textarea><img src=x onerror=alert(1)></textarea>',
+  '<template><img src=x onerror=alert(1)></template>',
+  '<plaintext><img src=x onerror=alert(1)>',
+  '<!--<img src=x onerror=alert(1)>-->',
+  '<![CDATA[<img src=x onerror=alert(1)>]]>',
+  '<a href="#" id="location">clobber</a>',
+  '<img src=x name="cookie">',
+  '</div></div><script>alert(1)</script>',
+  '<<foo>img src=x onerror=alert(1)>',
+  '<<script></script>img src=x onerror=alert(1)>'
+];
+
+/**
+ * Tags and attributes that may appear in sanitized output
+ */
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+  'dd', 'del', 'details', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark',
+  'ol', 'p', 'pre', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'summary',
+  'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul', 'var'
+]);
+const ALLOWED_ATTRIBUTES = new Set([
+  'class', 'title', 'lang', 'dir', 'href', 'src', 'alt', 'width', 'height',
+  'start', 'value', 'colspan', 'rowspan', 'align', 'style', 'span', 'open', 'rel'
+]);
+
+/**
+ * Re-parse sanitized output and list every element with its attributes
+ */
+async function inspect(html) {
+  const elements = [];
+  const rewriter = new HTMLRewriter().on('*', {
+    element(e) {
+      elements.push({ tag: e.tagName.toLowerCase(), attributes: [...e.attributes] });
+    }
+  });
+  await rewriter.transform(new Response(html)).text();
+  return elements;
+}
+
+/**
+ * Decode numeric and common named entities, then strip whitespace, as a browser would for a URL
+ */
+function normalizeUrl(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&colon;/gi, ':')
+    .replace(/&tab;/gi, '')
+    .replace(/&newline;/gi, '')
+    .replace(/[\u0000- ]/g, '')
+    .toLowerCase();
+}
+
+for (const payload of XSS_PAYLOADS) {
+  test(`neutralizes ${JSON.stringify(payload)}`, async () => {
+    const output = await sanitizeHtmlContent(payload);
+
+    assert.doesNotMatch(output, /<\s*(script|svg|math|object|embed|iframe|style|form|meta|base|link)\b/i);
+
+    for (const { tag, attributes } of await inspect(output)) {
+      assert.ok(ALLOWED_TAGS.has(tag), `unexpected <${tag}> in ${output}`);
+      for (const [name, value] of attributes) {
+        assert.ok(ALLOWED_ATTRIBUTES.has(name), `unexpected ${name}= in ${output}`);
+        if (name === 'href' || name === 'src') {
+          assert.doesNotMatch(normalizeUrl(value), /^(javascript|vbscript|data):/, `unsafe URL in ${output}`);
+        }
+        if (name === 'style') {
+          assert.match(value, /^text-align:\s*(left|right|center);?$/, `unsafe style in ${output}`);
+        }
+      }
+    }
+  });
+}
+
+test('keeps code blocks, tables and safe links', async () => {
+  const html = '<p>Hi <strong>there</strong></p>' +
+    '<pre><code class="language-js">const a = 1 &lt; 2;</code></pre>' +
+    '<table><thead><tr><th style="text-align: right">a</th></tr></thead><tbody><tr><td>1</td></tr></tbody></table>' +
+    '<a href="https://example.com/?a=1&amp;b=2">link</a><img src="https://example.com/a.png" alt="a">';
+
+  const output = await sanitizeHtmlContent(html);
+
+  assert.match(output, /<pre><code class="language-js">const a = 1 &lt; 2;<\/code><\/pre>/);
+  assert.match(output, /<th style="text-align: right">a<\/th>/);
+  assert.match(output, /<a href="https:\/\/example\.com\/\?a=1&amp;b=2" rel="noopener noreferrer nofollow">link<\/a>/);
+  assert.match(output, /<img src="https:\/\/example\.com\/a\.png" alt="a">/);
+});
+
+test('unwraps unknown tags but keeps their text', async () => {
+  assert.equal(await sanitizeHtmlContent('<font color="red">red <b>bold</b></font>'), 'red <b>bold</b>');
+});
+
+test('drops stray end tags and closes unclosed tags', async () => {
+  assert.equal(await sanitizeHtmlContent('</div></div><p>text'), '<p>text</p>');
+  assert.equal(await sanitizeHtmlContent('<ul><li>a<li>b</ul>'), '<ul><li>a<li>b</li></li></ul>');
+});
+
+test('drops self-closing foreign elements and keeps what follows', async () => {
+  assert.equal(await sanitizeHtmlContent('<p>a</p><svg><path d="M0"/></svg><p>b</p>'), '<p>a</p><p>b</p>');
+  assert.equal(await sanitizeHtmlContent('<math><mi/><mo/></math><p>c</p>'), '<p>c</p>');
+});
+
+test('escapes bare angle brackets so dropped tags cannot join text into markup', async () => {
+  assert.equal(await sanitizeHtmlContent('<<foo>img src=x onerror=alert(1)>'), '&lt;img src=x onerror=alert(1)&gt;');
+  assert.equal(await sanitizeHtmlContent('<p>1 < 2 &amp;&lt; 3</p>'), '<p>1 &lt; 2 &amp;&lt; 3</p>');
+
+  const env = createEnv();
+  const { id } = await share(env, {
+    items: [
+      { from: 'human', value: '<p>hi <<foo>img src=x onerror=alert(1)></p>' },
+      { from: 'gpt', value: '<p>hi <<script></script>img src=x onerror=alert(1)></p>' }
+    ]
+  });
+  const data = await (await request(env, `/api/conversations/${id}`)).json();
+  for (const message of data.messages) {
+    assert.equal(message.content, '<p>hi &lt;img src=x onerror=alert(1)&gt;</p>');
+  }
+});
+
+test('returns an empty string for empty or non-string input', async () => {
+  assert.equal(await sanitizeHtmlContent(''), '');
+  assert.equal(await sanitizeHtmlContent(null), '');
+});
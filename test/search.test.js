@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, request, json, share } from './helpers.js';
+
+const { MemoryStorage, getStorage } = await import('../worker.js');
+
+async function search(env, query) {
+  const response = await request(env, `/api/search?q=${encodeURIComponent(query)}`);
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+const limiter = {
+  public: true,
+  messages: [
+    { role: 'user', content: 'How should I build a rate limiter?' },
+    { role: 'assistant', content: 'Keep a sliding window log per client in a Durable Object.' }
+  ]
+};
+
+test('finds public shares only, ranking shares that match every term first', async () => {
+  const env = createEnv();
+  const both = await share(env, limiter);
+  const one = await share(env, { public: true, messages: [{ role: 'user', content: 'Durable storage options' }] });
+  await share(env, { messages: [{ role: 'user', content: 'A private Durable Object question' }] });
+
+  const result = await search(env, 'durable window');
+  assert.deepEqual(result.results.map(item => item.id), [both.id, one.id]);
+  assert.equal(result.total, 2);
+  assert.equal(result.results[0].url, `https://share.example/${both.id}`);
+  assert.equal(result.results[0].title, 'How should I build a rate limiter?');
+  assert.match(result.results[0].snippet, /sliding <mark>window<\/mark> log per client in a <mark>Durable<\/mark> Object/);
+});
+
+test('matches CJK text by bigrams', async () => {
+  const env = createEnv();
+  const created = await share(env, { public: true, messages: [{ role: 'user', content: '如何設定速率限制？' }] });
+
+  const result = await search(env, '速率限制');
+  assert.deepEqual(result.results.map(item => item.id), [created.id]);
+  assert.match(result.results[0].snippet, /<mark>速率限制<\/mark>/);
+});
+
+test('escapes snippets', async () => {
+  const env = createEnv();
+  await share(env, { public: true, messages: [{ role: 'user', content: 'Why does <img src=x onerror=alert(1)> run?' }] });
+
+  const [result] = (await search(env, 'onerror')).results;
+  assert.doesNotMatch(result.snippet, /<img/);
+});
+
+test('drops shares from the index when they are edited or deleted', async () => {
+  const env = createEnv();
+  const created = await share(env, limiter);
+
+  await request(env, `/${created.id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', 'X-Manage-Token': created.token },
+    body: JSON.stringify({ messages: [{ role: 'user', content: 'Kubernetes ingress' }] })
+  });
+  assert.equal((await search(env, 'durable')).total, 0);
+  assert.equal((await search(env, 'kubernetes')).total, 1);
+
+  await request(env, `/${created.id}`, { method: 'DELETE', headers: { 'X-Manage-Token': created.token } });
+  assert.equal((await search(env, 'kubernetes')).total, 0);
+});
+
+test('rewrites only the postings an edit changes, in one batch', async () => {
+  const env = createEnv();
+  const words = Array.from({ length: 40 }, (_, index) => `word${index}`).join(' ');
+  const conversation = content => [{ role: 'user', content: 'Word list' }, { role: 'assistant', content: content }];
+  const created = await share(env, { public: true, messages: conversation(words) });
+
+  const batches = [];
+  const batch = MemoryStorage.prototype.batch;
+  MemoryStorage.prototype.batch = function (operations) {
+    batches.push(operations);
+    return batch.call(this, operations);
+  };
+  try {
+    await request(env, `/${created.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'X-Manage-Token': created.token },
+      body: JSON.stringify({ messages: conversation(`${words.replace('word0 ', '')} kubernetes`) })
+    });
+  } finally {
+    MemoryStorage.prototype.batch = batch;
+  }
+
+  const postings = batches.flat().filter(operation => operation.key.startsWith('search:term:'));
+  assert.deepEqual(postings.map(({ key, delete: remove }) => [key.split(':')[2], Boolean(remove)]).sort(), [
+    ['kubernetes', false],
+    ['word0', true]
+  ]);
+  assert.equal((await search(env, 'kubernetes')).total, 1);
+  assert.equal((await search(env, 'word0')).total, 0);
+  assert.equal((await search(env, 'word1')).total, 1);
+});
+
+test('keeps the newest postings when a term has too many and reports the truncation', async t => {
+  const env = createEnv();
+  const storage = getStorage(env);
+  for (let i = 0; i < 1000; i++) {
+    await storage.put(`search:term:durable:8000000000000:old${String(i).padStart(4, '0')}`, 'old', { metadata: { tf: 1, length: 10 } });
+  }
+  const created = await share(env, limiter);
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  // Without recency in the keys, the new share would sort after the 1000 older postings and be cut
+  const result = await search(env, 'durable window');
+  assert.equal(result.truncated, true);
+  assert.equal(result.results[0].id, created.id);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /durable/);
+  assert.equal((await search(env, 'kubernetes')).truncated, false);
+});
+
+test('rejects public shares that are protected or burn after reading', async () => {
+  const env = createEnv();
+  assert.equal((await request(env, '/', json('POST', { ...limiter, password: 'secret' }))).status, 400);
+  assert.equal((await request(env, '/', json('POST', { ...limiter, burnAfterReading: true }))).status, 400);
+});
+
+test('renders the search page with highlighted results', async () => {
+  const env = createEnv();
+  await share(env, limiter);
+
+  const response = await request(env, '/search?q=limiter');
+  assert.equal(response.status, 200);
+  const html = await response.text();
+  assert.match(html, /value="limiter"/);
+  assert.match(html, /<mark>limiter<\/mark>/);
+
+  assert.equal((await request(env, '/api/search')).status, 400);
+});
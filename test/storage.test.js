@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { MemoryStorage } = await import('../worker.js');
+
+test('stores text and binary values and returns them in the requested type', async () => {
+  const storage = new MemoryStorage();
+  await storage.put('text', '{"a":1}');
+  await storage.put('binary', new Uint8Array([104, 105]).buffer);
+
+  assert.equal(await storage.get('text'), '{"a":1}');
+  assert.deepEqual(await storage.get('text', 'json'), { a: 1 });
+  assert.equal(await storage.get('binary'), 'hi');
+  assert.deepEqual(new Uint8Array(await storage.get('text', 'arrayBuffer')), new TextEncoder().encode('{"a":1}'));
+  assert.equal(await storage.get('missing'), null);
+});
+
+test('keeps metadata and copies binary values on write', async () => {
+  const storage = new MemoryStorage();
+  const bytes = new Uint8Array([1, 2, 3]);
+  await storage.put('k', bytes, { metadata: { encoding: 'gzip' } });
+  bytes[0] = 9;
+
+  const { value, metadata } = await storage.getWithMetadata('k', 'arrayBuffer');
+  assert.deepEqual([...new Uint8Array(value)], [1, 2, 3]);
+  assert.deepEqual(metadata, { encoding: 'gzip' });
+  assert.deepEqual(await storage.getWithMetadata('missing'), { value: null, metadata: null });
+});
+
+test('hides expired keys', async () => {
+  const storage = new MemoryStorage();
+  const now = Math.floor(Date.now() / 1000);
+  await storage.put('past', 'x', { expiration: now - 1 });
+  await storage.put('future', 'x', { expirationTtl: 60 });
+
+  assert.equal(await storage.get('past'), null);
+  assert.equal(await storage.get('future'), 'x');
+  assert.deepEqual((await storage.list()).keys.map(key => key.name), ['future']);
+});
+
+test('lists by prefix in key order with cursors', async () => {
+  const storage = new MemoryStorage();
+  for (const name of ['b:2', 'a:1', 'b:1', 'b:3']) {
+    await storage.put(name, name, { metadata: { name } });
+  }
+
+  const first = await storage.list({ prefix: 'b:', limit: 2 });
+  assert.deepEqual(first.keys, [{ name: 'b:1', metadata: { name: 'b:1' } }, { name: 'b:2', metadata: { name: 'b:2' } }]);
+  assert.equal(first.list_complete, false);
+
+  const second = await storage.list({ prefix: 'b:', limit: 2, cursor: first.cursor });
+  assert.deepEqual(second.keys.map(key => key.name), ['b:3']);
+  assert.equal(second.list_complete, true);
+});
+
+test('deletes keys', async () => {
+  const storage = new MemoryStorage();
+  await storage.put('k', 'v');
+  await storage.delete('k');
+  assert.equal(await storage.get('k'), null);
+});
+
+test('applies a batch of puts and deletes', async () => {
+  const storage = new MemoryStorage();
+  await storage.put('old', 'v');
+  await storage.batch([
+    { key: 'old', delete: true },
+    { key: 'new', value: 'v', options: { metadata: { n: 1 } } }
+  ]);
+  assert.equal(await storage.get('old'), null);
+  assert.deepEqual(await storage.getWithMetadata('new'), { value: 'v', metadata: { n: 1 } });
+});
@@ -3,12 +3,23 @@
  * A service for sharing chat conversations with random IDs
  */
 
+import { OG_FONT } from './og-font.js';
+
 export default {
   async fetch(request, env, ctx) {
     return await handleRequest(request, env);
   }
 };
 
+// Durable Object class backing the rate limiter (bound as RATE_LIMITER in wrangler.toml)
+export { RateLimiter };
+
+// Named exports for the Node test suite; the Workers runtime only uses the default export
+export {
+  sanitizeHtmlContent, htmlToMarkdown, MemoryRateLimitStore, MemoryStorage, getStorage, parseConversationRecord, redactText,
+  isOpenAIMessagesJSON, isAnthropicMessagesJSON, parseOpenAIConversation, parseAnthropicConversation
+};
+
 /**
  * Main request handler
  */
@@ -20,8 +31,9 @@ async function handleRequest(request, env) {
   // CORS headers
   const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Manage-Token, X-Share-Password, If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset',
   };
 
   // Handle CORS preflight
@@ -29,28 +41,163 @@ async function handleRequest(request, env) {
     return new Response(null, { headers: corsHeaders });
   }
 
+  // A dedicated raw origin (RAW_ORIGIN) only ever serves sandboxed raw content
+  const rawOrigin = getRawOrigin(env);
+  if (rawOrigin && url.origin === rawOrigin) {
+    if (method === 'GET' && /^\/raw\/[^/]+\/content$/.test(path)) {
+      return await handleRawContent(path.slice(5, -8), request, env);
+    }
+    return new Response('Not Found', { status: 404 });
+  }
+
   try {
     // POST / - Save conversation
     if (method === 'POST' && path === '/') {
       return await handlePost(request, env, corsHeaders);
     }
+
+    // GET /api/conversations - List the caller's own shares
+    if (method === 'GET' && path === '/api/conversations') {
+      return await handleListConversations(request, env, corsHeaders);
+    }
+
+    // DELETE /api/conversations - Bulk delete the caller's own shares
+    if (method === 'DELETE' && path === '/api/conversations') {
+      return await handleBulkDelete(request, env, corsHeaders);
+    }
+
+    // GET /dashboard - Owner dashboard listing the caller's shares
+    if (method === 'GET' && path === '/dashboard') {
+      const nonce = generateNonce();
+      return new Response(getDashboardPage(nonce), {
+        headers: {
+          ...corsHeaders,
+          ...htmlSecurityHeaders({ nonce }),
+          'Content-Type': 'text/html; charset=utf-8',
+          'Cache-Control': 'no-store'
+        }
+      });
+    }
+
+    // GET /search - Search page for public shares
+    if (method === 'GET' && path === '/search') {
+      return await handleSearchPage(request, env, corsHeaders);
+    }
+
+    // GET /api/search - Ranked public shares as JSON
+    if (method === 'GET' && path === '/api/search') {
+      return await handleSearchApi(request, env, corsHeaders);
+    }
+
+    // GET /gallery - Recent public shares, optionally by tag
+    if (method === 'GET' && path === '/gallery') {
+      return await handleGalleryPage(request, env, corsHeaders);
+    }
+
+    // GET /api/gallery - Recent public shares as JSON
+    if (method === 'GET' && path === '/api/gallery') {
+      return await handleGalleryApi(request, env, corsHeaders);
+    }
+
+    // /api/collections[/{slug}] - Create, read, replace and delete collections of shares
+    if (path === '/api/collections' || path.startsWith('/api/collections/')) {
+      return await handleCollectionsApi(path.slice(16), request, env, corsHeaders); // Remove '/api/collections'
+    }
+
+    // GET /c/{slug} - Collection page
+    if (method === 'GET' && path.startsWith('/c/')) {
+      return await handleCollectionPage(path.slice(3), request, env, corsHeaders);
+    }
+
+    // /admin/api-keys - Issue, list and revoke API keys (requires ADMIN_TOKEN)
+    if (path === '/admin/api-keys' || path.startsWith('/admin/api-keys/')) {
+      return await handleAdminApiKeys(path.slice(15), request, env, corsHeaders); // Remove '/admin/api-keys'
+    }
+
+    // POST /admin/reparse[/{id}] - Re-parse stored raw content with the current parser (requires ADMIN_TOKEN)
+    if (method === 'POST' && (path === '/admin/reparse' || path.startsWith('/admin/reparse/'))) {
+      return await handleAdminReparse(path.slice(14), request, env, corsHeaders); // Remove '/admin/reparse'
+    }
     
-    // GET /raw/{id} - Return raw HTML directly
+    // PUT /{id} - Replace conversation content (requires management token)
+    if (method === 'PUT' && path.length > 1) {
+      return await handlePut(path.slice(1), request, env, corsHeaders);
+    }
+
+    // DELETE /{id} - Remove conversation (requires management token)
+    if (method === 'DELETE' && path.length > 1) {
+      return await handleDelete(path.slice(1), request, env, corsHeaders);
+    }
+
+    // POST /{id}/unlock - Submit password for a protected conversation
+    if (method === 'POST' && path.endsWith('/unlock')) {
+      const id = path.slice(1, -7); // Remove leading slash and '/unlock'
+      return await handleUnlock(id, request, env, corsHeaders);
+    }
+
+    // GET /api/conversations/{id} - Parsed conversation as JSON
+    if (method === 'GET' && path.startsWith('/api/conversations/')) {
+      const id = path.slice(19); // Remove '/api/conversations/'
+      return await handleApiGet(id, request, env, corsHeaders);
+    }
+
+    // GET /{id}.md|.json|.txt|.html - Download an export of the conversation
+    const exportMatch = /^\/([a-zA-Z0-9]{8})\.(md|json|txt|html)$/.exec(path);
+    if (method === 'GET' && exportMatch) {
+      return await handleExport(exportMatch[1], exportMatch[2], request, env, corsHeaders);
+    }
+
+    // GET /{id}/fork - Editor for a new share derived from this one
+    const forkMatch = /^\/([a-zA-Z0-9]{8})\/fork$/.exec(path);
+    if (method === 'GET' && forkMatch) {
+      return await handleForkEditor(forkMatch[1], request, env, corsHeaders);
+    }
+
+    // GET /{id}/m/{from}-{to}[/og.png] - Excerpt of a range of messages, and its preview image
+    const excerptMatch = /^\/([a-zA-Z0-9]{8})\/m\/([^/]+?)(\/og\.png)?$/.exec(path);
+    if (method === 'GET' && excerptMatch) {
+      const [, id, rangeText, ogImage] = excerptMatch;
+      return ogImage
+        ? await handleExcerptOgImage(id, rangeText, request, env, corsHeaders)
+        : await handleExcerpt(id, rangeText, request, env, corsHeaders);
+    }
+
+    // GET /{id}/og.png - Open Graph preview image
+    const ogMatch = /^\/([a-zA-Z0-9]{8})\/og\.png$/.exec(path);
+    if (method === 'GET' && ogMatch) {
+      return await handleOgImage(ogMatch[1], request, env, corsHeaders);
+    }
+
+    // GET /raw/{id}/content - Raw HTML itself, sandboxed by CSP (loaded by the raw viewer)
+    if (method === 'GET' && path.startsWith('/raw/') && path.endsWith('/content')) {
+      const id = path.slice(5, -8); // Remove '/raw/' and '/content'
+      if (rawOrigin) {
+        return Response.redirect(`${rawOrigin}${path}${url.search}`, 302);
+      }
+      return await handleRawContent(id, request, env);
+    }
+
+    // GET /raw/{id} - Show raw HTML in a sandboxed viewer
     if (method === 'GET' && path.startsWith('/raw/')) {
       const id = path.slice(5); // Remove '/raw/'
-      return await handleGet(id, env, corsHeaders, true);
+      return await handleGet(id, request, env, corsHeaders, true);
     }
     
     // GET /{id} - Retrieve and display conversation
     if (method === 'GET' && path.length > 1) {
       const id = path.slice(1); // Remove leading slash
-      return await handleGet(id, env, corsHeaders);
+      return await handleGet(id, request, env, corsHeaders);
     }
     
     // GET / - Show upload form
     if (method === 'GET' && path === '/') {
-      return new Response(getUploadForm(), {
-        headers: { ...corsHeaders, 'Content-Type': 'text/html' }
+      const nonce = generateNonce();
+      return new Response(getUploadForm(nonce), {
+        headers: {
+          ...corsHeaders,
+          ...htmlSecurityHeaders({ nonce }),
+          'Content-Type': 'text/html; charset=utf-8'
+        }
       });
     }
 
@@ -61,7 +208,7 @@ async function handleRequest(request, env) {
 
   } catch (error) {
     console.error('Error:', error);
-    return new Response(`Error: ${error.message}`, { 
+    return new Response('Internal Server Error', { 
       status: 500,
       headers: corsHeaders 
     });
@@ -72,33 +219,32 @@ async function handleRequest(request, env) {
  * Handle POST request to save conversation
  */
 async function handlePost(request, env, corsHeaders) {
-  // Rate limiting check
+  // API-key clients get their own quota; anonymous posting is limited per IP
   const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
-  await checkRateLimit(env, clientIP);
+  const owner = await resolveOwner(request, env);
+  if (owner === false) {
+    return new Response('Invalid or revoked API key', { 
+      status: 401,
+      headers: { ...corsHeaders, 'WWW-Authenticate': 'Bearer' }
+    });
+  }
+  const apiKey = owner?.apiKey;
+  const rateLimit = apiKey
+    ? await checkRateLimit(env, 'apikey', apiKey.id, apiKey.quota)
+    : await checkRateLimit(env, 'create', clientIP);
+  if (!rateLimit.allowed) {
+    return new Response('Rate limit exceeded. Please try again later.', {
+      status: 429,
+      headers: { ...corsHeaders, ...rateLimitHeaders(rateLimit) }
+    });
+  }
 
-    // Get request body
-    const contentType = request.headers.get('Content-Type') || '';
-    let htmlContent;
-  
-    if (contentType.includes('application/json')) {
-      // ===== 新增：包住 JSON 解析，避免壞 JSON 直接 throw =====
-      let body;
-      try {
-        body = await request.json();
-      } catch (e) {
-        return new Response('Bad JSON', { status: 400, headers: corsHeaders });
-      }
-  
-      // ===== 新增：支援 items 陣列 =====
-      if (Array.isArray(body.items)) {
-        // 直接序列化，以沿用既有 isValidConversationJSON / parseJSONConversation
-        htmlContent = JSON.stringify(body.items);
-      } else {
-        htmlContent = body.html || body.content;
-      }
-    } else {
-      htmlContent = await request.text();
-    }
+  // Get request body
+  const submission = await readSubmission(request);
+  if (submission.error) {
+    return new Response(submission.error, { status: 400, headers: corsHeaders });
+  }
+  let htmlContent = submission.content;
 
   // Preprocess content to remove multipart artifacts and clean formatting
   htmlContent = preprocessContent(htmlContent);
@@ -110,37 +256,130 @@ async function handlePost(request, env, corsHeaders) {
     });
   }
 
-  // Validate content size (max 1MB)
-  if (htmlContent.length > 1024 * 1024) {
-    return new Response('Content too large (max 1MB)', { 
+  // Validate content size
+  if (htmlContent.length > MAX_CONTENT_SIZE) {
+    return new Response(`Content too large (max ${MAX_CONTENT_SIZE / 1024 / 1024}MB)`, { 
       status: 413,
       headers: corsHeaders 
     });
   }
 
-  // Generate unique ID
+  const title = normalizeTitle(submission.body.title);
+  if (title === false) {
+    return new Response('Invalid title (must be a string of at most 200 characters)', { 
+      status: 400,
+      headers: corsHeaders 
+    });
+  }
+  const tags = normalizeTags(submission.body.tags);
+  if (tags === false) {
+    return new Response('Invalid tags (up to 10 tags of at most 32 letters, digits, dashes or underscores)', { 
+      status: 400,
+      headers: corsHeaders 
+    });
+  }
+
+  // Parse, masking, reporting or refusing secrets and personal data per REDACTION_MODE
+  const redaction = await parseWithRedaction(env, htmlContent, { title, tags });
+  if (redaction.error) {
+    return new Response(redaction.error, { 
+      status: 422,
+      headers: corsHeaders 
+    });
+  }
+  if ((redaction.parsed?.messages?.length || 0) > MAX_MESSAGE_COUNT) {
+    return new Response(`Too many messages (max ${MAX_MESSAGE_COUNT})`, { 
+      status: 413,
+      headers: corsHeaders 
+    });
+  }
+  htmlContent = redaction.raw;
+  const { title: redactedTitle, tags: redactedTags } = redaction.fields;
+  const parsedContent = redaction.parsed;
+
+  // Validate sharing options
+  const expiresIn = submission.body.expiresIn;
+  const ttl = expiresIn ? parseDuration(expiresIn) : null;
+  if (expiresIn && !ttl) {
+    return new Response('Invalid expiresIn (use e.g. 1h, 1d, 30d; max 365d)', { 
+      status: 400,
+      headers: corsHeaders 
+    });
+  }
+  const burnAfterReading = submission.body.burnAfterReading === true;
+  const password = submission.body.password;
+  if (password !== undefined && (typeof password !== 'string' || password.length === 0)) {
+    return new Response('Invalid password', { 
+      status: 400,
+      headers: corsHeaders 
+    });
+  }
+  // Public shares are listed in search, so they must be readable by anyone who finds them
+  const isPublic = submission.body.public === true;
+  if (isPublic && (password || burnAfterReading)) {
+    return new Response('Public shares cannot be password-protected or burn-after-reading', { 
+      status: 400,
+      headers: corsHeaders 
+    });
+  }
+  // Forks link back to the share they were derived from
+  const forkedFrom = submission.body.forkedFrom ?? null;
+  if (forkedFrom !== null && !await isForkable(env, forkedFrom)) {
+    return new Response('Invalid forkedFrom (must be the id of an existing conversation)', { 
+      status: 400,
+      headers: corsHeaders 
+    });
+  }
+
+  // First-time browser uploaders get an owner cookie so the dashboard can find their shares
+  let ownerId = owner?.ownerId;
+  let ownerCookie = null;
+  if (!owner) {
+    const ownerToken = generateManageToken();
+    ownerId = await anonymousOwnerId(ownerToken);
+    ownerCookie = `${OWNER_COOKIE}=${ownerToken}; Path=/; Max-Age=${OWNER_COOKIE_MAX_AGE}; HttpOnly; Secure; SameSite=Lax`;
+  }
+
+  // Generate unique ID and management token
   const id = await generateUniqueId(env);
-  
-  // Parse HTML content
-  const parsedContent = await parseHtmlContent(htmlContent);
+  const manageToken = generateManageToken();
   
   // Create data structure
   const conversationData = {
     id: id,
+    manageTokenHash: await hashToken(manageToken),
+    apiKeyId: apiKey ? apiKey.id : null,
+    ownerId: ownerId,
+    protection: password ? await createPasswordProtection(password) : null,
     content: {
       parsed: parsedContent,
       raw: htmlContent,
       format: parsedContent?.format || 'raw',
+      parserVersion: PARSER_VERSION,
       metadata: {
+        ...derivedMetadata(parsedContent, {}, redactedTitle),
         created: new Date().toISOString(),
         size: htmlContent.length,
-        ip: clientIP
+        ip: clientIP,
+        expiresAt: ttl ? new Date(Date.now() + ttl * 1000).toISOString() : null,
+        burnAfterReading: burnAfterReading,
+        public: isPublic,
+        tags: redactedTags,
+        forkedFrom: forkedFrom
       }
     }
   };
 
-  // Save to KV
-  await env.sharegpt.put(id, JSON.stringify(conversationData));
+  // Save, letting the storage backend drop expiring shares on its own
+  await saveConversation(env, conversationData);
+  await indexOwnedConversation(env, conversationData);
+  if (isPublic) {
+    await indexPublicConversation(env, conversationData);
+  }
+  if (forkedFrom) {
+    await indexForkedConversation(env, conversationData);
+    await purgeRenderCache(forkedFrom);
+  }
 
   // Return share URL
   const shareUrl = `${new URL(request.url).origin}/${id}`;
@@ -148,19 +387,196 @@ async function handlePost(request, env, corsHeaders) {
   return new Response(JSON.stringify({ 
     success: true, 
     id: id,
-    url: shareUrl 
+    url: shareUrl,
+    token: manageToken,
+    expiresAt: conversationData.content.metadata.expiresAt,
+    burnAfterReading: burnAfterReading,
+    passwordProtected: Boolean(password),
+    public: isPublic,
+    tags: redactedTags,
+    forkedFrom: forkedFrom,
+    redactionMode: redaction.mode,
+    redactions: redaction.redactions
   }), {
     headers: { 
       ...corsHeaders, 
+      ...rateLimitHeaders(rateLimit),
+      ...(ownerCookie ? { 'Set-Cookie': ownerCookie } : {}),
       'Content-Type': 'application/json' 
     }
   });
 }
 
+/**
+ * Read submitted conversation content from a POST/PUT request body
+ */
+async function readSubmission(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+
+  if (contentType.includes('application/json')) {
+    // ===== 新增：包住 JSON 解析，避免壞 JSON 直接 throw =====
+    let body;
+    try {
+      body = await request.json();
+    } catch (e) {
+      return { error: 'Bad JSON' };
+    }
+    if (!body || typeof body !== 'object') {
+      return { error: 'Bad JSON' };
+    }
+
+    // ===== 新增：支援 items 陣列 =====
+    if (Array.isArray(body.items)) {
+      // 直接序列化，以沿用既有 isValidConversationJSON / parseJSONConversation
+      return { content: JSON.stringify(body.items), body };
+    }
+
+    // OpenAI / Anthropic style payloads posted directly
+    if (Array.isArray(body.messages)) {
+      return { content: JSON.stringify({ system: body.system, messages: body.messages }), body };
+    }
+    return { content: body.html || body.content, body };
+  }
+
+  return { content: await request.text(), body: {} };
+}
+
+/**
+ * Handle PUT request to replace a conversation's content
+ */
+async function handlePut(id, request, env, corsHeaders) {
+  const auth = await authorizeManage(id, request, env, corsHeaders);
+  if (auth.response) return auth.response;
+  const conversationData = auth.conversationData;
+
+  const submission = await readSubmission(request);
+  if (submission.error) {
+    return jsonResponse({ success: false, error: submission.error }, 400, corsHeaders);
+  }
+  const htmlContent = preprocessContent(submission.content);
+
+  if (!htmlContent || htmlContent.length === 0) {
+    return jsonResponse({ success: false, error: 'No content provided' }, 400, corsHeaders);
+  }
+
+  const title = normalizeTitle(submission.body.title);
+  if (title === false) {
+    return jsonResponse({ success: false, error: 'Invalid title (must be a string of at most 200 characters)' }, 400, corsHeaders);
+  }
+
+  // Tags are replaced when given and kept otherwise
+  const tags = submission.body.tags === undefined
+    ? conversationData.content.metadata.tags || []
+    : normalizeTags(submission.body.tags);
+  if (tags === false) {
+    return jsonResponse({ success: false, error: 'Invalid tags (up to 10 tags of at most 32 letters, digits, dashes or underscores)' }, 400, corsHeaders);
+  }
+
+  if (htmlContent.length > MAX_CONTENT_SIZE) {
+    return jsonResponse({ success: false, error: `Content too large (max ${MAX_CONTENT_SIZE / 1024 / 1024}MB)` }, 413, corsHeaders);
+  }
+
+  // Re-parse the edited content through the same pipeline as POST, redaction included
+  const redaction = await parseWithRedaction(env, htmlContent, { title, tags });
+  if (redaction.error) {
+    return jsonResponse({ success: false, error: redaction.error }, 422, corsHeaders);
+  }
+  if ((redaction.parsed?.messages?.length || 0) > MAX_MESSAGE_COUNT) {
+    return jsonResponse({ success: false, error: `Too many messages (max ${MAX_MESSAGE_COUNT})` }, 413, corsHeaders);
+  }
+  const parsedContent = redaction.parsed;
+  const previous = conversationData.content.metadata;
+  conversationData.content = {
+    parsed: parsedContent,
+    raw: redaction.raw,
+    format: parsedContent?.format || 'raw',
+    parserVersion: PARSER_VERSION,
+    metadata: {
+      ...previous,
+      ...derivedMetadata(parsedContent, previous, redaction.fields.title),
+      tags: redaction.fields.tags,
+      updated: new Date().toISOString(),
+      size: redaction.raw.length
+    }
+  };
+
+  await saveConversation(env, conversationData);
+  await indexOwnedConversation(env, conversationData);
+  if (previous.public) {
+    await indexPublicConversation(env, conversationData);
+  }
+  if (previous.forkedFrom) {
+    await indexForkedConversation(env, conversationData);
+    await purgeRenderCache(previous.forkedFrom);
+  }
+  await purgeRenderCache(id);
+
+  return jsonResponse({
+    success: true,
+    id: id,
+    redactionMode: redaction.mode,
+    redactions: redaction.redactions
+  }, 200, corsHeaders);
+}
+
+/**
+ * Handle DELETE request to remove a conversation
+ */
+async function handleDelete(id, request, env, corsHeaders) {
+  const auth = await authorizeManage(id, request, env, corsHeaders);
+  if (auth.response) return auth.response;
+
+  await deleteConversation(env, auth.conversationData);
+  await purgeRenderCache(id);
+
+  return jsonResponse({ success: true, id: id }, 200, corsHeaders);
+}
+
+/**
+ * Load a conversation and verify the X-Manage-Token header against its stored hash
+ */
+async function authorizeManage(id, request, env, corsHeaders) {
+  if (!/^[a-zA-Z0-9]{8}$/.test(id)) {
+    return { response: jsonResponse({ success: false, error: 'Invalid conversation ID' }, 400, corsHeaders) };
+  }
+
+  const token = request.headers.get('X-Manage-Token');
+  if (!token) {
+    return { response: jsonResponse({ success: false, error: 'Management token required' }, 401, corsHeaders) };
+  }
+
+  const data = await getStorage(env).get(id);
+  if (!data) {
+    return { response: jsonResponse({ success: false, error: 'Conversation not found' }, 404, corsHeaders) };
+  }
+
+  const conversationData = parseConversationRecord(data);
+  // Records created before management tokens existed can never be managed
+  if (!conversationData.manageTokenHash ||
+      conversationData.manageTokenHash !== await hashToken(token)) {
+    return { response: jsonResponse({ success: false, error: 'Invalid management token' }, 403, corsHeaders) };
+  }
+
+  return { conversationData };
+}
+
+/**
+ * Build a JSON response with CORS headers
+ */
+function jsonResponse(payload, status, corsHeaders) {
+  return new Response(JSON.stringify(payload), {
+    status: status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
 /**
  * Handle GET request to display conversation
  */
-async function handleGet(id, env, corsHeaders, rawMode = false) {
+async function handleGet(id, request, env, corsHeaders, rawMode = false) {
   // Validate ID format
   if (!/^[a-zA-Z0-9]{8}$/.test(id)) {
     return new Response('Invalid conversation ID', { 
@@ -169,384 +585,4807 @@ async function handleGet(id, env, corsHeaders, rawMode = false) {
     });
   }
 
-  // Retrieve from KV
-  const data = await env.sharegpt.get(id);
-  if (!data) {
+  // Public shares are served from the edge cache without touching storage
+  const renderKind = rawMode ? 'viewer' : 'page';
+  const cached = await matchRenderCache(request, id, renderKind);
+  if (cached) return cached;
+
+  // Retrieve from storage
+  const conversationData = await loadConversation(id, env);
+  if (!conversationData) {
     return new Response('Conversation not found', { 
       status: 404,
       headers: corsHeaders 
     });
   }
+  const { metadata } = conversationData.content;
+
+  // Password-protected shares need a valid unlock cookie for this session
+  if (conversationData.protection &&
+      !await hasUnlockCookie(request, id, conversationData.protection)) {
+    return new Response(getUnlockForm(id, rawMode), {
+      status: 401,
+      headers: {
+        ...corsHeaders,
+        ...htmlSecurityHeaders(),
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+
+  let cacheControl = `public, max-age=${cacheMaxAge(metadata)}`;
+  if (metadata.burnAfterReading) {
+    cacheControl = 'no-store';
+  } else if (conversationData.protection) {
+    cacheControl = 'private, no-store';
+  }
 
-  const conversationData = JSON.parse(data);
+  const pageMeta = {
+    title: getConversationTitle(conversationData),
+    description: getConversationDescription(conversationData),
+    url: `${new URL(request.url).origin}/${id}`,
+    image: `${new URL(request.url).origin}/${id}/og.png`
+  };
+
+  // Chat apps fetch links to build previews; that must not burn the share or reveal its content
+  if (metadata.burnAfterReading && isLinkPreviewBot(request)) {
+    return new Response(getLinkPreviewHtml({
+      title: 'Burn-after-reading conversation',
+      description: 'This shared conversation is deleted after it is opened once.',
+      url: pageMeta.url,
+      image: pageMeta.image
+    }), {
+      headers: {
+        ...corsHeaders,
+        ...htmlSecurityHeaders(),
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
   
-  // If rawMode is true or format is 'raw', return raw HTML directly
+  // If rawMode is true or format is 'raw', frame the raw HTML in a sandbox.
+  // The viewer does not count as a view: burn-after-reading happens when the content loads.
   if (rawMode || conversationData.content.format === 'raw') {
-    return new Response(conversationData.content.raw, {
-      headers: { 
-        ...corsHeaders, 
-       'Content-Type': 'text/html; charset=utf-8',
-        'Cache-Control': 'public, max-age=3600'
+    const rawOrigin = getRawOrigin(env);
+    let src = `${rawOrigin || ''}/raw/${id}/content`;
+    if (conversationData.protection) {
+      src += `?t=${await createRawContentToken(id, conversationData.protection)}`;
+    }
+    return await respondWithRenderCache(request, conversationData, renderKind, {
+      body: getRawViewerHtml(id, src, pageMeta),
+      headers: {
+        ...corsHeaders,
+        ...htmlSecurityHeaders({ frameSrc: rawOrigin || "'self'" }),
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': conversationData.protection ? 'private, no-store' : cacheControl
       }
     });
   }
+
+  // Formatted view needs the parsed messages (read before a burn deletes them)
+  await loadConversationContent(env, conversationData, { parsed: true });
+
+  // Burn-after-reading shares are removed on their first view
+  if (metadata.burnAfterReading) {
+    await deleteConversation(env, conversationData);
+  }
   
   // Otherwise, generate formatted conversation HTML
-  const html = generateConversationHtml(conversationData);
+  const forks = metadata.burnAfterReading ? [] : await listForks(env, id);
+  const nonce = generateNonce();
+  const html = await generateConversationHtml(conversationData, { nonce, url: pageMeta.url, image: pageMeta.image, forks });
 
-  return new Response(html, {
+  return await respondWithRenderCache(request, conversationData, renderKind, {
+    body: html,
+    nonce: nonce,
+    // Forks are added and removed without touching this share, so the ETag follows the list too
+    variant: forks.length > 0 ? (await hashToken(JSON.stringify(forks))).slice(0, 12) : '',
     headers: { 
       ...corsHeaders, 
+      ...htmlSecurityHeaders({ nonce }),
      'Content-Type': 'text/html; charset=utf-8',
-      'Cache-Control': 'public, max-age=3600'
+      'Cache-Control': cacheControl
     }
   });
 }
 
 /**
- * Generate unique 8-character ID
+ * Parse the "{from}-{to}" (or single "{n}") part of an excerpt URL into a 1-based,
+ * inclusive range; null if malformed
  */
-async function generateUniqueId(env) {
-  const chars = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKMNPQRSTUVWXYZ23456789';
-  let attempts = 0;
-  const maxAttempts = 10;
-
-  while (attempts < maxAttempts) {
-    let id = '';
-    for (let i = 0; i < 8; i++) {
-      id += chars[Math.floor(Math.random() * chars.length)];
-    }
+function parseMessageRange(text) {
+  const match = /^(\d{1,5})(?:-(\d{1,5}))?$/.exec(text || '');
+  if (!match) return null;
+  const from = Number(match[1]);
+  const to = Number(match[2] ?? match[1]);
+  return from >= 1 && from <= to ? { from, to } : null;
+}
 
-    // Check if ID already exists
-    const existing = await env.sharegpt.get(id);
-    if (!existing) {
-      return id;
-    }
-    attempts++;
-  }
+/**
+ * Path segment for a range, the inverse of parseMessageRange
+ */
+function messageRangePath(range) {
+  return range.from === range.to ? `${range.from}` : `${range.from}-${range.to}`;
+}
 
-  throw new Error('Failed to generate unique ID');
+/**
+ * Human-readable range for titles, e.g. "messages 3–5"
+ */
+function messageRangeLabel(range) {
+  return range.from === range.to ? `message ${range.from}` : `messages ${range.from}–${range.to}`;
 }
 
 /**
- * HTMLRewriter-based HTML Parser for Cloudflare Workers
- * Enhanced parsing for specific HTML structures
+ * Load a share for an excerpt page or card. Returns { conversationData, range, locked }
+ * or an error Response. Locked shares are not checked against the range, so a
+ * visitor without the password cannot learn how many messages there are.
  */
-class ElementHandler {
-  constructor(cb, attr) {
-    this._cb = cb;
-    this._attr = attr;
+async function loadExcerpt(id, rangeText, request, env, corsHeaders) {
+  const range = parseMessageRange(rangeText);
+  if (!range) {
+    return new Response('Invalid message range', { 
+      status: 400,
+      headers: corsHeaders 
+    });
   }
 
-  element(e) {
-    if (this._attr) {
-      this._cb(e.getAttribute(this._attr));
-    } else {
-      this._cb();
-    }
+  const conversationData = await loadConversation(id, env, { parsed: true });
+  if (!conversationData) {
+    return new Response('Conversation not found', { 
+      status: 404,
+      headers: corsHeaders 
+    });
   }
-}
 
-class DocumentHandler {
-  constructor(onEnd) {
-    this._onEnd = onEnd;
-    this._onText = () => { };
-    this._buffer = "";
-    this._doOnText = false;
+  // Opening an excerpt would have to burn the whole share, so these have none
+  if (conversationData.content.metadata.burnAfterReading) {
+    return new Response('Excerpts are not available for burn-after-reading conversations', { 
+      status: 404,
+      headers: corsHeaders 
+    });
   }
 
-  end(end) {
-    this._onEnd();
+  const locked = Boolean(conversationData.protection) &&
+    !await hasUnlockCookie(request, id, conversationData.protection);
+  const messageCount = conversationData.content.parsed?.messages?.length || 0;
+  if (!locked && range.to > messageCount) {
+    return new Response('Messages not found', { 
+      status: 404,
+      headers: corsHeaders 
+    });
   }
 
-  text(text) {
-    if (this._doOnText) {
-      this._buffer += text.text;
-      if (text.lastInTextNode) {
-        const result = this.decodeHtmlEntities(this._buffer);
-        this._buffer = "";
-        this._doOnText = false;
-        this._onText(result);
+  return { conversationData, range, locked };
+}
+
+/**
+ * Handle GET /{id}/m/{from}-{to} - a page with only that range of messages, with its
+ * own title and link preview. Excerpt pages are cheap and rendered on demand; only
+ * their preview cards are kept in the render cache.
+ */
+async function handleExcerpt(id, rangeText, request, env, corsHeaders) {
+  const excerpt = await loadExcerpt(id, rangeText, request, env, corsHeaders);
+  if (excerpt instanceof Response) return excerpt;
+  const { conversationData, range, locked } = excerpt;
+  const { metadata } = conversationData.content;
+
+  if (locked) {
+    return new Response(getUnlockForm(id, false, '', range), {
+      status: 401,
+      headers: {
+        ...corsHeaders,
+        ...htmlSecurityHeaders(),
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store'
       }
-    }
+    });
   }
 
-  set onText(cb) {
-    this._doOnText = true;
-    this._onText = cb;
+  const { etag, lastModified } = renderValidators(conversationData, `excerpt-${messageRangePath(range)}`);
+  const headers = new Headers(corsHeaders);
+  headers.set('Cache-Control', conversationData.protection ? 'private, no-store' : `public, max-age=${cacheMaxAge(metadata)}`);
+  headers.set('ETag', etag);
+  headers.set('Last-Modified', lastModified);
+  if (isNotModified(request, etag, lastModified)) {
+    return notModifiedResponse(headers);
   }
 
-  // Simple HTML entity decoder
-  decodeHtmlEntities(text) {
-    return text
-      .replace(/&amp;/g, '&')
-      .replace(/&lt;/g, '<')
-      .replace(/&gt;/g, '>')
-      .replace(/&quot;/g, '"')
-      .replace(/&#x27;/g, "'")
-      .replace(/&#x2F;/g, '/');
-  }
-}
+  const url = `${new URL(request.url).origin}/${id}/m/${messageRangePath(range)}`;
+  const nonce = generateNonce();
+  const html = await generateConversationHtml(conversationData, { nonce, url, image: `${url}/og.png`, range });
 
-function TextHandlerFactory(cb, dh) {
-  return new ElementHandler(() => {
-    dh.onText = cb;
-  });
+  for (const [name, value] of Object.entries(htmlSecurityHeaders({ nonce }))) {
+    headers.set(name, value);
+  }
+  headers.set('Content-Type', 'text/html; charset=utf-8');
+  return new Response(html, { headers });
 }
 
 /**
- * HTMLRewriter-based parser for enhanced HTML parsing
+ * Handle GET /{id}/fork - an editor pre-filled with the share's messages. Saving posts
+ * them as a new share with forkedFrom set, through the same pipeline as any upload.
  */
-async function parseWithHTMLRewriter(htmlContent, tracks) {
-  return new Promise(async (resolve, reject) => {
-    try {
-      const result = {};
-      const dh = new DocumentHandler(() => resolve(result));
-      let rewriter = new HTMLRewriter();
-
-      for (let [k, v] of Object.entries(tracks)) {
-        if (!Array.isArray(v)) v = [v];
-        const handler = (v.length > 1 && v[1])
-          ? new ElementHandler(x => result[k] = x, v[1])
-          : TextHandlerFactory(x => result[k] = x, dh);
-        rewriter = rewriter.on(v[0], handler);
+async function handleForkEditor(id, request, env, corsHeaders) {
+  const conversationData = await loadConversation(id, env, { parsed: true });
+  if (!conversationData) {
+    return new Response('Conversation not found', { 
+      status: 404,
+      headers: corsHeaders 
+    });
+  }
+
+  // The editor shows the content, which must not happen without burning the share
+  if (conversationData.content.metadata.burnAfterReading) {
+    return new Response('Burn-after-reading conversations cannot be forked', { 
+      status: 404,
+      headers: corsHeaders 
+    });
+  }
+
+  if (conversationData.protection &&
+      !await hasUnlockCookie(request, id, conversationData.protection)) {
+    return new Response(getUnlockForm(id, false), {
+      status: 401,
+      headers: {
+        ...corsHeaders,
+        ...htmlSecurityHeaders(),
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store'
       }
+    });
+  }
 
-      const response = new Response(htmlContent);
-      const transformedResponse = rewriter.onDocument(dh).transform(response);
-      await transformedResponse.text();
-    } catch (error) {
-      reject(error);
+  const messages = await Promise.all((conversationData.content.parsed?.messages || []).map(forkEditorMessage));
+  const nonce = generateNonce();
+  return new Response(getForkEditor(conversationData, messages, nonce), {
+    headers: {
+      ...corsHeaders,
+      ...htmlSecurityHeaders({ nonce }),
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store'
     }
   });
 }
 
 /**
- * Check if content is valid conversation JSON format
+ * Editable form of a parsed message: Markdown content with the role and speaker (or tool)
+ * name in the OpenAI messages format that uploads accept
  */
-function isValidConversationJSON(content) {
-  try {
-    const data = JSON.parse(content);
-    if (!Array.isArray(data) || data.length === 0) {
-      return false;
+async function forkEditorMessage(message) {
+  const content = await htmlToMarkdown(message.content || '');
+  if (message.type === 'tool_result' || message.role === 'tool') {
+    return { role: 'tool', name: message.toolName || message.name || '', content: content };
+  }
+  const role = ['user', 'assistant', 'system'].includes(message.role) ? message.role : 'assistant';
+  return { role: role, name: message.type === 'tool_call' ? '' : message.name || '', content: content };
+}
+
+/**
+ * Handle GET of the JSON read API: parsed messages and public metadata
+ * Protected shares accept an unlock cookie or the password in X-Share-Password.
+ */
+async function handleApiGet(id, request, env, corsHeaders) {
+  if (!/^[a-zA-Z0-9]{8}$/.test(id)) {
+    return jsonResponse({ success: false, error: 'Invalid conversation ID' }, 400, corsHeaders);
+  }
+
+  const conversationData = await loadConversation(id, env, { parsed: true });
+  if (!conversationData) {
+    return jsonResponse({ success: false, error: 'Conversation not found' }, 404, corsHeaders);
+  }
+  const { metadata } = conversationData.content;
+
+  if (conversationData.protection) {
+    const password = request.headers.get('X-Share-Password');
+    if (password) {
+      // Password attempts share the unlock form's throttle
+      const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
+      const rateLimit = await checkRateLimit(env, 'unlock', clientIP);
+      if (!rateLimit.allowed) {
+        return jsonResponse({ success: false, error: 'Too many password attempts' }, 429, {
+          ...corsHeaders,
+          ...rateLimitHeaders(rateLimit)
+        });
+      }
+    }
+    const unlocked = password
+      ? await verifyPassword(password, conversationData.protection)
+      : await hasUnlockCookie(request, id, conversationData.protection);
+    if (!unlocked) {
+      return jsonResponse({ success: false, error: 'Password required' }, 401, corsHeaders);
     }
-    
-    // Check if all items have required fields
-    return data.every(item => 
-      item && 
-      typeof item === 'object' && 
-      typeof item.from === 'string' && 
-      typeof item.value === 'string' &&
-      (item.from === 'human' || item.from === 'gpt' || item.from === 'user' || item.from === 'assistant')
-    );
-  } catch (error) {
-    return false;
   }
+
+  const body = JSON.stringify(toApiConversation(conversationData));
+  const etag = `"${(await hashToken(body)).slice(0, 32)}"`;
+  let cacheControl = `public, max-age=${cacheMaxAge(metadata)}`;
+  if (metadata.burnAfterReading || conversationData.protection) {
+    cacheControl = 'private, no-store';
+  }
+  const headers = {
+    ...corsHeaders,
+    'ETag': etag,
+    'Cache-Control': cacheControl
+  };
+
+  if (ifNoneMatch(request, etag)) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  // Burn-after-reading shares are removed on their first view
+  if (metadata.burnAfterReading) {
+    await deleteConversation(env, conversationData);
+  }
+
+  return new Response(body, {
+    headers: { ...headers, 'Content-Type': 'application/json' }
+  });
 }
 
 /**
- * Sanitize HTML content - Remove dangerous elements but preserve safe ones like tables
+ * Download formats: content type and the function producing the file body
  */
-function sanitizeHtmlContent(html) {
-  if (!html || typeof html !== 'string') return '';
-  return html
-    // Remove potentially dangerous scripts, styles, iframes, noscript
-    .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
-    .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
-    .replace(/<iframe[^>]*>[\s\S]*?<\/iframe>/gi, '')
-    .replace(/<noscript[^>]*>[\s\S]*?<\/noscript>/gi, '')
-    // Remove event handlers and javascript: URIs
-    .replace(/\s+on\w+="[^"]*"/gi, '')
-    .replace(/\s+on\w+='[^']*'/gi, '')
-    .replace(/javascript:/gi, '')
-    // ==== 新增：移除 code 區塊常見的 max-height:400px 樣式 ====
-    .replace(/max-height\s*:\s*400px;?/gi, '')
-    // 如 style 屬性已被清空則一併移除
-    .replace(/\sstyle=["']\s*[;]?\s*["']/gi, '');
+const EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', render: exportMarkdown },
+  json: { contentType: 'application/json; charset=utf-8', render: exportShareGPTJson },
+  txt: { contentType: 'text/plain; charset=utf-8', render: exportPlainText },
+  html: { contentType: 'text/html; charset=utf-8', render: exportStandaloneHtml }
+};
+
+/**
+ * Handle GET of a conversation export (Markdown, ShareGPT JSON, plain text, standalone HTML)
+ */
+async function handleExport(id, extension, request, env, corsHeaders) {
+  const cached = await matchRenderCache(request, id, `export-${extension}`);
+  if (cached) return cached;
+
+  const conversationData = await loadConversation(id, env, { parsed: true });
+  if (!conversationData) {
+    return new Response('Conversation not found', { 
+      status: 404,
+      headers: corsHeaders 
+    });
+  }
+  const { metadata } = conversationData.content;
+
+  if (conversationData.protection &&
+      !await hasUnlockCookie(request, id, conversationData.protection)) {
+    return new Response(getUnlockForm(id, false), {
+      status: 401,
+      headers: {
+        ...corsHeaders,
+        ...htmlSecurityHeaders(),
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+
+  // Burn-after-reading shares are removed on their first view
+  if (metadata.burnAfterReading) {
+    await deleteConversation(env, conversationData);
+  }
+  let cacheControl = `public, max-age=${cacheMaxAge(metadata)}`;
+  if (metadata.burnAfterReading || conversationData.protection) {
+    cacheControl = 'private, no-store';
+  }
+
+  const format = EXPORT_FORMATS[extension];
+  const nonce = generateNonce();
+  const body = await format.render(conversationData, nonce);
+
+  return await respondWithRenderCache(request, conversationData, `export-${extension}`, {
+    body: body,
+    nonce: extension === 'html' ? nonce : null,
+    headers: {
+      ...corsHeaders,
+      ...(extension === 'html' ? htmlSecurityHeaders({ nonce }) : { 'X-Content-Type-Options': 'nosniff' }),
+      'Content-Type': format.contentType,
+      'Content-Disposition': `attachment; filename="conversation-${id}.${extension}"`,
+      'Cache-Control': cacheControl
+    }
+  });
 }
 
 /**
- * Parse JSON conversation format
+ * Handle GET /{id}/og.png - render (or serve from the Cache API) the link preview card
  */
-function parseJSONConversation(content) {
-  try {
-    const data = JSON.parse(content);
-    const messages = data.map(item => ({
-      role: (item.from === 'human' || item.from === 'user') ? 'user' : 'assistant',
-      content: sanitizeHtmlContent(item.value) // Use sanitizeHtmlContent instead of cleanHtmlContent
-    }));
-    
-    return {
-      messages: messages,
-      format: 'json',
-      messageCount: messages.length
-    };
-  } catch (error) {
-    console.error('JSON parsing error:', error);
-    return {
-      messages: [{
-        role: 'unknown',
-        content: cleanHtmlContent(content)
-      }],
-      format: 'fallback',
-      error: error.message
-    };
+async function handleOgImage(id, request, env, corsHeaders) {
+  const cached = await matchRenderCache(request, id, 'og');
+  if (cached) return cached;
+
+  const conversationData = await loadConversation(id, env, { parsed: true });
+  if (!conversationData) {
+    return new Response('Conversation not found', { 
+      status: 404,
+      headers: corsHeaders 
+    });
   }
+  const { metadata } = conversationData.content;
+
+  // Protected and burn-after-reading shares get a generic card that reveals nothing
+  const card = conversationData.protection || metadata.burnAfterReading
+    ? genericOgCard(conversationData)
+    : conversationOgCard(conversationData);
+
+  return await respondWithRenderCache(request, conversationData, 'og', {
+    body: await renderOgCard(card),
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'image/png',
+      'Cache-Control': `public, max-age=${cacheMaxAge(metadata)}`,
+      'X-Content-Type-Options': 'nosniff'
+    }
+  });
 }
 
 /**
- * Parse HTML content to extract conversation data
+ * Handle GET /{id}/m/{from}-{to}/og.png - preview card for an excerpt, cached per range
  */
-async function parseHtmlContent(html) {
-  try {
-    // First priority: Check for JSON conversation format
-    if (isValidConversationJSON(html)) {
-      console.log('Detected JSON conversation format');
-      return parseJSONConversation(html);
+async function handleExcerptOgImage(id, rangeText, request, env, corsHeaders) {
+  const range = parseMessageRange(rangeText);
+  const kind = range ? `og-${messageRangePath(range)}` : null;
+  const cached = kind ? await matchRenderCache(request, id, kind) : null;
+  if (cached) return cached;
+
+  const excerpt = await loadExcerpt(id, rangeText, request, env, corsHeaders);
+  if (excerpt instanceof Response) return excerpt;
+  const { conversationData } = excerpt;
+  const { metadata } = conversationData.content;
+
+  // Protected shares get the same generic card as their full page, even when unlocked
+  const card = conversationData.protection
+    ? genericOgCard(conversationData)
+    : conversationOgCard(conversationData, range);
+
+  return await respondWithRenderCache(request, conversationData, kind, {
+    body: await renderOgCard(card),
+    store: !conversationData.protection && await trackExcerptRender(id, kind),
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'image/png',
+      'Cache-Control': `public, max-age=${cacheMaxAge(metadata)}`,
+      'X-Content-Type-Options': 'nosniff'
     }
+  });
+}
 
-    // Second priority: HTMLRewriter-based parsing for ChatGPT format
-    if (html.includes('data-message-author-role') || html.includes('message-content')) {
-      try {
-        const tracks = {
-          userMessages: ['[data-message-author-role="user"]'],
-          assistantMessages: ['[data-message-author-role="assistant"]'],
-          messageTexts: ['.message-content', null],
-          userTexts: ['[data-message-author-role="user"] .message-content', null],
-          assistantTexts: ['[data-message-author-role="assistant"] .message-content', null]
-        };
-        
-        const htmlRewriterResult = await parseWithHTMLRewriter(html, tracks);
-        
-        // Process HTMLRewriter results into message format
-        if (htmlRewriterResult.userTexts || htmlRewriterResult.assistantTexts) {
-          const messages = [];
-          
-          // Note: HTMLRewriter processes sequentially, so we get the last matching element
-          // For a proper implementation, we'd need to track multiple messages
-          if (htmlRewriterResult.userTexts) {
-            messages.push({
-              role: 'user',
-              content: cleanHtmlContent(htmlRewriterResult.userTexts)
-            });
-          }
-          if (htmlRewriterResult.assistantTexts) {
-            messages.push({
-              role: 'assistant', 
-              content: cleanHtmlContent(htmlRewriterResult.assistantTexts)
-            });
-          }
-          
-          if (messages.length > 0) {
-            return {
-              messages: messages,
-              format: 'htmlrewriter',
-              messageCount: messages.length
-            };
-          }
-        }
-      } catch (htmlRewriterError) {
-        console.log('HTMLRewriter parsing failed, falling back to regex:', htmlRewriterError);
+/**
+ * Card contents for a public share: title plus the first user message and reply
+ * (of the range, for an excerpt)
+ */
+function conversationOgCard(conversationData, range = null) {
+  const allMessages = conversationData.content.parsed?.messages || [];
+  const messages = range ? allMessages.slice(range.from - 1, range.to) : allMessages;
+  const firstUser = messages.find(message => message.role === 'user');
+  const firstReply = messages.find(message => message.role === 'assistant');
+  const excerpt = (message) => cleanHtmlContent(message.content).replace(/\s+/g, ' ').trim();
+
+  return {
+    title: getConversationTitle(conversationData),
+    exchange: [
+      firstUser && { label: 'User', text: excerpt(firstUser) },
+      firstReply && { label: 'Assistant', text: excerpt(firstReply) }
+    ].filter(Boolean),
+    footer: range
+      ? `Messages ${range.from}–${range.to} of ${allMessages.length}`
+      : `${messages.length} messages`
+  };
+}
+
+/**
+ * Card contents that say nothing about the conversation itself
+ */
+function genericOgCard(conversationData) {
+  return {
+    title: conversationData.protection ? 'Password-protected conversation' : 'Burn-after-reading conversation',
+    exchange: [],
+    footer: 'Shared conversation'
+  };
+}
+
+/**
+ * Open Graph card size recommended by most unfurlers
+ */
+const OG_WIDTH = 1200;
+const OG_HEIGHT = 630;
+
+/**
+ * Render a card to PNG bytes
+ */
+async function renderOgCard(card) {
+  const canvas = createCanvas(OG_WIDTH, OG_HEIGHT);
+
+  // Same blue-to-purple gradient as the upload page, with a white panel on top
+  fillGradient(canvas, [37, 99, 235], [124, 58, 237]);
+  fillRoundedRect(canvas, 48, 48, OG_WIDTH - 96, OG_HEIGHT - 96, 24, [255, 255, 255]);
+
+  const left = 96;
+  const width = OG_WIDTH - 2 * left;
+  let y = 88;
+
+  drawText(canvas, 'ShareGPT', left, y, 0.7, [37, 99, 235]);
+  y += 48;
+
+  // Titles the bundled font cannot show (e.g. CJK) fall back to a generic heading
+  const title = isRenderableText(card.title) ? card.title : 'Shared Conversation';
+  for (const line of wrapText(title, 1.4, width, 2)) {
+    drawText(canvas, line, left, y, 1.4, [17, 24, 39]);
+    y += 62;
+  }
+  y += 16;
+
+  const bubbles = {
+    User: { background: [243, 244, 246], color: [55, 65, 81] },
+    Assistant: { background: [239, 246, 255], color: [30, 64, 175] }
+  };
+  for (const { label, text } of card.exchange) {
+    if (!isRenderableText(text)) continue;
+    const maxLines = label === 'User' ? 1 : 2;
+    const lines = wrapText(text, 0.75, width - 48, maxLines);
+    const height = 44 + lines.length * 34;
+    if (y + height > OG_HEIGHT - 120) break;
+
+    fillRoundedRect(canvas, left, y, width, height, 12, bubbles[label].background);
+    drawText(canvas, label, left + 24, y + 10, 0.55, [107, 114, 128]);
+    lines.forEach((line, i) => drawText(canvas, line, left + 24, y + 36 + i * 34, 0.75, bubbles[label].color));
+    y += height + 16;
+  }
+
+  drawText(canvas, card.footer, left, OG_HEIGHT - 112, 0.6, [107, 114, 128]);
+
+  return await encodePng(canvas);
+}
+
+/**
+ * RGB canvas backed by a flat byte array
+ */
+function createCanvas(width, height) {
+  return { width, height, pixels: new Uint8Array(width * height * 3) };
+}
+
+/**
+ * Diagonal two-colour gradient over the whole canvas
+ */
+function fillGradient(canvas, from, to) {
+  const { width, height, pixels } = canvas;
+  const span = width + height;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const t = (x + y) / span;
+      const offset = (y * width + x) * 3;
+      for (let c = 0; c < 3; c++) {
+        pixels[offset + c] = Math.round(from[c] + (to[c] - from[c]) * t);
       }
     }
+  }
+}
 
-    // Fallback to regex-based parsing
-    const messages = [];
-    
-    // Look for common ChatGPT patterns
-    const patterns = [
-      // ChatGPT web interface
-      /<div[^>]*data-message-author-role="(user|assistant)"[^>]*>([\s\S]*?)<\/div>/gi,
-      // Alternative pattern for copied conversations
-      /<div[^>]*class="[^"]*message[^"]*"[^>]*>([\s\S]*?)<\/div>/gi,
-      // Simple pattern for pasted text
-      /^(User|Human|Assistant|AI):\s*([\s\S]*?)(?=^(?:User|Human|Assistant|AI):|$)/gmi
-    ];
+/**
+ * Blend a colour into one pixel with the given opacity (0-1)
+ */
+function blendPixel(canvas, x, y, color, alpha) {
+  if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height || alpha <= 0) return;
+  const offset = (y * canvas.width + x) * 3;
+  for (let c = 0; c < 3; c++) {
+    canvas.pixels[offset + c] = Math.round(canvas.pixels[offset + c] * (1 - alpha) + color[c] * alpha);
+  }
+}
 
-    for (const pattern of patterns) {
-      const matches = [...html.matchAll(pattern)];
-      if (matches.length > 0) {
-        for (const match of matches) {
-          if (match[1] && match[2]) {
-            messages.push({
-              role: match[1].toLowerCase(),
-              content: cleanHtmlContent(match[2])
-            });
-          } else if (match[1]) {
-            // Handle simple text pattern
-            const role = match[0].toLowerCase().includes('user') || match[0].toLowerCase().includes('human') ? 'user' : 'assistant';
-            messages.push({
-              role: role,
-              content: cleanHtmlContent(match[1])
-            });
-          }
-        }
-        break;
-      }
+/**
+ * Filled rectangle with anti-aliased rounded corners
+ */
+function fillRoundedRect(canvas, left, top, width, height, radius, color) {
+  for (let y = top; y < top + height; y++) {
+    for (let x = left; x < left + width; x++) {
+      // Distance from the nearest corner centre decides coverage inside the corner squares
+      const cx = Math.min(Math.max(x + 0.5, left + radius), left + width - radius);
+      const cy = Math.min(Math.max(y + 0.5, top + radius), top + height - radius);
+      const distance = Math.hypot(x + 0.5 - cx, y + 0.5 - cy);
+      blendPixel(canvas, x, y, color, Math.min(Math.max(radius - distance + 0.5, 0), 1));
     }
+  }
+}
 
-    // If no structured messages found, treat as single message
-    if (messages.length === 0) {
-      messages.push({
-        role: 'unknown',
-        content: cleanHtmlContent(html)
-      });
+/**
+ * Glyph metrics and unpacked 2-bit coverage from the bundled font, built on first use
+ */
+let ogGlyphCache = null;
+
+function getOgGlyphs() {
+  if (ogGlyphCache) return ogGlyphCache;
+
+  const bytes = Uint8Array.from(atob(OG_FONT.data), char => char.charCodeAt(0));
+  let index = 0;
+  ogGlyphCache = OG_FONT.glyphs.map(([advance, xOffset, yOffset, width, height]) => {
+    const coverage = new Float32Array(width * height);
+    for (let i = 0; i < coverage.length; i++, index++) {
+      coverage[i] = ((bytes[index >> 2] >> ((index & 3) * 2)) & 3) / 3;
     }
+    return { advance, xOffset, yOffset, width, height, coverage };
+  });
+  return ogGlyphCache;
+}
 
-    return {
-      messages: messages,
-      format: 'parsed',
-      messageCount: messages.length
-    };
+/**
+ * Map typographic punctuation onto ASCII; anything else outside printable ASCII becomes '?'
+ */
+function toOgText(text) {
+  return String(text)
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/\u2026/g, '...')
+    .replace(/[\u00a0\t]/g, ' ')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '?');
+}
 
-  } catch (error) {
-    console.error('Parse error:', error);
-    return {
-      messages: [{
-        role: 'unknown',
-        content: cleanHtmlContent(html)
-      }],
-      format: 'fallback',
-      error: error.message
-    };
+/**
+ * Whether most of a text survives toOgText (the font only covers ASCII)
+ */
+function isRenderableText(text) {
+  const converted = toOgText(text).replace(/\s/g, '');
+  const unknown = (converted.match(/\?/g) || []).length - (String(text).match(/\?/g) || []).length;
+  return converted.length > 0 && unknown <= converted.length / 4;
+}
+
+/**
+ * Width of a line of text in pixels at a scale of the font size
+ */
+function measureText(text, scale) {
+  const glyphs = getOgGlyphs();
+  let width = 0;
+  for (const char of toOgText(text)) {
+    width += glyphs[char.charCodeAt(0) - 32].advance;
   }
+  return width * scale;
 }
 
 /**
- * Preprocess content to remove multipart form data artifacts
+ * Greedy word wrap to at most maxLines lines, ending with an ellipsis when truncated
  */
-function preprocessContent(content) {
-  if (!content || typeof content !== 'string') {
-    return '';
+function wrapText(text, scale, maxWidth, maxLines) {
+  const words = toOgText(text).split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = '';
+
+  for (let i = 0; i < words.length; i++) {
+    let word = words[i];
+    // Hard-break words that are wider than a whole line
+    while (measureText(word, scale) > maxWidth) {
+      let cut = word.length - 1;
+      while (cut > 1 && measureText(word.slice(0, cut), scale) > maxWidth) cut--;
+      words.splice(i + 1, 0, word.slice(cut));
+      word = word.slice(0, cut);
+    }
+
+    const candidate = line ? `${line} ${word}` : word;
+    if (measureText(candidate, scale) <= maxWidth) {
+      line = candidate;
+      continue;
+    }
+    lines.push(line);
+    line = word;
+    if (lines.length === maxLines) {
+      line = '';
+      break;
+    }
   }
+  if (line && lines.length < maxLines) lines.push(line);
 
-  return content
-    // Remove multipart boundaries and headers
-    .replace(/^-{20,}\d{15,}-{0,2}$/gm, '')
-    .replace(/^Content-Disposition:.*$/gm, '')
-    .replace(/^Content-Type:.*$/gm, '')
-    .replace(/^Content-Length:.*$/gm, '')
-    .replace(/^boundary=.*$/gm, '')
-    .replace(/^name=".*?"$/gm, '')
-    
-    // Remove empty lines created by boundary removal
-    .replace(/^\s*$/gm, '')
-    .replace(/\n{3,}/g, '\n\n')
-    
-    .trim();
+  const truncated = lines.join(' ').split(/\s+/).filter(Boolean).length < words.length;
+  if (truncated && lines.length > 0) {
+    let last = lines[lines.length - 1];
+    while (last && measureText(`${last}...`, scale) > maxWidth) {
+      last = last.slice(0, -1);
+    }
+    lines[lines.length - 1] = `${last.trimEnd()}...`;
+  }
+  return lines;
 }
 
 /**
- * Clean HTML content for display with enhanced formatting
+ * Draw one line of text with its top at (left, top), scaling glyphs bilinearly
  */
-function cleanHtmlContent(content) {
-  if (!content || typeof content !== 'string') {
-    return '';
-  }
+function drawText(canvas, text, left, top, scale, color) {
+  const glyphs = getOgGlyphs();
+  let penX = left;
 
-  return content
-    // Remove multipart form boundaries
-    .replace(/^-{10,}\d{10,}-{0,2}$/gm, '')
+  for (const char of toOgText(text)) {
+    const glyph = glyphs[char.charCodeAt(0) - 32];
+    const originX = penX + glyph.xOffset * scale;
+    const originY = top + glyph.yOffset * scale;
+    const width = Math.ceil(glyph.width * scale) + 1;
+    const height = Math.ceil(glyph.height * scale) + 1;
+
+    for (let dy = 0; dy < height; dy++) {
+      for (let dx = 0; dx < width; dx++) {
+        const x = Math.floor(originX) + dx;
+        const y = Math.floor(originY) + dy;
+        const alpha = sampleGlyph(glyph, (x + 0.5 - originX) / scale - 0.5, (y + 0.5 - originY) / scale - 0.5);
+        blendPixel(canvas, x, y, color, alpha);
+      }
+    }
+    penX += glyph.advance * scale;
+  }
+}
+
+/**
+ * Bilinear sample of a glyph's coverage (0 outside the glyph box)
+ */
+function sampleGlyph(glyph, x, y) {
+  const at = (gx, gy) => (gx < 0 || gy < 0 || gx >= glyph.width || gy >= glyph.height)
+    ? 0
+    : glyph.coverage[gy * glyph.width + gx];
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+  return at(x0, y0) * (1 - fx) * (1 - fy) + at(x0 + 1, y0) * fx * (1 - fy) +
+    at(x0, y0 + 1) * (1 - fx) * fy + at(x0 + 1, y0 + 1) * fx * fy;
+}
+
+/**
+ * CRC-32 lookup table for PNG chunks
+ */
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode an RGB canvas as a PNG (8-bit truecolour, no filtering, zlib via CompressionStream)
+ */
+async function encodePng(canvas) {
+  const { width, height, pixels } = canvas;
+  const raw = new Uint8Array((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    // Leading 0 is the per-row filter type (None)
+    raw.set(pixels.subarray(y * width * 3, (y + 1) * width * 3), y * (width * 3 + 1) + 1);
+  }
+  const compressed = new Uint8Array(
+    await new Response(new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'))).arrayBuffer()
+  );
+
+  const chunk = (type, data) => {
+    const bytes = new Uint8Array(12 + data.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, data.length);
+    bytes.set(new TextEncoder().encode(type), 4);
+    bytes.set(data, 8);
+    view.setUint32(8 + data.length, crc32(bytes.subarray(4, 8 + data.length)));
+    return bytes;
+  };
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header.set([8, 2, 0, 0, 0], 8); // bit depth 8, colour type RGB, default compression/filter, no interlace
+
+  const parts = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', compressed),
+    chunk('IEND', new Uint8Array(0))
+  ];
+  const png = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    png.set(part, offset);
+    offset += part.length;
+  }
+  return png;
+}
+
+/**
+ * Plain-text label for a message, e.g. "User", "Alice (User)", "Tool call: search"
+ */
+function plainMessageLabel(message) {
+  if (message.type === 'tool_call') {
+    return `Tool call: ${message.toolName || message.name || 'unknown'}`;
+  }
+  if (message.type === 'tool_result' || message.role === 'tool') {
+    const toolName = message.toolName || message.name;
+    return `Tool result${toolName ? `: ${toolName}` : ''}`;
+  }
+  const labels = { user: 'User', assistant: 'Assistant', system: 'System' };
+  const label = labels[message.role] || 'Message';
+  return message.name ? `${message.name} (${label})` : label;
+}
+
+/**
+ * Export as a Markdown document with one section per message
+ */
+async function exportMarkdown(conversationData) {
+  const { parsed, metadata } = conversationData.content;
+  let markdown = `# ${getConversationTitle(conversationData)}\n\n` +
+    `_Created: ${metadata.created}_\n`;
+
+  for (const message of parsed?.messages || []) {
+    markdown += `\n## ${plainMessageLabel(message)}\n\n${await htmlToMarkdown(message.content)}\n`;
+  }
+  return markdown;
+}
+
+/**
+ * Export as a ShareGPT-style JSON array that POST / can import again
+ */
+async function exportShareGPTJson(conversationData) {
+  const fromByRole = { user: 'human', assistant: 'gpt', system: 'system', tool: 'tool' };
+  const items = [];
+
+  for (const message of conversationData.content.parsed?.messages || []) {
+    const item = {
+      from: message.type === 'tool_call' ? 'function_call' : (fromByRole[message.role] || 'gpt'),
+      value: await htmlToMarkdown(message.content)
+    };
+    if (message.name) item.name = message.name;
+    items.push(item);
+  }
+  return JSON.stringify(items, null, 2);
+}
+
+/**
+ * Export as plain text transcript ("User: ..." blocks)
+ */
+async function exportPlainText(conversationData) {
+  const texts = (conversationData.content.parsed?.messages || [])
+    .map(async message => `${plainMessageLabel(message)}:\n${await htmlToPlainText(message.content)}`);
+  return (await Promise.all(texts)).join('\n\n') + '\n';
+}
+
+/**
+ * Export as a self-contained HTML page with highlight.js inlined so it opens offline
+ */
+async function exportStandaloneHtml(conversationData, nonce) {
+  return await generateConversationHtml(conversationData, {
+    nonce,
+    standalone: true,
+    assets: await fetchStandaloneAssets()
+  });
+}
+
+/**
+ * highlight.js assets pulled from jsDelivr by the conversation page
+ */
+const HIGHLIGHT_THEME_URL = 'https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11.8.0/build/styles/github-dark.min.css';
+const HIGHLIGHT_SCRIPT_URL = 'https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11.8.0/build/highlight.min.js';
+
+/**
+ * Per-isolate cache of the inlined highlight.js assets
+ */
+let standaloneAssetsCache = null;
+
+/**
+ * Fetch highlight.js theme and script for inlining (null if jsDelivr is unreachable)
+ */
+async function fetchStandaloneAssets() {
+  if (standaloneAssetsCache) return standaloneAssetsCache;
+
+  try {
+    const fetchText = async (url) => {
+      const response = await fetch(url, { cf: { cacheTtl: 86400, cacheEverything: true } });
+      if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+      return await response.text();
+    };
+    const [themeCss, highlightJs] = await Promise.all([
+      fetchText(HIGHLIGHT_THEME_URL),
+      fetchText(HIGHLIGHT_SCRIPT_URL)
+    ]);
+    standaloneAssetsCache = { themeCss, highlightJs };
+    return standaloneAssetsCache;
+  } catch (error) {
+    // The export still works, it just links the CDN like the normal page
+    console.error('Failed to fetch highlight.js assets:', error);
+    return null;
+  }
+}
+
+/**
+ * Public JSON shape of a conversation (no uploader IP, token or password data)
+ */
+function toApiConversation(conversationData) {
+  const { parsed, format, metadata } = conversationData.content;
+  const messages = parsed?.messages || [];
+  return {
+    id: conversationData.id,
+    title: getConversationTitle(conversationData),
+    tags: metadata.tags || [],
+    format: format,
+    messageCount: messages.length,
+    messages: messages,
+    metadata: {
+      created: metadata.created,
+      updated: metadata.updated || null,
+      size: metadata.size,
+      expiresAt: metadata.expiresAt || null,
+      burnAfterReading: Boolean(metadata.burnAfterReading),
+      passwordProtected: Boolean(conversationData.protection),
+      public: Boolean(metadata.public),
+      forkedFrom: metadata.forkedFrom || null
+    }
+  };
+}
+
+/**
+ * Whether the request's If-None-Match header matches an ETag
+ */
+function ifNoneMatch(request, etag) {
+  const header = request.headers.get('If-None-Match');
+  if (!header) return false;
+  return header.trim() === '*' ||
+    header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+/**
+ * Handle GET of raw HTML content, served as an isolated sandboxed document
+ * No CORS headers: nothing but the viewer's iframe should ever load this.
+ */
+async function handleRawContent(id, request, env) {
+  const headers = rawContentSecurityHeaders(env);
+
+  if (!/^[a-zA-Z0-9]{8}$/.test(id)) {
+    return new Response('Invalid conversation ID', { status: 400, headers });
+  }
+
+  const cached = await matchRenderCache(request, id, 'raw');
+  if (cached) return cached;
+
+  const conversationData = await loadConversation(id, env, { raw: true });
+  if (!conversationData) {
+    return new Response('Conversation not found', { status: 404, headers });
+  }
+  const { metadata } = conversationData.content;
+
+  // The raw origin never sees unlock cookies, so protected content needs the viewer's signed token
+  if (conversationData.protection) {
+    const token = new URL(request.url).searchParams.get('t');
+    if (!await verifyRawContentToken(id, token, conversationData.protection)) {
+      return new Response('Forbidden', { status: 403, headers });
+    }
+  }
+
+  // Burn-after-reading shares are removed on their first view
+  if (metadata.burnAfterReading) {
+    await deleteConversation(env, conversationData);
+  }
+
+  let cacheControl = `public, max-age=${cacheMaxAge(metadata)}`;
+  if (metadata.burnAfterReading || conversationData.protection) {
+    cacheControl = 'private, no-store';
+  }
+
+  return await respondWithRenderCache(request, conversationData, 'raw', {
+    body: conversationData.content.raw,
+    headers: {
+      ...headers,
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': cacheControl
+    }
+  });
+}
+
+/**
+ * Bump when templates or renderers change so earlier cached renders are never served
+ */
+const RENDER_VERSION = 3;
+
+/**
+ * Longest time a render stays in a data centre's cache. Purges only reach the local
+ * data centre, so this bounds how long other locations can serve an edited or deleted share.
+ */
+const RENDER_CACHE_TTL = 300;
+
+/**
+ * Everything rendered from a share that may sit in the edge cache
+ */
+const RENDER_KINDS = ['page', 'viewer', 'raw', 'og', ...Object.keys(EXPORT_FORMATS).map(extension => `export-${extension}`)];
+
+/**
+ * Most excerpt cards cached per share. Ranges are too many to enumerate on purge, so the
+ * cached ones are listed in an index entry of their own.
+ */
+const EXCERPT_CACHE_LIMIT = 50;
+
+/**
+ * Most origins a share is cached for. Pages embed absolute URLs (og:url, canonical), so each
+ * origin the worker is reached on gets its own copies, listed in an index for purging.
+ */
+const RENDER_ORIGIN_LIMIT = 4;
+
+/**
+ * Cache API key for one rendering of a share on the origin it was requested from. The
+ * share's index entries ('excerpts', 'origins') are keyed without an origin.
+ */
+function renderCacheKey(id, kind, origin = '') {
+  const scope = origin ? `&origin=${encodeURIComponent(origin)}` : '';
+  return new Request(`https://render-cache.sharegpt.internal/${id}/${kind}?v=${RENDER_VERSION}${scope}`);
+}
+
+/**
+ * The Cache API exists in Workers but not in Node
+ */
+function getRenderCache() {
+  return typeof caches !== 'undefined' ? caches.default : null;
+}
+
+/**
+ * ETag and Last-Modified for a rendering, derived from the record's last change; variant
+ * covers anything else the rendering shows (such as the fork list)
+ */
+function renderValidators(conversationData, kind, variant = '') {
+  const { metadata } = conversationData.content;
+  const modified = new Date(metadata.updated || metadata.created);
+  const suffix = variant ? `-${variant}` : '';
+  return {
+    etag: `"${kind}-${conversationData.id}-${RENDER_VERSION}-${modified.getTime().toString(36)}${suffix}"`,
+    lastModified: modified.toUTCString()
+  };
+}
+
+/**
+ * Whether the request's conditional headers show the client already has this version
+ */
+function isNotModified(request, etag, lastModified) {
+  if (request.headers.has('If-None-Match')) {
+    return ifNoneMatch(request, etag);
+  }
+  const since = Date.parse(request.headers.get('If-Modified-Since') || '');
+  return !Number.isNaN(since) && Date.parse(lastModified) <= since;
+}
+
+/**
+ * 304 response: validators and caching headers only. CSP is left out on purpose, since the
+ * browser merges these headers into its cached copy whose scripts carry the original nonce.
+ */
+function notModifiedResponse(headers) {
+  const kept = {};
+  for (const name of ['Access-Control-Allow-Origin', 'Access-Control-Expose-Headers', 'Cache-Control', 'ETag', 'Last-Modified']) {
+    if (headers.get(name)) kept[name] = headers.get(name);
+  }
+  return new Response(null, { status: 304, headers: kept });
+}
+
+/**
+ * Serve a cached rendering, or null on a miss. Pages are stored with the nonce they were
+ * rendered with, which is swapped for a fresh one on every hit.
+ */
+async function matchRenderCache(request, id, kind) {
+  const cache = getRenderCache();
+  if (!cache || !/^[a-zA-Z0-9]{8}$/.test(id)) return null;
+
+  const cached = await cache.match(renderCacheKey(id, kind, new URL(request.url).origin));
+  if (!cached) return null;
+
+  const headers = new Headers(cached.headers);
+  headers.set('Cache-Control', headers.get('X-Client-Cache-Control'));
+  headers.delete('X-Client-Cache-Control');
+  if (isNotModified(request, headers.get('ETag'), headers.get('Last-Modified'))) {
+    return notModifiedResponse(headers);
+  }
+
+  const renderedNonce = headers.get('X-Render-Nonce');
+  headers.delete('X-Render-Nonce');
+  if (!renderedNonce) {
+    return new Response(cached.body, { headers });
+  }
+
+  const nonce = generateNonce();
+  headers.set('Content-Security-Policy', headers.get('Content-Security-Policy').replaceAll(renderedNonce, nonce));
+  return new Response((await cached.text()).replaceAll(renderedNonce, nonce), { headers });
+}
+
+/**
+ * Build the response for a fresh rendering: add validators, answer conditional requests,
+ * and store public, non-burning renders in the edge cache (unless store is false)
+ */
+async function respondWithRenderCache(request, conversationData, kind, { body, headers, nonce = null, store = true, variant = '' }) {
+  const { metadata } = conversationData.content;
+  const { etag, lastModified } = renderValidators(conversationData, kind, variant);
+  const responseHeaders = new Headers(headers);
+  responseHeaders.set('ETag', etag);
+  responseHeaders.set('Last-Modified', lastModified);
+
+  const ttl = Math.min(RENDER_CACHE_TTL, cacheMaxAge(metadata));
+  const origin = new URL(request.url).origin;
+  const cache = getRenderCache();
+  if (cache && store && ttl > 0 && !conversationData.protection && !metadata.burnAfterReading &&
+      await addToRenderIndex(conversationData.id, 'origins', origin, RENDER_ORIGIN_LIMIT)) {
+    const stored = new Headers(responseHeaders);
+    stored.set('X-Client-Cache-Control', responseHeaders.get('Cache-Control'));
+    stored.set('Cache-Control', `public, max-age=${ttl}`);
+    if (nonce) stored.set('X-Render-Nonce', nonce);
+    await cache.put(renderCacheKey(conversationData.id, kind, origin), new Response(body, { headers: stored }));
+  }
+
+  if (isNotModified(request, etag, lastModified)) {
+    return notModifiedResponse(responseHeaders);
+  }
+  return new Response(body, { headers: responseHeaders });
+}
+
+/**
+ * Add an entry to one of the share's cache indexes ('excerpts' lists excerpt kinds, 'origins'
+ * the origins cached for) so purgeRenderCache can find it. Returns false when the index is
+ * full and the rendering should not be cached. The index is rewritten every time, so it never
+ * expires before a rendering it lists.
+ */
+async function addToRenderIndex(id, name, entry, limit) {
+  const cache = getRenderCache();
+  if (!cache) return false;
+
+  const key = renderCacheKey(id, name);
+  const index = await cache.match(key);
+  const entries = index ? await index.json() : [];
+  if (!entries.includes(entry)) {
+    if (entries.length >= limit) return false;
+    entries.push(entry);
+  }
+  await cache.put(key, new Response(JSON.stringify(entries), {
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': `public, max-age=${RENDER_CACHE_TTL}` }
+  }));
+  return true;
+}
+
+/**
+ * List an excerpt rendering in the share's excerpt index; false when the index is full
+ */
+function trackExcerptRender(id, kind) {
+  return addToRenderIndex(id, 'excerpts', kind, EXCERPT_CACHE_LIMIT);
+}
+
+/**
+ * Drop every cached rendering of a share, on every origin, from this data centre's cache,
+ * excerpt cards included
+ */
+async function purgeRenderCache(id) {
+  const cache = getRenderCache();
+  if (!cache) return;
+  const [excerptKinds, origins] = await Promise.all(['excerpts', 'origins'].map(async name => {
+    const index = await cache.match(renderCacheKey(id, name));
+    return index ? index.json() : [];
+  }));
+  const kinds = [...RENDER_KINDS, ...excerptKinds];
+  await Promise.all([
+    ...origins.flatMap(origin => kinds.map(kind => cache.delete(renderCacheKey(id, kind, origin)))),
+    cache.delete(renderCacheKey(id, 'excerpts')),
+    cache.delete(renderCacheKey(id, 'origins'))
+  ]);
+}
+
+/**
+ * Storage backends. Each implements the subset of the KV namespace API the worker uses:
+ *   get(key, type?)                  -> string | parsed JSON | ArrayBuffer | null
+ *   getWithMetadata(key, type?)      -> { value, metadata }
+ *   put(key, value, { expiration, expirationTtl, metadata }?)
+ *   delete(key)
+ *   list({ prefix, limit, cursor }?) -> { keys: [{ name, expiration, metadata }], list_complete, cursor }
+ * KV namespaces provide this natively; D1 and memory emulate it, including expiry.
+ * D1 and memory also take batch(operations) for many writes at once (see storageBatch).
+ */
+const STORAGE_BACKENDS = ['kv', 'd1', 'memory'];
+
+/**
+ * Convert a stored string or ArrayBuffer to the representation a caller asked for
+ */
+function decodeStoredValue(value, type = 'text') {
+  if (value === null) return null;
+  if (type === 'arrayBuffer') {
+    return typeof value === 'string' ? new TextEncoder().encode(value).buffer : copyArrayBuffer(value);
+  }
+  const text = typeof value === 'string' ? value : new TextDecoder().decode(value);
+  return type === 'json' ? JSON.parse(text) : text;
+}
+
+/**
+ * Copy of a binary value (ArrayBuffer or typed array) as a standalone ArrayBuffer
+ */
+function copyArrayBuffer(value) {
+  return ArrayBuffer.isView(value)
+    ? value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength)
+    : value.slice(0);
+}
+
+/**
+ * Absolute expiry (seconds since epoch) from KV-style put options, or null
+ */
+function storageExpiration(options = {}) {
+  if (options.expiration) return Number(options.expiration);
+  if (options.expirationTtl) return Math.floor(Date.now() / 1000) + Number(options.expirationTtl);
+  return null;
+}
+
+/**
+ * In-memory storage for local development and tests. State is per isolate and lost on restart.
+ */
+class MemoryStorage {
+  constructor() {
+    this._entries = new Map();
+  }
+
+  async get(key, type) {
+    return (await this.getWithMetadata(key, type)).value;
+  }
+
+  async getWithMetadata(key, type) {
+    const entry = this._live(key);
+    return {
+      value: entry ? decodeStoredValue(entry.value, type) : null,
+      metadata: entry?.metadata ?? null
+    };
+  }
+
+  async put(key, value, options = {}) {
+    this._entries.set(key, {
+      // Copy binary values so later writes to the caller's buffer cannot change what is stored
+      value: typeof value === 'string' ? value : copyArrayBuffer(value),
+      metadata: options.metadata ?? null,
+      expiration: storageExpiration(options)
+    });
+  }
+
+  async delete(key) {
+    this._entries.delete(key);
+  }
+
+  async batch(operations) {
+    for (const { key, value, options, delete: remove } of operations) {
+      if (remove) await this.delete(key);
+      else await this.put(key, value, options);
+    }
+  }
+
+  async list({ prefix = '', limit = 1000, cursor } = {}) {
+    const names = [...this._entries.keys()]
+      .filter(name => name.startsWith(prefix) && (!cursor || name > cursor) && this._live(name))
+      .sort();
+    const page = names.slice(0, limit);
+    const complete = page.length === names.length;
+    return {
+      keys: page.map(name => {
+        const { metadata, expiration } = this._entries.get(name);
+        return { name, ...(expiration ? { expiration } : {}), ...(metadata ? { metadata } : {}) };
+      }),
+      list_complete: complete,
+      cursor: complete ? undefined : page[page.length - 1]
+    };
+  }
+
+  // Entry for a key unless it has expired (expired entries are dropped on sight)
+  _live(key) {
+    const entry = this._entries.get(key);
+    if (entry?.expiration && entry.expiration * 1000 <= Date.now()) {
+      this._entries.delete(key);
+      return null;
+    }
+    return entry ?? null;
+  }
+}
+
+/**
+ * Storage in a D1 database (bound as DB), using the kv table from migrations/0001_kv.sql.
+ * D1 has no TTLs: expired rows are hidden from reads and pruned in small batches on each write.
+ */
+class D1Storage {
+  constructor(db) {
+    this._db = db;
+  }
+
+  async get(key, type) {
+    return (await this.getWithMetadata(key, type)).value;
+  }
+
+  async getWithMetadata(key, type) {
+    const row = await this._db
+      .prepare('SELECT value, metadata FROM kv WHERE key = ?1 AND (expiration IS NULL OR expiration > ?2)')
+      .bind(key, Math.floor(Date.now() / 1000))
+      .first();
+    if (!row) return { value: null, metadata: null };
+    return {
+      value: decodeStoredValue(new Uint8Array(row.value).buffer, type),
+      metadata: row.metadata ? JSON.parse(row.metadata) : null
+    };
+  }
+
+  async put(key, value, options = {}) {
+    await this.batch([{ key, value, options }]);
+  }
+
+  async delete(key) {
+    await this._db.prepare('DELETE FROM kv WHERE key = ?1').bind(key).run();
+  }
+
+  // All operations go to D1 as one batch (a single round trip and transaction)
+  async batch(operations) {
+    await this._db.batch([
+      ...operations.map(({ key, value, options = {}, delete: remove }) => {
+        if (remove) return this._db.prepare('DELETE FROM kv WHERE key = ?1').bind(key);
+        const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : new Uint8Array(copyArrayBuffer(value));
+        return this._db
+          .prepare('INSERT OR REPLACE INTO kv (key, value, metadata, expiration) VALUES (?1, ?2, ?3, ?4)')
+          .bind(key, bytes, options.metadata ? JSON.stringify(options.metadata) : null, storageExpiration(options));
+      }),
+      this._db
+        .prepare('DELETE FROM kv WHERE key IN (SELECT key FROM kv WHERE expiration <= ?1 LIMIT 100)')
+        .bind(Math.floor(Date.now() / 1000))
+    ]);
+  }
+
+  async list({ prefix = '', limit = 1000, cursor } = {}) {
+    // Keys are ASCII, so every key starting with the prefix sorts below prefix + U+FFFF
+    const { results } = await this._db
+      .prepare(`SELECT key, metadata, expiration FROM kv
+        WHERE key >= ?1 AND key < ?2 AND key > ?3 AND (expiration IS NULL OR expiration > ?4)
+        ORDER BY key LIMIT ?5`)
+      .bind(prefix, `${prefix}\uffff`, cursor || '', Math.floor(Date.now() / 1000), limit + 1)
+      .all();
+    const page = results.slice(0, limit);
+    const complete = results.length <= limit;
+    return {
+      keys: page.map(row => ({
+        name: row.key,
+        ...(row.expiration ? { expiration: row.expiration } : {}),
+        ...(row.metadata ? { metadata: JSON.parse(row.metadata) } : {})
+      })),
+      list_complete: complete,
+      cursor: complete ? undefined : page[page.length - 1].key
+    };
+  }
+}
+
+/**
+ * Apply puts ({ key, value, options }) and deletes ({ key, delete: true }). Backends with batch()
+ * take them in one call; a KV namespace has no batch write, so there each is its own operation.
+ */
+async function storageBatch(storage, operations) {
+  if (operations.length === 0) return;
+  if (typeof storage.batch === 'function') {
+    await storage.batch(operations);
+    return;
+  }
+  await Promise.all(operations.map(({ key, value, options, delete: remove }) => (
+    remove ? storage.delete(key) : storage.put(key, value, options)
+  )));
+}
+
+/**
+ * Memory storage lives as long as the env object it was created for (one per isolate in Workers, one per test)
+ */
+const memoryStorages = new WeakMap();
+
+/**
+ * Pick the storage backend: the STORAGE var selects kv (default, binding sharegpt), d1 (binding DB) or memory
+ */
+function getStorage(env) {
+  const backend = env.STORAGE || 'kv';
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE backend: ${backend}`);
+  }
+
+  if (backend === 'd1') {
+    if (!env.DB) throw new Error('STORAGE is d1 but no DB binding is configured');
+    return new D1Storage(env.DB);
+  }
+  if (backend === 'memory') {
+    if (!memoryStorages.has(env)) memoryStorages.set(env, new MemoryStorage());
+    return memoryStorages.get(env);
+  }
+  if (!env.sharegpt) throw new Error('STORAGE is kv but no sharegpt KV binding is configured');
+  return env.sharegpt;
+}
+
+/**
+ * Current shape of stored conversation records:
+ *   1 - content.parsed and content.raw inline in the record, metadata as first written (no version field)
+ *   2 - parsed and raw under their own keys, marked with `storage: 2`
+ *   3 - `schemaVersion` field, content.parserVersion records which parser produced content.parsed
+ */
+const SCHEMA_VERSION = 3;
+
+/**
+ * Bump when parseHtmlContent changes its output; records parsed by an older version
+ * are picked up by POST /admin/reparse
+ */
+const PARSER_VERSION = 2;
+
+/**
+ * Upgrade steps, keyed by the version they upgrade from. Each runs on a freshly read
+ * record in memory; the upgraded shape is written back on the record's next save.
+ */
+const RECORD_MIGRATIONS = {
+  // Fill in metadata that older uploads never stored, derived from the inline parse
+  1: record => {
+    const { parsed, metadata } = record.content;
+    record.content.metadata = {
+      ...metadata,
+      title: metadata.title || conversationTitle(parsed),
+      customTitle: Boolean(metadata.customTitle),
+      description: metadata.description ?? conversationDescription(parsed),
+      messageCount: metadata.messageCount ?? parsed?.messages?.length ?? 0
+    };
+    record.content.format = record.content.format || parsed?.format || 'raw';
+    record.protection = record.protection || null;
+    return record;
+  },
+  // The version field replaces the layout flag
+  2: record => {
+    delete record.storage;
+    return record;
+  }
+};
+
+/**
+ * Version of a stored record (records before versioning are told apart by their layout)
+ */
+function recordSchemaVersion(record) {
+  return record.schemaVersion ?? (record.storage === 2 ? 2 : 1);
+}
+
+/**
+ * Parse a stored conversation record and upgrade it to SCHEMA_VERSION
+ */
+function parseConversationRecord(data) {
+  let record = JSON.parse(data);
+  let version = recordSchemaVersion(record);
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Record ${record.id} has schema version ${version}, newer than this worker (${SCHEMA_VERSION})`);
+  }
+  for (; version < SCHEMA_VERSION; version++) {
+    record = RECORD_MIGRATIONS[version](record);
+  }
+  record.schemaVersion = SCHEMA_VERSION;
+  return record;
+}
+
+/**
+ * Metadata derived from a parse; a title given by the uploader is kept until replaced
+ */
+function derivedMetadata(parsedContent, previous = {}, title = null) {
+  const customTitle = Boolean(title) || Boolean(previous.customTitle);
+  return {
+    title: title || (previous.customTitle ? previous.title : conversationTitle(parsedContent)),
+    customTitle: customTitle,
+    description: conversationDescription(parsedContent),
+    messageCount: parsedContent?.messages?.length || 0
+  };
+}
+
+/**
+ * Load a conversation record, treating expired ones as missing
+ */
+async function loadConversation(id, env, parts = {}) {
+  const data = await getStorage(env).get(id);
+  if (!data) return null;
+
+  const conversationData = parseConversationRecord(data);
+  const { expiresAt } = conversationData.content.metadata;
+
+  // KV expiry is eventually consistent, so double-check the stored deadline
+  if (expiresAt && new Date(expiresAt).getTime() <= Date.now()) {
+    return null;
+  }
+  await loadConversationContent(env, conversationData, parts);
+  return conversationData;
+}
+
+/**
+ * Largest accepted upload. Storage could take more (bodies are compressed under their own keys
+ * and KV values max out at 25MB), but parsing, sanitizing and rendering cost CPU time in
+ * proportion to the size, and every share must stay well inside the Workers CPU limit.
+ */
+const MAX_CONTENT_SIZE = 1024 * 1024;
+
+/**
+ * Most messages one share may hold; each is sanitized and rendered on its own, so many
+ * short messages cost more than their size suggests
+ */
+const MAX_MESSAGE_COUNT = 1000;
+
+/**
+ * Bodies smaller than this are stored uncompressed
+ */
+const COMPRESSION_THRESHOLD = 1024;
+
+/**
+ * KV keys holding a share's parsed messages and raw source, next to the metadata record under {id}
+ */
+function contentKeys(id) {
+  return { parsed: `${id}:parsed`, raw: `${id}:raw` };
+}
+
+/**
+ * Fill in content.parsed and/or content.raw from their own keys.
+ * Schema version 1 records carry both inline already, so nothing is fetched for them.
+ */
+async function loadConversationContent(env, conversationData, { parsed = false, raw = false } = {}) {
+  const keys = contentKeys(conversationData.id);
+  const [parsedText, rawText] = await Promise.all([
+    parsed && !('parsed' in conversationData.content) ? getBlob(env, keys.parsed) : undefined,
+    raw && !('raw' in conversationData.content) ? getBlob(env, keys.raw) : undefined
+  ]);
+  if (parsedText !== undefined) conversationData.content.parsed = parsedText ? JSON.parse(parsedText) : null;
+  if (rawText !== undefined) conversationData.content.raw = rawText || '';
+  return conversationData;
+}
+
+/**
+ * Write a conversation: the metadata record under {id}, parsed messages and raw source under their own keys
+ */
+async function saveConversation(env, conversationData) {
+  const { parsed, raw, ...content } = conversationData.content;
+  const record = { ...conversationData, schemaVersion: SCHEMA_VERSION, content: content };
+  const options = kvExpirationOptions(conversationData);
+  const keys = contentKeys(conversationData.id);
+
+  // Bodies first, so a reader never finds a record whose content is missing
+  await Promise.all([
+    putBlob(env, keys.parsed, JSON.stringify(parsed ?? null), options),
+    putBlob(env, keys.raw, raw, options)
+  ]);
+  await getStorage(env).put(conversationData.id, JSON.stringify(record), options);
+  conversationData.schemaVersion = SCHEMA_VERSION;
+}
+
+/**
+ * Store a text body, gzip-compressed when it is large enough to benefit
+ */
+async function putBlob(env, key, text, options) {
+  const bytes = new TextEncoder().encode(text);
+  if (bytes.length < COMPRESSION_THRESHOLD) {
+    await getStorage(env).put(key, text, { ...options, metadata: { encoding: 'identity' } });
+    return;
+  }
+  const compressed = await new Response(
+    new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'))
+  ).arrayBuffer();
+  await getStorage(env).put(key, compressed, { ...options, metadata: { encoding: 'gzip' } });
+}
+
+/**
+ * Read a body written by putBlob (null when missing)
+ */
+async function getBlob(env, key) {
+  const { value, metadata } = await getStorage(env).getWithMetadata(key, 'arrayBuffer');
+  if (value === null) return null;
+
+  let stream = new Blob([value]).stream();
+  if (metadata?.encoding === 'gzip') {
+    stream = stream.pipeThrough(new DecompressionStream('gzip'));
+  }
+  return await new Response(stream).text();
+}
+
+/**
+ * Delete a conversation together with its owner index entries
+ */
+async function deleteConversation(env, conversationData) {
+  const storage = getStorage(env);
+  await storage.delete(conversationData.id);
+  await Promise.all(Object.values(contentKeys(conversationData.id)).map(key => storage.delete(key)));
+  if (conversationData.ownerId) {
+    await Promise.all(ownerIndexKeys(conversationData).map(key => storage.delete(key)));
+  }
+  if (conversationData.content.metadata.public) {
+    await unindexPublicConversation(env, conversationData.id);
+  }
+  // The source's page lists its forks, so its cached renderings go too
+  if (conversationData.content.metadata.forkedFrom) {
+    await storage.delete(forkIndexKey(conversationData));
+    await purgeRenderCache(conversationData.content.metadata.forkedFrom);
+  }
+}
+
+/**
+ * Anonymous owners are identified by an HttpOnly cookie holding a random token
+ */
+const OWNER_COOKIE = 'sg_owner';
+const OWNER_COOKIE_MAX_AGE = 365 * 86400;
+
+/**
+ * Owner id for an anonymous owner token (only a hash of the token is ever stored)
+ */
+async function anonymousOwnerId(token) {
+  return `anon_${(await hashToken(token)).slice(0, 32)}`;
+}
+
+/**
+ * Identify who is calling: { ownerId, apiKey } for an API key or owner cookie,
+ * null for an unknown caller, false for an invalid or revoked API key
+ */
+async function resolveOwner(request, env) {
+  const apiKey = await authenticateApiKey(request, env);
+  if (apiKey === false) return false;
+  if (apiKey) return { ownerId: `key_${apiKey.id}`, apiKey: apiKey };
+
+  const token = getCookie(request, OWNER_COOKIE);
+  if (token && /^[A-Za-z0-9_-]{43}$/.test(token)) {
+    return { ownerId: await anonymousOwnerId(token), apiKey: null };
+  }
+  return null;
+}
+
+/**
+ * Index keys for an owned conversation: one per sort order, since KV lists keys in ascending order only.
+ * Key shape: owner:{ownerId}:{asc|desc}:{zero-padded created ms}:{id}
+ */
+function ownerIndexKeys(conversationData) {
+  const created = new Date(conversationData.content.metadata.created).getTime();
+  const prefix = `owner:${conversationData.ownerId}`;
+  return [
+    `${prefix}:asc:${String(created).padStart(13, '0')}:${conversationData.id}`,
+    `${prefix}:desc:${String(9999999999999 - created).padStart(13, '0')}:${conversationData.id}`
+  ];
+}
+
+/**
+ * Write (or refresh) the owner index entries; the listing is served from their KV metadata
+ */
+async function indexOwnedConversation(env, conversationData) {
+  if (!conversationData.ownerId) return;
+
+  const { parsed, metadata } = conversationData.content;
+  const summary = {
+    title: getConversationTitle(conversationData),
+    created: metadata.created,
+    updated: metadata.updated || null,
+    messageCount: metadata.messageCount ?? parsed?.messages?.length ?? 0,
+    expiresAt: metadata.expiresAt || null,
+    passwordProtected: Boolean(conversationData.protection),
+    tags: metadata.tags || []
+  };
+  const options = { ...kvExpirationOptions(conversationData), metadata: summary };
+
+  const storage = getStorage(env);
+  await Promise.all(ownerIndexKeys(conversationData).map(key => storage.put(key, conversationData.id, options)));
+}
+
+/**
+ * Most forks listed on a share's page
+ */
+const FORK_LIST_LIMIT = 20;
+
+/**
+ * Listing key for a fork under the share it was forked from, newest first:
+ * fork:{source id}:{inverted created ms}:{id}
+ */
+function forkIndexKey(conversationData) {
+  const { metadata } = conversationData.content;
+  const recency = String(9999999999999 - new Date(metadata.created).getTime()).padStart(13, '0');
+  return `fork:${metadata.forkedFrom}:${recency}:${conversationData.id}`;
+}
+
+/**
+ * Write (or refresh) a fork's entry in its source's fork list. Only forks by the source's
+ * owner are listed: the list is shown to everyone reading the source, so anyone else's fork
+ * (and its title) would be published on a page they do not control. Other forks still link
+ * back through forkedFrom. Burn-after-reading forks are left out, since anyone reading the
+ * source could otherwise burn them.
+ */
+async function indexForkedConversation(env, conversationData) {
+  const { metadata } = conversationData.content;
+  if (!metadata.forkedFrom || metadata.burnAfterReading || !conversationData.ownerId) return;
+  const source = await getStorage(env).get(metadata.forkedFrom);
+  if (!source || parseConversationRecord(source).ownerId !== conversationData.ownerId) return;
+
+  const summary = {
+    title: conversationData.protection ? 'Password-protected conversation' : getConversationTitle(conversationData),
+    created: metadata.created
+  };
+  const options = { ...kvExpirationOptions(conversationData), metadata: summary };
+  await getStorage(env).put(forkIndexKey(conversationData), conversationData.id, options);
+}
+
+/**
+ * Newest forks of a share as { id, title, created }
+ */
+async function listForks(env, id) {
+  const { keys } = await getStorage(env).list({ prefix: `fork:${id}:`, limit: FORK_LIST_LIMIT });
+  return keys.map(key => ({ id: key.name.slice(-8), ...key.metadata }));
+}
+
+/**
+ * Whether a share can be named as forkedFrom: it must exist and not be burn-after-reading
+ */
+async function isForkable(env, id) {
+  if (typeof id !== 'string' || !/^[a-zA-Z0-9]{8}$/.test(id)) return false;
+  const data = await getStorage(env).get(id);
+  return Boolean(data) && !parseConversationRecord(data).content.metadata.burnAfterReading;
+}
+
+/**
+ * Validate a submitted title: trimmed string, null when absent, false when invalid
+ */
+function normalizeTitle(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string') return false;
+
+  const title = value.replace(/\s+/g, ' ').trim();
+  if (title.length > 200) return false;
+  return title || null;
+}
+
+/**
+ * Validate submitted tags: lower-cased, spaces turned into dashes, de-duplicated; false when invalid
+ */
+function normalizeTags(value) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.length > 10) return false;
+
+  const tags = [];
+  for (const item of value) {
+    if (typeof item !== 'string') return false;
+    const tag = item.trim().toLowerCase().replace(/\s+/g, '-');
+    if (!/^[\p{L}\p{N}][\p{L}\p{N}_-]{0,31}$/u.test(tag)) return false;
+    if (!tags.includes(tag)) tags.push(tag);
+  }
+  return tags;
+}
+
+/**
+ * Stored title of a conversation (records created before titles existed derive one)
+ */
+function getConversationTitle(conversationData) {
+  const { parsed, metadata } = conversationData.content;
+  return metadata.title || conversationTitle(parsed);
+}
+
+/**
+ * Stored link-preview description (records created before it was stored derive one)
+ */
+function getConversationDescription(conversationData) {
+  const { parsed, metadata } = conversationData.content;
+  return metadata.description || conversationDescription(parsed);
+}
+
+/**
+ * Short excerpt for link previews: the start of the first assistant reply (or first message)
+ */
+function conversationDescription(parsed) {
+  const messages = parsed?.messages || [];
+  const reply = messages.find(message => message.role === 'assistant') || messages[0];
+  const text = reply ? cleanHtmlContent(reply.content).replace(/\s+/g, ' ').trim() : '';
+
+  if (!text) return `A shared conversation with ${messages.length} messages`;
+  return text.length > 200 ? `${text.slice(0, 199)}…` : text;
+}
+
+/**
+ * Derived title: the first line of the first user message
+ */
+function conversationTitle(parsed) {
+  const messages = parsed?.messages || [];
+  const first = messages.find(message => message.role === 'user') || messages[0];
+  const text = first ? cleanHtmlContent(first.content).trim().split('\n')[0].trim() : '';
+
+  if (!text) return 'Untitled conversation';
+  return text.length > 80 ? `${text.slice(0, 79)}…` : text;
+}
+
+/**
+ * Handle GET /api/conversations - the caller's shares, newest first by default, with cursor pagination
+ */
+async function handleListConversations(request, env, corsHeaders) {
+  const owner = await resolveOwner(request, env);
+  if (!owner) {
+    return jsonResponse({ success: false, error: 'API key or owner cookie required' }, 401, corsHeaders);
+  }
+
+  const params = new URL(request.url).searchParams;
+  const order = params.get('order') || 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    return jsonResponse({ success: false, error: 'Invalid order (use asc or desc)' }, 400, corsHeaders);
+  }
+  const limit = Math.min(Math.max(parseInt(params.get('limit'), 10) || 20, 1), 100);
+
+  const page = await getStorage(env).list({
+    prefix: `owner:${owner.ownerId}:${order}:`,
+    limit: limit,
+    cursor: params.get('cursor') || undefined
+  });
+  const origin = new URL(request.url).origin;
+  const conversations = page.keys.map(({ name, metadata }) => {
+    const id = name.slice(name.lastIndexOf(':') + 1);
+    return { id: id, url: `${origin}/${id}`, ...metadata };
+  });
+
+  return new Response(JSON.stringify({
+    success: true,
+    conversations: conversations,
+    cursor: page.list_complete ? null : page.cursor
+  }), {
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json',
+      'Cache-Control': 'private, no-store'
+    }
+  });
+}
+
+/**
+ * Handle DELETE /api/conversations with {"ids": [...]} - delete several of the caller's shares
+ */
+async function handleBulkDelete(request, env, corsHeaders) {
+  const owner = await resolveOwner(request, env);
+  if (!owner) {
+    return jsonResponse({ success: false, error: 'API key or owner cookie required' }, 401, corsHeaders);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return jsonResponse({ success: false, error: 'Bad JSON' }, 400, corsHeaders);
+  }
+  const ids = body?.ids;
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > 100) {
+    return jsonResponse({ success: false, error: 'ids must be an array of 1-100 conversation IDs' }, 400, corsHeaders);
+  }
+
+  const deleted = [];
+  const failed = [];
+  for (const id of new Set(ids)) {
+    if (typeof id !== 'string' || !/^[a-zA-Z0-9]{8}$/.test(id)) {
+      failed.push({ id: id, error: 'Invalid conversation ID' });
+      continue;
+    }
+    const data = await getStorage(env).get(id);
+    const conversationData = data ? parseConversationRecord(data) : null;
+    // Someone else's share is reported the same as a missing one
+    if (!conversationData || conversationData.ownerId !== owner.ownerId) {
+      failed.push({ id: id, error: 'Conversation not found' });
+      continue;
+    }
+    await deleteConversation(env, conversationData);
+    await purgeRenderCache(id);
+    deleted.push(id);
+  }
+
+  return jsonResponse({ success: failed.length === 0, deleted: deleted, failed: failed }, 200, corsHeaders);
+}
+
+/**
+ * Configured separate origin for raw content (RAW_ORIGIN), or null to use the main origin
+ */
+function getRawOrigin(env) {
+  if (!env.RAW_ORIGIN) return null;
+  try {
+    return new URL(env.RAW_ORIGIN).origin;
+  } catch (error) {
+    console.error('Invalid RAW_ORIGIN:', env.RAW_ORIGIN);
+    return null;
+  }
+}
+
+/**
+ * Random per-response nonce for inline and CDN scripts
+ */
+function generateNonce() {
+  return toBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+/**
+ * Security headers for HTML pages rendered by the worker
+ * Scripts only run with the response nonce, CDN scripts included (no host is trusted, so an
+ * injected <script src> from the CDN does not run); pages without scripts get script-src 'none'.
+ */
+function htmlSecurityHeaders({ nonce = null, frameSrc = "'none'" } = {}) {
+  const scriptSrc = nonce ? `'nonce-${nonce}'` : "'none'";
+  return {
+    'Content-Security-Policy': [
+      "default-src 'none'",
+      `script-src ${scriptSrc}`,
+      "style-src 'unsafe-inline' https://cdn.jsdelivr.net",
+      'img-src https: http:',
+      "connect-src 'self'",
+      `frame-src ${frameSrc}`,
+      "form-action 'self'",
+      "base-uri 'none'",
+      "frame-ancestors 'none'"
+    ].join('; '),
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'no-referrer'
+  };
+}
+
+/**
+ * Security headers for raw content: the CSP sandbox directive gives the document an opaque
+ * origin with scripts, forms and popups disabled, even when opened outside the viewer
+ */
+function rawContentSecurityHeaders(env) {
+  const csp = [
+    'sandbox',
+    "default-src 'none'",
+    "style-src 'unsafe-inline' https: http:",
+    'img-src https: http: data:',
+    'font-src https: http: data:',
+    "form-action 'none'",
+    "base-uri 'none'"
+  ];
+  // On the main origin only the viewer may frame it; a separate origin is framed cross-origin
+  if (!getRawOrigin(env)) {
+    csp.push("frame-ancestors 'self'");
+  }
+  return {
+    'Content-Security-Policy': csp.join('; '),
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'no-referrer'
+  };
+}
+
+/**
+ * Scripts written without spaces between words; runs of them are indexed as overlapping bigrams
+ */
+const CJK_CHAR = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * A CJK run, or a run of other letters and digits
+ */
+const SEARCH_TOKEN_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|(?:(?![\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}])[\p{L}\p{N}])+/gu;
+
+/**
+ * English words too common to be worth an index entry
+ */
+const SEARCH_STOP_WORDS = new Set([
+  'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for', 'from', 'has', 'have', 'how',
+  'if', 'in', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'so', 'that', 'the', 'this',
+  'to', 'was', 'we', 'what', 'which', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Index limits: distinct terms per share (one storage key each), stored text for snippets, terms per query,
+ * and postings read per query term (the newest shares win when a term has more)
+ */
+const SEARCH_MAX_TERMS = 200;
+const SEARCH_TEXT_LIMIT = 100000;
+const SEARCH_QUERY_TERMS = 8;
+const SEARCH_POSTINGS_LIMIT = 1000;
+
+/**
+ * Split text into search terms with their positions: lower-cased words, and bigrams for CJK runs
+ */
+function searchTokens(text) {
+  const tokens = [];
+  for (const match of text.matchAll(SEARCH_TOKEN_PATTERN)) {
+    const run = match[0];
+    if (!CJK_CHAR.test(run)) {
+      const term = run.toLowerCase();
+      if (term.length >= 2 && term.length <= 40 && !SEARCH_STOP_WORDS.has(term)) {
+        tokens.push({ term: term, start: match.index, end: match.index + run.length });
+      }
+      continue;
+    }
+
+    const chars = [...run];
+    if (chars.length === 1) {
+      tokens.push({ term: run, start: match.index, end: match.index + run.length });
+    }
+    let start = match.index;
+    for (let i = 0; i + 1 < chars.length; i++) {
+      const term = chars[i] + chars[i + 1];
+      tokens.push({ term: term, start: start, end: start + term.length });
+      start += chars[i].length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Plain text of every message, as indexed and used for snippets
+ */
+async function conversationSearchText(conversationData) {
+  const messages = conversationData.content.parsed?.messages || [];
+  const texts = await Promise.all(messages.map(message => htmlToPlainText(message.content)));
+  return texts.filter(Boolean).join('\n\n');
+}
+
+/**
+ * Inverted creation time, so keys that embed it list newest first
+ */
+function recencyKey(created) {
+  return String(9999999999999 - new Date(created).getTime()).padStart(13, '0');
+}
+
+/**
+ * Text length as stored in postings, rounded to steps of about 9% so small edits leave postings unchanged
+ */
+function postingLength(length) {
+  return length < 16 ? length : Math.round(2 ** (Math.round(Math.log2(length) * 8) / 8));
+}
+
+/**
+ * Gallery listing keys for a public share, newest first: one for all shares and one per tag.
+ * Key shape: gallery:all:{inverted created ms}:{id} and gallery:tag:{tag}:{inverted created ms}:{id}
+ */
+function galleryIndexKeys(conversationData) {
+  const { metadata } = conversationData.content;
+  const recency = recencyKey(metadata.created);
+  return [
+    `gallery:all:${recency}:${conversationData.id}`,
+    ...(metadata.tags || []).map(tag => `gallery:tag:${tag}:${recency}:${conversationData.id}`)
+  ];
+}
+
+/**
+ * Add (or refresh) a public share in the search index and the gallery:
+ *   search:doc:{id}                   - title, text for snippets, the indexed terms with their frequencies,
+ *                                       the posting length and the gallery keys
+ *   search:term:{term}:{recency}:{id} - one posting per term, with its frequency and the text length as metadata
+ *   gallery:...                       - listing entries (see galleryIndexKeys) carrying the share's summary as metadata
+ * Re-indexing only writes postings that changed and deletes those that are gone, all in one storage batch.
+ */
+async function indexPublicConversation(env, conversationData) {
+  const { id } = conversationData;
+  const { metadata } = conversationData.content;
+  const title = getConversationTitle(conversationData);
+  const text = await conversationSearchText(conversationData);
+  const tokens = searchTokens(text);
+
+  // Title words count three times, so a match there outranks a passing mention
+  const frequencies = new Map();
+  for (const { term } of tokens) frequencies.set(term, (frequencies.get(term) || 0) + 1);
+  for (const { term } of searchTokens(title)) frequencies.set(term, (frequencies.get(term) || 0) + 3);
+  const terms = [...frequencies]
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, SEARCH_MAX_TERMS);
+
+  const storage = getStorage(env);
+  const previousData = await storage.get(`search:doc:${id}`);
+  const previous = previousData ? JSON.parse(previousData) : null;
+  const options = kvExpirationOptions(conversationData);
+  const length = postingLength(tokens.length);
+  const expiresAt = metadata.expiresAt || null;
+  const recency = recencyKey(metadata.created);
+  const galleryKeys = galleryIndexKeys(conversationData);
+
+  const postings = terms.map(([term, frequency]) => ({
+    key: `search:term:${term}:${recency}:${id}`,
+    value: id,
+    options: { ...options, metadata: { tf: frequency, length: length } }
+  }));
+  const wanted = new Set(postings.map(posting => posting.key));
+  const previousPostings = new Map((previous?.terms || []).map(([term, frequency]) => (
+    [`search:term:${term}:${recencyKey(previous.created)}:${id}`, frequency]
+  )));
+  const reusable = previous?.length === length && previous.expiresAt === expiresAt;
+
+  const summary = {
+    title: title,
+    created: metadata.created,
+    messageCount: metadata.messageCount,
+    tags: metadata.tags || []
+  };
+  await storageBatch(storage, [
+    ...[...previousPostings.keys()].filter(key => !wanted.has(key)).map(key => ({ key, delete: true })),
+    ...(previous?.galleryKeys || []).filter(key => !galleryKeys.includes(key)).map(key => ({ key, delete: true })),
+    {
+      key: `search:doc:${id}`,
+      value: JSON.stringify({
+        title: title,
+        text: text.slice(0, SEARCH_TEXT_LIMIT),
+        terms: terms,
+        length: length,
+        galleryKeys: galleryKeys,
+        created: metadata.created,
+        messageCount: metadata.messageCount,
+        expiresAt: expiresAt
+      }),
+      options: options
+    },
+    ...postings.filter(({ key, options }) => !reusable || previousPostings.get(key) !== options.metadata.tf),
+    ...galleryKeys.map(key => ({ key, value: id, options: { ...options, metadata: summary } }))
+  ]);
+}
+
+/**
+ * Remove a share's postings, gallery entries and document entry from the public index
+ */
+async function unindexPublicConversation(env, id) {
+  const storage = getStorage(env);
+  const data = await storage.get(`search:doc:${id}`);
+  if (!data) return;
+
+  const { terms, created, galleryKeys = [] } = JSON.parse(data);
+  const recency = recencyKey(created);
+  await storageBatch(storage, [
+    ...terms.map(([term]) => ({ key: `search:term:${term}:${recency}:${id}`, delete: true })),
+    ...galleryKeys.map(key => ({ key, delete: true }))
+  ]);
+  await storage.delete(`search:doc:${id}`);
+}
+
+/**
+ * Rank public shares for a query with BM25. Shares matching more of the query terms come first.
+ * Storage keeps no collection statistics, so the candidate set stands in for the collection:
+ * rarer query terms still outweigh common ones, and lengths are normalised against the candidates.
+ */
+async function searchConversations(env, query, { limit = 10, offset = 0 } = {}) {
+  const terms = [...new Set(searchTokens(query).map(token => token.term))].slice(0, SEARCH_QUERY_TERMS);
+  if (terms.length === 0) return { terms: terms, total: 0, truncated: false, results: [] };
+
+  const storage = getStorage(env);
+  const postings = await Promise.all(terms.map(term => storage.list({ prefix: `search:term:${term}:`, limit: SEARCH_POSTINGS_LIMIT })));
+  // Postings list newest first, so a term with more shares than the limit loses its oldest ones
+  const truncated = terms.filter((term, index) => !postings[index].list_complete);
+  if (truncated.length > 0) {
+    console.warn(`Search postings truncated to the newest ${SEARCH_POSTINGS_LIMIT} for: ${truncated.join(', ')}`);
+  }
+
+  const candidates = new Map();
+  postings.forEach((page, index) => {
+    for (const { name, metadata } of page.keys) {
+      const id = name.slice(name.lastIndexOf(':') + 1);
+      const candidate = candidates.get(id) || { id: id, length: metadata?.length || 1, frequencies: new Map() };
+      candidate.frequencies.set(terms[index], metadata?.tf || 1);
+      candidates.set(id, candidate);
+    }
+  });
+
+  const count = candidates.size;
+  const averageLength = [...candidates.values()].reduce((sum, candidate) => sum + candidate.length, 0) / (count || 1);
+  const k1 = 1.2;
+  const b = 0.75;
+  const ranked = [...candidates.values()].map(candidate => {
+    let score = 0;
+    postings.forEach((page, index) => {
+      const frequency = candidate.frequencies.get(terms[index]);
+      if (!frequency) return;
+      const idf = Math.log(1 + (count - page.keys.length + 0.5) / (page.keys.length + 0.5));
+      score += idf * frequency * (k1 + 1) / (frequency + k1 * (1 - b + b * candidate.length / averageLength));
+    });
+    return { id: candidate.id, matched: candidate.frequencies.size, score: score };
+  }).sort((x, y) => y.matched - x.matched || y.score - x.score);
+
+  const page = ranked.slice(offset, offset + limit);
+  const documents = await Promise.all(page.map(({ id }) => storage.get(`search:doc:${id}`)));
+  const results = [];
+  page.forEach(({ id, score }, index) => {
+    if (!documents[index]) return;
+    const doc = JSON.parse(documents[index]);
+    // Storage expiry is eventually consistent, so double-check the stored deadline
+    if (doc.expiresAt && new Date(doc.expiresAt).getTime() <= Date.now()) return;
+    results.push({
+      id: id,
+      title: doc.title,
+      snippet: searchSnippet(doc.text, terms),
+      created: doc.created,
+      messageCount: doc.messageCount,
+      score: Math.round(score * 1000) / 1000
+    });
+  });
+
+  return { terms: terms, total: ranked.length, truncated: truncated.length > 0, results: results };
+}
+
+/**
+ * Escaped excerpt of `text` around the densest cluster of query terms, matches wrapped in <mark>
+ */
+function searchSnippet(text, terms, length = 200) {
+  const wanted = new Set(terms);
+  const hits = searchTokens(text).filter(token => wanted.has(token.term)).slice(0, 200);
+  if (hits.length === 0) {
+    return escapeHtml(text.slice(0, length)).replace(/\s+/g, ' ') + (text.length > length ? '…' : '');
+  }
+
+  // Start the window shortly before the hit with the most distinct terms within reach
+  let best = hits[0];
+  let bestCount = 0;
+  for (const hit of hits) {
+    const reach = new Set(hits.filter(other => other.start >= hit.start && other.end <= hit.start + length).map(other => other.term));
+    if (reach.size > bestCount) {
+      best = hit;
+      bestCount = reach.size;
+    }
+  }
+  const start = Math.max(0, best.start - 40);
+  const end = Math.min(text.length, start + length);
+
+  let html = '';
+  let position = start;
+  for (const hit of hits) {
+    if (hit.start < position || hit.end > end) {
+      // Overlapping CJK bigrams extend the previous mark
+      if (hit.start < position && hit.end > position && hit.end <= end && html.endsWith('</mark>')) {
+        html = html.slice(0, -7) + escapeHtml(text.slice(position, hit.end)) + '</mark>';
+        position = hit.end;
+      }
+      continue;
+    }
+    html += escapeHtml(text.slice(position, hit.start)) + `<mark>${escapeHtml(text.slice(hit.start, hit.end))}</mark>`;
+    position = hit.end;
+  }
+  html += escapeHtml(text.slice(position, end));
+
+  return `${start > 0 ? '…' : ''}${html.replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Read and validate ?q=, ?limit= and ?offset= for the search routes
+ */
+function readSearchParams(request) {
+  const params = new URL(request.url).searchParams;
+  const query = (params.get('q') || '').trim();
+  if (query.length > 200) {
+    return { error: 'Query too long (max 200 characters)' };
+  }
+  return {
+    query: query,
+    limit: Math.min(Math.max(parseInt(params.get('limit'), 10) || 10, 1), 50),
+    offset: Math.max(parseInt(params.get('offset'), 10) || 0, 0)
+  };
+}
+
+/**
+ * Handle GET /api/search?q= - ranked public shares with highlighted snippets
+ */
+async function handleSearchApi(request, env, corsHeaders) {
+  const params = readSearchParams(request);
+  if (params.error || !params.query) {
+    return jsonResponse({ success: false, error: params.error || 'Query required (?q=)' }, 400, corsHeaders);
+  }
+
+  const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
+  const rateLimit = await checkRateLimit(env, 'search', clientIP);
+  if (!rateLimit.allowed) {
+    return jsonResponse({ success: false, error: 'Rate limit exceeded' }, 429, {
+      ...corsHeaders,
+      ...rateLimitHeaders(rateLimit)
+    });
+  }
+
+  const { total, truncated, results } = await searchConversations(env, params.query, params);
+  const origin = new URL(request.url).origin;
+  return new Response(JSON.stringify({
+    success: true,
+    query: params.query,
+    total: total,
+    truncated: truncated,
+    results: results.map(result => ({ ...result, url: `${origin}/${result.id}` }))
+  }), {
+    headers: {
+      ...corsHeaders,
+      ...rateLimitHeaders(rateLimit),
+      'Content-Type': 'application/json',
+      'Cache-Control': 'public, max-age=60'
+    }
+  });
+}
+
+/**
+ * Handle GET /search?q= - search form and result list
+ */
+async function handleSearchPage(request, env, corsHeaders) {
+  const params = readSearchParams(request);
+  let search = null;
+  let status = 200;
+  let extraHeaders = {};
+
+  if (params.error) {
+    status = 400;
+  } else if (params.query) {
+    const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
+    const rateLimit = await checkRateLimit(env, 'search', clientIP);
+    extraHeaders = rateLimitHeaders(rateLimit);
+    if (rateLimit.allowed) {
+      search = await searchConversations(env, params.query, params);
+    } else {
+      status = 429;
+    }
+  }
+
+  return new Response(getSearchPage(params, search, status), {
+    status: status,
+    headers: {
+      ...corsHeaders,
+      ...extraHeaders,
+      ...htmlSecurityHeaders(),
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': status === 200 ? 'public, max-age=60' : 'no-store'
+    }
+  });
+}
+
+/**
+ * Read ?tag=, ?limit= and ?cursor= for the gallery routes
+ */
+function readGalleryParams(request) {
+  const params = new URL(request.url).searchParams;
+  const tag = params.get('tag') ? normalizeTags([params.get('tag')]) : [];
+  if (tag === false) {
+    return { error: 'Invalid tag' };
+  }
+  return {
+    tag: tag[0] || null,
+    limit: Math.min(Math.max(parseInt(params.get('limit'), 10) || 24, 1), 100),
+    cursor: params.get('cursor') || undefined
+  };
+}
+
+/**
+ * One page of the gallery, newest first, served straight from the listing keys' metadata
+ */
+async function listGallery(env, { tag, limit, cursor }) {
+  const page = await getStorage(env).list({
+    prefix: tag ? `gallery:tag:${tag}:` : 'gallery:all:',
+    limit: limit,
+    cursor: cursor
+  });
+  return {
+    conversations: page.keys.map(({ name, metadata }) => ({
+      id: name.slice(name.lastIndexOf(':') + 1),
+      ...metadata
+    })),
+    cursor: page.list_complete ? null : page.cursor
+  };
+}
+
+/**
+ * Handle GET /api/gallery - recent public shares, optionally for one tag
+ */
+async function handleGalleryApi(request, env, corsHeaders) {
+  const params = readGalleryParams(request);
+  if (params.error) {
+    return jsonResponse({ success: false, error: params.error }, 400, corsHeaders);
+  }
+
+  const gallery = await listGallery(env, params);
+  const origin = new URL(request.url).origin;
+  return new Response(JSON.stringify({
+    success: true,
+    tag: params.tag,
+    conversations: gallery.conversations.map(item => ({ ...item, url: `${origin}/${item.id}` })),
+    cursor: gallery.cursor
+  }), {
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json',
+      'Cache-Control': 'public, max-age=60'
+    }
+  });
+}
+
+/**
+ * Handle GET /gallery - browsable list of recent public shares
+ */
+async function handleGalleryPage(request, env, corsHeaders) {
+  const params = readGalleryParams(request);
+  const gallery = params.error ? null : await listGallery(env, params);
+
+  return new Response(getGalleryPage(params, gallery), {
+    status: params.error ? 400 : 200,
+    headers: {
+      ...corsHeaders,
+      ...htmlSecurityHeaders(),
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': params.error ? 'no-store' : 'public, max-age=60'
+    }
+  });
+}
+
+/**
+ * Collection slugs: 3-64 lower-case letters, digits and inner dashes
+ */
+const COLLECTION_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}[a-z0-9]$/;
+
+/**
+ * Most shares one collection can hold
+ */
+const COLLECTION_MAX_ITEMS = 100;
+
+/**
+ * Validate a collection body ({title, description, ids}); every id must be an existing share
+ * that is not burn-after-reading. Returns { error, status } or the normalised fields, with
+ * title and description redacted per REDACTION_MODE and the redaction report.
+ */
+async function normalizeCollection(env, body) {
+  const title = normalizeTitle(body.title);
+  if (!title) {
+    return { error: 'A title (max 200 characters) is required', status: 400 };
+  }
+  const description = body.description ?? '';
+  if (typeof description !== 'string' || description.length > 1000) {
+    return { error: 'Invalid description (max 1000 characters)', status: 400 };
+  }
+  if (!Array.isArray(body.ids) || body.ids.length === 0 || body.ids.length > COLLECTION_MAX_ITEMS) {
+    return { error: `ids must be an array of 1-${COLLECTION_MAX_ITEMS} conversation IDs`, status: 400 };
+  }
+
+  const ids = [...new Set(body.ids)];
+  for (const id of ids) {
+    if (typeof id !== 'string' || !/^[a-zA-Z0-9]{8}$/.test(id)) {
+      return { error: `Invalid conversation ID: ${id}`, status: 400 };
+    }
+  }
+  const records = await Promise.all(ids.map(id => loadConversation(id, env)));
+  const missing = ids.find((id, index) => !records[index] || records[index].content.metadata.burnAfterReading);
+  if (missing) {
+    return { error: `Conversation not found: ${missing}`, status: 404 };
+  }
+
+  // Collection pages are public, so their text gets the same redaction pass as uploads
+  const mode = getRedactionMode(env);
+  const findings = new Map();
+  const fields = mode === 'off'
+    ? { title: title, description: description.trim() }
+    : redactFields({ title: title, description: description.trim() }, findings, mode === 'mask');
+  const { redactions, error } = summarizeFindings(mode, findings);
+  if (error) {
+    return { error: error, status: 422 };
+  }
+
+  return { ...fields, ids: ids, redaction: { redactionMode: mode, redactions: redactions } };
+}
+
+/**
+ * Summaries of a collection's shares in order; missing or expired shares are left out
+ * and password-protected ones only show that they are protected
+ */
+async function loadCollectionItems(env, ids) {
+  const records = await Promise.all(ids.map(id => loadConversation(id, env)));
+  return records.filter(Boolean).map(conversationData => {
+    const { metadata } = conversationData.content;
+    if (conversationData.protection) {
+      return { id: conversationData.id, title: 'Password-protected conversation', created: metadata.created, passwordProtected: true };
+    }
+    return {
+      id: conversationData.id,
+      title: getConversationTitle(conversationData),
+      created: metadata.created,
+      messageCount: metadata.messageCount,
+      tags: metadata.tags || [],
+      public: Boolean(metadata.public),
+      passwordProtected: false
+    };
+  });
+}
+
+/**
+ * Public view of a collection record (never includes the token hash)
+ */
+function toApiCollection(collection, items, origin) {
+  return {
+    slug: collection.slug,
+    url: `${origin}/c/${collection.slug}`,
+    title: collection.title,
+    description: collection.description,
+    created: collection.created,
+    updated: collection.updated || null,
+    conversations: items.map(item => ({ ...item, url: `${origin}/${item.id}` }))
+  };
+}
+
+/**
+ * Handle /api/collections routes:
+ *   POST   /api/collections        - create ({slug?, title, description?, ids}); returns a management token
+ *   GET    /api/collections/{slug} - the collection with its shares in order
+ *   PUT    /api/collections/{slug} - replace title, description and ids (X-Manage-Token)
+ *   DELETE /api/collections/{slug} - delete the collection, not its shares (X-Manage-Token)
+ */
+async function handleCollectionsApi(subpath, request, env, corsHeaders) {
+  const method = request.method;
+  const origin = new URL(request.url).origin;
+  const storage = getStorage(env);
+
+  if (method === 'POST' && subpath === '') {
+    const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
+    const rateLimit = await checkRateLimit(env, 'create', clientIP);
+    if (!rateLimit.allowed) {
+      return jsonResponse({ success: false, error: 'Rate limit exceeded' }, 429, {
+        ...corsHeaders,
+        ...rateLimitHeaders(rateLimit)
+      });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return jsonResponse({ success: false, error: 'Bad JSON' }, 400, corsHeaders);
+    }
+
+    let slug = body?.slug;
+    if (slug !== undefined && (typeof slug !== 'string' || !COLLECTION_SLUG_PATTERN.test(slug))) {
+      return jsonResponse({ success: false, error: 'Invalid slug (3-64 lower-case letters, digits and dashes)' }, 400, corsHeaders);
+    }
+    const normalized = await normalizeCollection(env, body || {});
+    if (normalized.error) {
+      return jsonResponse({ success: false, error: normalized.error }, normalized.status, corsHeaders);
+    }
+    const { redaction, ...fields } = normalized;
+
+    if (slug) {
+      if (await storage.get(`collection:${slug}`)) {
+        return jsonResponse({ success: false, error: 'Slug already taken' }, 409, corsHeaders);
+      }
+    } else {
+      const chars = 'abcdefghijkmnpqrstuvwxyz23456789';
+      do {
+        slug = [...crypto.getRandomValues(new Uint8Array(8))].map(b => chars[b % chars.length]).join('');
+      } while (await storage.get(`collection:${slug}`));
+    }
+
+    const manageToken = generateManageToken();
+    const collection = {
+      slug: slug,
+      ...fields,
+      manageTokenHash: await hashToken(manageToken),
+      created: new Date().toISOString()
+    };
+    await storage.put(`collection:${slug}`, JSON.stringify(collection));
+
+    return jsonResponse({
+      success: true,
+      ...toApiCollection(collection, await loadCollectionItems(env, collection.ids), origin),
+      token: manageToken,
+      ...redaction
+    }, 201, corsHeaders);
+  }
+
+  const slug = subpath.slice(1);
+  if (!COLLECTION_SLUG_PATTERN.test(slug)) {
+    return jsonResponse({ success: false, error: 'Not Found' }, 404, corsHeaders);
+  }
+  const data = await storage.get(`collection:${slug}`);
+  if (!data) {
+    return jsonResponse({ success: false, error: 'Collection not found' }, 404, corsHeaders);
+  }
+  const collection = JSON.parse(data);
+
+  if (method === 'GET') {
+    return jsonResponse({
+      success: true,
+      ...toApiCollection(collection, await loadCollectionItems(env, collection.ids), origin)
+    }, 200, corsHeaders);
+  }
+
+  if (method !== 'PUT' && method !== 'DELETE') {
+    return jsonResponse({ success: false, error: 'Method Not Allowed' }, 405, corsHeaders);
+  }
+
+  const token = request.headers.get('X-Manage-Token');
+  if (!token) {
+    return jsonResponse({ success: false, error: 'Management token required' }, 401, corsHeaders);
+  }
+  if (collection.manageTokenHash !== await hashToken(token)) {
+    return jsonResponse({ success: false, error: 'Invalid management token' }, 403, corsHeaders);
+  }
+
+  if (method === 'DELETE') {
+    await storage.delete(`collection:${slug}`);
+    return jsonResponse({ success: true, slug: slug }, 200, corsHeaders);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return jsonResponse({ success: false, error: 'Bad JSON' }, 400, corsHeaders);
+  }
+  const normalized = await normalizeCollection(env, body || {});
+  if (normalized.error) {
+    return jsonResponse({ success: false, error: normalized.error }, normalized.status, corsHeaders);
+  }
+  const { redaction, ...fields } = normalized;
+
+  const updated = { ...collection, ...fields, updated: new Date().toISOString() };
+  await storage.put(`collection:${slug}`, JSON.stringify(updated));
+  return jsonResponse({
+    success: true,
+    ...toApiCollection(updated, await loadCollectionItems(env, updated.ids), origin),
+    ...redaction
+  }, 200, corsHeaders);
+}
+
+/**
+ * Handle GET /c/{slug} - a collection's page
+ */
+async function handleCollectionPage(slug, request, env, corsHeaders) {
+  const data = COLLECTION_SLUG_PATTERN.test(slug) ? await getStorage(env).get(`collection:${slug}`) : null;
+  if (!data) {
+    return new Response('Collection not found', { 
+      status: 404,
+      headers: corsHeaders 
+    });
+  }
+
+  const collection = JSON.parse(data);
+  const items = await loadCollectionItems(env, collection.ids);
+  return new Response(getCollectionPage(collection, items, `${new URL(request.url).origin}/c/${slug}`), {
+    headers: {
+      ...corsHeaders,
+      ...htmlSecurityHeaders(),
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'public, max-age=60'
+    }
+  });
+}
+
+/**
+ * API keys look like sgk_{id}_{secret}; KV stores the record under apikey:{id} with only a hash of the full key
+ */
+const API_KEY_PATTERN = /^sgk_([a-zA-Z0-9]{12})_[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Resolve the Authorization: Bearer API key of a request.
+ * Returns null when no key was sent, false when it is unknown or revoked, else the key record.
+ */
+async function authenticateApiKey(request, env) {
+  const authorization = request.headers.get('Authorization');
+  if (!authorization) return null;
+
+  const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+  const keyMatch = match && API_KEY_PATTERN.exec(match[1]);
+  if (!keyMatch) return false;
+
+  const data = await getStorage(env).get(`apikey:${keyMatch[1]}`);
+  if (!data) return false;
+
+  const record = JSON.parse(data);
+  if (record.revokedAt || !timingSafeEqual(await hashToken(match[1]), record.keyHash)) {
+    return false;
+  }
+  return record;
+}
+
+/**
+ * Check the admin bearer token against ADMIN_TOKEN (admin routes are disabled when it is unset)
+ */
+async function isAdminRequest(request, env) {
+  if (!env.ADMIN_TOKEN) return false;
+
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.get('Authorization') || '');
+  if (!match) return false;
+
+  // Compare digests so the comparison does not leak the token length
+  return timingSafeEqual(await hashToken(match[1]), await hashToken(env.ADMIN_TOKEN));
+}
+
+/**
+ * Public view of an API key record (never includes the hash)
+ */
+function toApiKeyInfo(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    quota: record.quota,
+    created: record.created,
+    revokedAt: record.revokedAt || null
+  };
+}
+
+/**
+ * Handle /admin/api-keys: POST issues a key, GET lists keys, DELETE /admin/api-keys/{id} revokes one
+ */
+async function handleAdminApiKeys(subpath, request, env, corsHeaders) {
+  if (!await isAdminRequest(request, env)) {
+    return jsonResponse({ success: false, error: 'Admin token required' }, 401, corsHeaders);
+  }
+  const method = request.method;
+
+  if (method === 'POST' && subpath === '') {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return jsonResponse({ success: false, error: 'Bad JSON' }, 400, corsHeaders);
+    }
+
+    const name = typeof body?.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return jsonResponse({ success: false, error: 'A name (max 100 characters) is required' }, 400, corsHeaders);
+    }
+    const override = body.quota ?? {};
+    if (typeof override !== 'object' || Array.isArray(override)) {
+      return jsonResponse({ success: false, error: 'Invalid quota (must be an object with limit and window)' }, 400, corsHeaders);
+    }
+    const quota = { ...RATE_LIMITS.apikey, ...override };
+    if (!Number.isInteger(quota.limit) || quota.limit < 1 ||
+        !Number.isInteger(quota.window) || quota.window < 1) {
+      return jsonResponse({ success: false, error: 'Invalid quota (limit and window must be positive integers)' }, 400, corsHeaders);
+    }
+
+    const chars = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKMNPQRSTUVWXYZ23456789';
+    const id = [...crypto.getRandomValues(new Uint8Array(12))].map(b => chars[b % chars.length]).join('');
+    const key = `sgk_${id}_${generateManageToken()}`;
+    const record = {
+      id: id,
+      name: name,
+      keyHash: await hashToken(key),
+      quota: { limit: quota.limit, window: quota.window },
+      created: new Date().toISOString(),
+      revokedAt: null
+    };
+    await getStorage(env).put(`apikey:${id}`, JSON.stringify(record));
+
+    // The key itself is only returned here
+    return jsonResponse({ success: true, key: key, ...toApiKeyInfo(record) }, 201, corsHeaders);
+  }
+
+  if (method === 'GET' && subpath === '') {
+    const storage = getStorage(env);
+    const keys = [];
+    let cursor;
+    do {
+      const page = await storage.list({ prefix: 'apikey:', cursor });
+      for (const { name } of page.keys) {
+        const data = await storage.get(name);
+        if (data) keys.push(toApiKeyInfo(JSON.parse(data)));
+      }
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+
+    return jsonResponse({ success: true, keys: keys }, 200, corsHeaders);
+  }
+
+  if (method === 'DELETE' && /^\/[a-zA-Z0-9]{12}$/.test(subpath)) {
+    const id = subpath.slice(1);
+    const data = await getStorage(env).get(`apikey:${id}`);
+    if (!data) {
+      return jsonResponse({ success: false, error: 'API key not found' }, 404, corsHeaders);
+    }
+
+    // Keep the record so shares created with the key stay attributable
+    const record = JSON.parse(data);
+    record.revokedAt = record.revokedAt || new Date().toISOString();
+    await getStorage(env).put(`apikey:${id}`, JSON.stringify(record));
+
+    return jsonResponse({ success: true, ...toApiKeyInfo(record) }, 200, corsHeaders);
+  }
+
+  return jsonResponse({ success: false, error: 'Not Found' }, 404, corsHeaders);
+}
+
+/**
+ * Handle /admin/reparse routes:
+ *   POST /admin/reparse/{id} - re-parse one share
+ *   POST /admin/reparse      - scan one page of stored keys ({"cursor", "limit", "force"}) and re-parse
+ *                              shares produced by an older parser (every share with force)
+ */
+async function handleAdminReparse(subpath, request, env, corsHeaders) {
+  if (!await isAdminRequest(request, env)) {
+    return jsonResponse({ success: false, error: 'Admin token required' }, 401, corsHeaders);
+  }
+
+  if (subpath !== '') {
+    const id = subpath.slice(1);
+    if (!/^[a-zA-Z0-9]{8}$/.test(id)) {
+      return jsonResponse({ success: false, error: 'Invalid conversation ID' }, 400, corsHeaders);
+    }
+    const conversationData = await loadConversation(id, env);
+    if (!conversationData) {
+      return jsonResponse({ success: false, error: 'Conversation not found' }, 404, corsHeaders);
+    }
+
+    await reparseConversation(env, conversationData);
+    const { format, parserVersion, metadata } = conversationData.content;
+    return jsonResponse({
+      success: true,
+      id: id,
+      format: format,
+      parserVersion: parserVersion,
+      messageCount: metadata.messageCount
+    }, 200, corsHeaders);
+  }
+
+  let body = {};
+  if (request.headers.get('Content-Type')?.includes('application/json')) {
+    try {
+      body = await request.json() || {};
+    } catch (error) {
+      return jsonResponse({ success: false, error: 'Bad JSON' }, 400, corsHeaders);
+    }
+  }
+  const limit = Math.min(Math.max(parseInt(body.limit, 10) || 20, 1), 100);
+
+  // Conversation records are the 8-character keys; content, index and API key entries are skipped
+  const page = await getStorage(env).list({ limit: limit, cursor: body.cursor || undefined });
+  const reparsed = [];
+  const failed = [];
+  let skipped = 0;
+  for (const { name } of page.keys) {
+    if (!/^[a-zA-Z0-9]{8}$/.test(name)) continue;
+    try {
+      const conversationData = await loadConversation(name, env);
+      if (!conversationData ||
+          (!body.force && (conversationData.content.parserVersion || 0) >= PARSER_VERSION)) {
+        skipped++;
+        continue;
+      }
+      await reparseConversation(env, conversationData);
+      reparsed.push(name);
+    } catch (error) {
+      console.error(`Reparse failed for ${name}:`, error);
+      failed.push({ id: name, error: error.message });
+    }
+  }
+
+  return jsonResponse({
+    success: failed.length === 0,
+    reparsed: reparsed,
+    skipped: skipped,
+    failed: failed,
+    cursor: page.list_complete ? null : page.cursor
+  }, 200, corsHeaders);
+}
+
+/**
+ * Re-run the current parser over a share's stored raw content and rewrite the record
+ */
+async function reparseConversation(env, conversationData) {
+  await loadConversationContent(env, conversationData, { raw: true });
+  const raw = conversationData.content.raw;
+  if (!raw) {
+    throw new Error('No raw content stored');
+  }
+
+  const parsedContent = await parseHtmlContent(raw);
+  const previous = conversationData.content.metadata;
+  conversationData.content = {
+    parsed: parsedContent,
+    raw: raw,
+    format: parsedContent?.format || 'raw',
+    parserVersion: PARSER_VERSION,
+    metadata: {
+      ...previous,
+      ...derivedMetadata(parsedContent, previous),
+      // The rendering changes, so validators and cached copies must too
+      updated: new Date().toISOString()
+    }
+  };
+
+  await saveConversation(env, conversationData);
+  await indexOwnedConversation(env, conversationData);
+  if (previous.public) {
+    await indexPublicConversation(env, conversationData);
+  }
+  await indexForkedConversation(env, conversationData);
+  await purgeRenderCache(conversationData.id);
+}
+
+/**
+ * Handle POST of the unlock form for a password-protected conversation
+ */
+async function handleUnlock(id, request, env, corsHeaders) {
+  if (!/^[a-zA-Z0-9]{8}$/.test(id)) {
+    return new Response('Invalid conversation ID', { 
+      status: 400,
+      headers: corsHeaders 
+    });
+  }
+
+  const data = await getStorage(env).get(id);
+  if (!data) {
+    return new Response('Conversation not found', { 
+      status: 404,
+      headers: corsHeaders 
+    });
+  }
+
+  const conversationData = parseConversationRecord(data);
+  let form;
+  try {
+    form = await request.formData();
+  } catch (error) {
+    // Empty, JSON or otherwise unparseable bodies get the form back instead of a 500
+    return new Response(getUnlockForm(id, false, 'Please enter the password'), {
+      status: 400,
+      headers: {
+        ...corsHeaders,
+        ...htmlSecurityHeaders(),
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+  const rawMode = form.get('raw') === '1';
+  const range = parseMessageRange(form.get('range'));
+  let target = rawMode ? `/raw/${id}` : `/${id}`;
+  if (range) target = `/${id}/m/${messageRangePath(range)}`;
+
+  // Unprotected shares have nothing to unlock
+  if (!conversationData.protection) {
+    return new Response(null, { status: 303, headers: { 'Location': target } });
+  }
+
+  // Throttle password guessing per client
+  const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
+  const rateLimit = await checkRateLimit(env, 'unlock', clientIP);
+  if (!rateLimit.allowed) {
+    return new Response(getUnlockForm(id, rawMode, 'Too many attempts. Please try again later.', range), {
+      status: 429,
+      headers: {
+        ...corsHeaders,
+        ...htmlSecurityHeaders(),
+        ...rateLimitHeaders(rateLimit),
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+
+  const password = form.get('password');
+  if (typeof password !== 'string' ||
+      !await verifyPassword(password, conversationData.protection)) {
+    return new Response(getUnlockForm(id, rawMode, 'Incorrect password', range), {
+      status: 401,
+      headers: {
+        ...corsHeaders,
+        ...htmlSecurityHeaders(),
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+
+  // Session cookie (no Max-Age) so the unlock lasts until the browser closes
+  const cookie = await createUnlockCookie(id, conversationData.protection);
+  return new Response(null, {
+    status: 303,
+    headers: {
+      'Location': target,
+      'Set-Cookie': `${unlockCookieName(id)}=${cookie}; Path=/; HttpOnly; Secure; SameSite=Lax`,
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+/**
+ * Parse a duration such as 30m, 1h, 1d, 2w into seconds (KV minimum 60s, max 365d)
+ */
+function parseDuration(value) {
+  const match = /^(\d+)([mhdw])$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const units = { m: 60, h: 3600, d: 86400, w: 604800 };
+  const seconds = parseInt(match[1], 10) * units[match[2]];
+  if (seconds < 60 || seconds > 365 * 86400) return null;
+  return seconds;
+}
+
+/**
+ * KV put options keeping a record's original absolute expiry
+ */
+function kvExpirationOptions(conversationData) {
+  const expiresAt = conversationData.content.metadata.expiresAt;
+  if (!expiresAt) return {};
+  // KV rejects expirations less than 60 seconds in the future
+  const expiration = Math.max(
+    Math.floor(new Date(expiresAt).getTime() / 1000),
+    Math.floor(Date.now() / 1000) + 60
+  );
+  return { expiration };
+}
+
+/**
+ * Browser cache lifetime that never outlives the share itself
+ */
+function cacheMaxAge(metadata) {
+  if (!metadata.expiresAt) return 3600;
+  const remaining = Math.floor((new Date(metadata.expiresAt).getTime() - Date.now()) / 1000);
+  return Math.max(0, Math.min(3600, remaining));
+}
+
+/**
+ * Generate unique 8-character ID
+ */
+async function generateUniqueId(env) {
+  const chars = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKMNPQRSTUVWXYZ23456789';
+  let attempts = 0;
+  const maxAttempts = 10;
+
+  while (attempts < maxAttempts) {
+    let id = '';
+    for (let i = 0; i < 8; i++) {
+      id += chars[Math.floor(Math.random() * chars.length)];
+    }
+
+    // Check if ID already exists
+    const existing = await getStorage(env).get(id);
+    if (!existing) {
+      return id;
+    }
+    attempts++;
+  }
+
+  throw new Error('Failed to generate unique ID');
+}
+
+/**
+ * Generate a random secret management token (base64url, 32 bytes)
+ */
+function generateManageToken() {
+  return toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * SHA-256 hex digest of a token, so only hashes are stored in KV
+ */
+async function hashToken(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * PBKDF2 settings for share passwords (Workers caps iterations at 100000)
+ */
+const PASSWORD_ITERATIONS = 100000;
+
+/**
+ * Unlock cookies are only honoured for this long, even within one session
+ */
+const UNLOCK_COOKIE_TTL = 12 * 3600;
+
+/**
+ * Encode bytes as base64url
+ */
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Derive a PBKDF2-SHA256 hash of a password with the given salt
+ */
+async function derivePasswordHash(password, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: new TextEncoder().encode(salt), iterations },
+    key,
+    256
+  );
+  return toBase64Url(bits);
+}
+
+/**
+ * Build the stored protection block: salted hash plus a per-share cookie signing key
+ */
+async function createPasswordProtection(password) {
+  const salt = toBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+  return {
+    salt: salt,
+    iterations: PASSWORD_ITERATIONS,
+    hash: await derivePasswordHash(password, salt, PASSWORD_ITERATIONS),
+    cookieKey: toBase64Url(crypto.getRandomValues(new Uint8Array(32)))
+  };
+}
+
+/**
+ * Check a password against a stored protection block
+ */
+async function verifyPassword(password, protection) {
+  const hash = await derivePasswordHash(password, protection.salt, protection.iterations);
+  return timingSafeEqual(hash, protection.hash);
+}
+
+/**
+ * Compare two strings without short-circuiting on the first difference
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * HMAC-SHA256 signature of a value with the share's cookie key
+ */
+async function signUnlockValue(value, protection) {
+  const key = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(protection.cookieKey),
+    { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(value));
+  return toBase64Url(signature);
+}
+
+/**
+ * Cookie name for a share's unlock session
+ */
+function unlockCookieName(id) {
+  return `sg_unlock_${id}`;
+}
+
+/**
+ * Create a signed unlock cookie value: "{issuedAt}.{signature}"
+ */
+async function createUnlockCookie(id, protection) {
+  const issuedAt = String(Math.floor(Date.now() / 1000));
+  return `${issuedAt}.${await signUnlockValue(`${id}.${issuedAt}`, protection)}`;
+}
+
+/**
+ * Verify the request carries a fresh, correctly signed unlock cookie
+ */
+async function hasUnlockCookie(request, id, protection) {
+  const value = getCookie(request, unlockCookieName(id));
+  if (!value) return false;
+
+  const [issuedAt, signature] = value.split('.');
+  if (!issuedAt || !signature) return false;
+  if (Math.floor(Date.now() / 1000) - parseInt(issuedAt, 10) > UNLOCK_COOKIE_TTL) return false;
+
+  const expected = await signUnlockValue(`${id}.${issuedAt}`, protection);
+  return timingSafeEqual(signature, expected);
+}
+
+/**
+ * Raw content tokens are embedded in the viewer's iframe URL and expire quickly
+ */
+const RAW_CONTENT_TOKEN_TTL = 300;
+
+/**
+ * Create a signed raw content token: "{expiresAt}.{signature}"
+ */
+async function createRawContentToken(id, protection) {
+  const expiresAt = String(Math.floor(Date.now() / 1000) + RAW_CONTENT_TOKEN_TTL);
+  return `${expiresAt}.${await signUnlockValue(`raw.${id}.${expiresAt}`, protection)}`;
+}
+
+/**
+ * Verify a raw content token for a share
+ */
+async function verifyRawContentToken(id, token, protection) {
+  if (!token) return false;
+
+  const [expiresAt, signature] = token.split('.');
+  if (!expiresAt || !signature) return false;
+  if (parseInt(expiresAt, 10) < Math.floor(Date.now() / 1000)) return false;
+
+  const expected = await signUnlockValue(`raw.${id}.${expiresAt}`, protection);
+  return timingSafeEqual(signature, expected);
+}
+
+/**
+ * Read a cookie value from the request
+ */
+function getCookie(request, name) {
+  const header = request.headers.get('Cookie') || '';
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return rest.join('=');
+  }
+  return null;
+}
+
+/**
+ * Elements that never have an end tag, so no onEndTag handler may be attached
+ */
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+/**
+ * Attach an end-tag handler when the element has one; returns whether it was attached
+ * Self-closing foreign elements (<path/>, <mi/>) have no end tag either. The Workers
+ * runtime flags them with selfClosing/canHaveContent; runtimes without those flags
+ * throw from onEndTag instead, which would abort the whole transform.
+ */
+function onEndTagIfAny(e, tag, handler) {
+  if (VOID_ELEMENTS.has(tag) || e.selfClosing === true || e.canHaveContent === false) return false;
+  try {
+    e.onEndTag(handler);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Text chunk ready to be re-emitted as HTML. HTMLRewriter hands text over as it appeared in the
+ * source, where a bare < or > is only text because of the tags around it; once those tags are
+ * dropped or unwrapped, the pieces on either side could join into new markup. Entities are kept.
+ */
+function escapeTextChunk(text) {
+  return text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Subtrees left out of collected messages: scripts, styles and foreign content
+ */
+const COLLECTOR_SKIPPED_TAGS = new Set(['script', 'style', 'svg', 'math']);
+
+/**
+ * HTMLRewriter-based message collector for Cloudflare Workers
+ * Collects every [data-message-author-role] block in document order and
+ * re-serializes its inner HTML so code blocks and tables survive.
+ */
+class MessageCollector {
+  constructor() {
+    this.messages = [];
+    this._current = null;
+    this._atRoot = false;
+    this._skipDepth = 0;
+  }
+
+  // Handler for the message root element
+  get roleHandler() {
+    return {
+      element: (e) => {
+        // Nested role blocks are treated as part of the outer message
+        if (this._current) return;
+        const message = {
+          role: (e.getAttribute('data-message-author-role') || 'unknown').toLowerCase(),
+          html: ''
+        };
+        this._current = message;
+        this._atRoot = true;
+        e.onEndTag(() => {
+          this.messages.push(message);
+          this._current = null;
+        });
+      }
+    };
+  }
+
+  // Handler for every element, re-serializing those inside a message
+  get elementHandler() {
+    return {
+      element: (e) => {
+        // The root element itself is not part of the message content
+        if (!this._current || this._atRoot) {
+          this._atRoot = false;
+          return;
+        }
+        const tag = e.tagName.toLowerCase();
+        if (this._skipDepth > 0 || COLLECTOR_SKIPPED_TAGS.has(tag)) {
+          if (onEndTagIfAny(e, tag, () => { this._skipDepth--; })) {
+            this._skipDepth++;
+          }
+          return;
+        }
+
+        let attrs = '';
+        for (const [name, value] of e.attributes) {
+          attrs += ` ${name}="${value.replace(/"/g, '&quot;')}"`;
+        }
+        const message = this._current;
+        message.html += `<${tag}${attrs}>`;
+        onEndTagIfAny(e, tag, () => { message.html += `</${tag}>`; });
+      }
+    };
+  }
+
+  // Document handler, text chunks are kept with any bare < or > escaped
+  get documentHandler() {
+    return {
+      text: (text) => {
+        if (this._current && this._skipDepth === 0) {
+          this._current.html += escapeTextChunk(text.text);
+        }
+      }
+    };
+  }
+}
+
+/**
+ * HTMLRewriter-based parser returning every message block in document order
+ */
+async function parseWithHTMLRewriter(htmlContent) {
+  const collector = new MessageCollector();
+  const rewriter = new HTMLRewriter()
+    .on('[data-message-author-role]', collector.roleHandler)
+    .on('*', collector.elementHandler)
+    .onDocument(collector.documentHandler);
+
+  await rewriter.transform(new Response(htmlContent)).text();
+
+  return collector.messages.map(({ role, html }) => ({ role, html: html.trim() }));
+}
+
+/**
+ * Canonical roles used through parsing, storage and rendering
+ * Aliases from ShareGPT datasets, chat exports and pasted transcripts map onto them.
+ */
+const ROLE_ALIASES = {
+  human: 'user',
+  user: 'user',
+  gpt: 'assistant',
+  assistant: 'assistant',
+  ai: 'assistant',
+  chatgpt: 'assistant',
+  bard: 'assistant',
+  bing: 'assistant',
+  model: 'assistant',
+  system: 'system',
+  developer: 'system',
+  tool: 'tool',
+  function: 'tool',
+  ipython: 'tool',
+  observation: 'tool'
+};
+
+/**
+ * ShareGPT `from` values that describe a tool call rather than a spoken turn
+ */
+const SHAREGPT_TOOL_CALL_ROLES = new Set(['function_call', 'tool_call']);
+
+/**
+ * Map a role alias to its canonical role ('unknown' when unrecognised)
+ */
+function normalizeRole(role) {
+  return ROLE_ALIASES[String(role || '').trim().toLowerCase()] || 'unknown';
+}
+
+/**
+ * Check if content is valid conversation JSON format
+ */
+function isValidConversationJSON(content) {
+  try {
+    const data = JSON.parse(content);
+    if (!Array.isArray(data) || data.length === 0) {
+      return false;
+    }
+    
+    // Check if all items have required fields
+    return data.every(item => 
+      item && 
+      typeof item === 'object' && 
+      typeof item.from === 'string' && 
+      typeof item.value === 'string' &&
+      (normalizeRole(item.from) !== 'unknown' || SHAREGPT_TOOL_CALL_ROLES.has(item.from))
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Tags kept by the sanitizer; anything else is unwrapped (content kept, tag dropped)
+ */
+const SANITIZER_ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+  'dd', 'del', 'details', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark',
+  'ol', 'p', 'pre', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'summary',
+  'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul', 'var'
+]);
+
+/**
+ * Tags removed together with their content: scriptable, embedding, foreign (SVG/MathML),
+ * form controls, and raw-text elements whose content would re-parse as markup if unwrapped
+ */
+const SANITIZER_DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'svg', 'math', 'noscript', 'noembed', 'noframes', 'template', 'xmp', 'plaintext',
+  'title', 'textarea', 'select', 'option', 'button', 'input', 'form', 'head',
+  'meta', 'link', 'base', 'audio', 'video', 'source', 'track', 'canvas', 'portal'
+]);
+
+/**
+ * Attributes allowed on every kept tag
+ */
+const SANITIZER_GLOBAL_ATTRIBUTES = new Set(['class', 'title', 'lang', 'dir']);
+
+/**
+ * Extra attributes allowed per tag
+ */
+const SANITIZER_TAG_ATTRIBUTES = {
+  a: new Set(['href']),
+  img: new Set(['src', 'alt', 'width', 'height']),
+  ol: new Set(['start']),
+  li: new Set(['value']),
+  td: new Set(['colspan', 'rowspan', 'align', 'style']),
+  th: new Set(['colspan', 'rowspan', 'align', 'style']),
+  col: new Set(['span']),
+  details: new Set(['open'])
+};
+
+/**
+ * URL-bearing attributes and the schemes each accepts (relative URLs are always allowed)
+ */
+const SANITIZER_URL_SCHEMES = {
+  href: new Set(['http', 'https', 'mailto']),
+  src: new Set(['http', 'https'])
+};
+
+/**
+ * Named entities understood by decodeHtmlEntities
+ */
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+  colon: ':', tab: '\t', newline: '\n', sol: '/',
+  hellip: '\u2026', mdash: '\u2014', ndash: '\u2013', copy: '\u00a9', reg: '\u00ae',
+  lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201c', rdquo: '\u201d', middot: '\u00b7', bull: '\u2022'
+};
+
+/**
+ * Decode numeric and common named entities (including those an attacker could use to hide a URL scheme)
+ */
+function decodeHtmlEntities(value) {
+  const named = NAMED_ENTITIES;
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return named[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Whether a raw attribute URL is relative or uses one of the allowed schemes
+ */
+function isAllowedUrl(rawValue, schemes) {
+  // Browsers ignore whitespace and control characters inside the scheme
+  const value = decodeHtmlEntities(rawValue).replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+  const scheme = /^([^/?#]*?):/.exec(value);
+  if (!scheme) return true;
+  return /^[a-z][a-z0-9+.-]*$/i.test(scheme[1]) && schemes.has(scheme[1].toLowerCase());
+}
+
+/**
+ * Check one attribute against the allowlist
+ */
+function isAllowedAttribute(tag, name, value) {
+  if (!SANITIZER_GLOBAL_ATTRIBUTES.has(name) && !SANITIZER_TAG_ATTRIBUTES[tag]?.has(name)) {
+    return false;
+  }
+  if (SANITIZER_URL_SCHEMES[name]) {
+    return isAllowedUrl(value, SANITIZER_URL_SCHEMES[name]);
+  }
+  switch (name) {
+    case 'class':
+      return /^[\w\s-]*$/.test(value);
+    case 'style':
+      // Only table cell alignment, as emitted by the Markdown renderer
+      return /^\s*text-align:\s*(left|right|center)\s*;?\s*$/i.test(value);
+    case 'align':
+      return /^(left|right|center)$/i.test(value);
+    case 'width':
+    case 'height':
+    case 'start':
+    case 'value':
+    case 'colspan':
+    case 'rowspan':
+    case 'span':
+      return /^\d{1,4}$/.test(value.trim());
+    default:
+      return true;
+  }
+}
+
+/**
+ * Streaming allowlist sanitizer built on HTMLRewriter
+ * Output is rebuilt from parser events rather than transformed in place, so only allowed
+ * tags and attributes are ever emitted, stray end tags vanish and unclosed tags get closed.
+ * Text keeps its entities but has bare < and > escaped (see escapeTextChunk).
+ */
+class HtmlSanitizer {
+  constructor() {
+    this.output = '';
+    this._open = [];
+    this._dropDepth = 0;
+  }
+
+  get elementHandler() {
+    return {
+      element: (e) => {
+        const tag = e.tagName.toLowerCase();
+
+        if (this._dropDepth > 0 || SANITIZER_DROPPED_TAGS.has(tag)) {
+          if (onEndTagIfAny(e, tag, () => { this._dropDepth--; })) {
+            this._dropDepth++;
+          }
+          return;
+        }
+
+        // Unknown tags are unwrapped: their text and allowed children are kept
+        if (!SANITIZER_ALLOWED_TAGS.has(tag)) return;
+
+        let attrs = '';
+        for (const [rawName, value] of e.attributes) {
+          const name = rawName.toLowerCase();
+          if (isAllowedAttribute(tag, name, value)) {
+            attrs += ` ${name}="${value.replace(/"/g, '&quot;')}"`;
+          }
+        }
+        if (tag === 'a') {
+          attrs += ' rel="noopener noreferrer nofollow"';
+        }
+        this.output += `<${tag}${attrs}>`;
+
+        const entry = { tag };
+        if (onEndTagIfAny(e, tag, () => this._close(entry))) {
+          this._open.push(entry);
+        }
+      }
+    };
+  }
+
+  get documentHandler() {
+    return {
+      text: (text) => {
+        if (this._dropDepth === 0) {
+          this.output += escapeTextChunk(text.text);
+        }
+      }
+    };
+  }
+
+  // Close an element, plus any children whose end tags were implied
+  _close(entry) {
+    const index = this._open.lastIndexOf(entry);
+    if (index === -1) return;
+    while (this._open.length > index) {
+      this.output += `</${this._open.pop().tag}>`;
+    }
+  }
+
+  finish() {
+    while (this._open.length > 0) {
+      this.output += `</${this._open.pop().tag}>`;
+    }
+    return this.output;
+  }
+}
+
+/**
+ * Sanitize HTML content - keep only allowlisted tags, attributes and URL schemes
+ */
+async function sanitizeHtmlContent(html) {
+  if (!html || typeof html !== 'string') return '';
+
+  const sanitizer = new HtmlSanitizer();
+  const rewriter = new HTMLRewriter()
+    .on('*', sanitizer.elementHandler)
+    .onDocument(sanitizer.documentHandler);
+
+  await rewriter.transform(new Response(html)).text();
+
+  return sanitizer.finish();
+}
+
+/**
+ * Builds a small element tree from HTMLRewriter events (used to turn stored HTML back into Markdown)
+ */
+class FragmentTreeBuilder {
+  constructor() {
+    this.root = { tag: '#root', attrs: {}, children: [] };
+    this._open = [this.root];
+    this._dropDepth = 0;
+  }
+
+  get elementHandler() {
+    return {
+      element: (e) => {
+        const tag = e.tagName.toLowerCase();
+
+        if (this._dropDepth > 0 || SANITIZER_DROPPED_TAGS.has(tag)) {
+          if (onEndTagIfAny(e, tag, () => { this._dropDepth--; })) {
+            this._dropDepth++;
+          }
+          return;
+        }
+
+        const attrs = {};
+        for (const [name, value] of e.attributes) {
+          attrs[name.toLowerCase()] = decodeHtmlEntities(value);
+        }
+        const node = { tag, attrs, children: [] };
+        this._open[this._open.length - 1].children.push(node);
+
+        const attached = onEndTagIfAny(e, tag, () => {
+          const index = this._open.lastIndexOf(node);
+          if (index > 0) this._open.length = index;
+        });
+        if (attached) {
+          this._open.push(node);
+        }
+      }
+    };
+  }
+
+  get documentHandler() {
+    return {
+      text: (text) => {
+        if (this._dropDepth === 0 && text.text) {
+          this._open[this._open.length - 1].children.push(text.text);
+        }
+      }
+    };
+  }
+}
+
+/**
+ * Parse an HTML fragment into a tree of { tag, attrs, children } nodes; text nodes are raw strings
+ */
+async function parseHtmlFragment(html) {
+  const builder = new FragmentTreeBuilder();
+  const rewriter = new HTMLRewriter()
+    .on('*', builder.elementHandler)
+    .onDocument(builder.documentHandler);
+
+  await rewriter.transform(new Response(html)).text();
+  return builder.root;
+}
+
+/**
+ * Concatenated, entity-decoded text of a node
+ */
+function nodeText(node) {
+  if (typeof node === 'string') return decodeHtmlEntities(node);
+  return node.children.map(nodeText).join('');
+}
+
+/**
+ * Convert rendered message HTML back into Markdown
+ */
+async function htmlToMarkdown(html) {
+  if (!html || typeof html !== 'string') return '';
+
+  const root = await parseHtmlFragment(html);
+  return blocksToMarkdown(root.children)
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Convert rendered message HTML into readable plain text
+ */
+async function htmlToPlainText(html) {
+  if (!html || typeof html !== 'string') return '';
+
+  const root = await parseHtmlFragment(html);
+  return nodeToPlainText(root)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Plain-text rendering of a node: blocks on their own lines, list bullets, tab-separated table cells
+ */
+function nodeToPlainText(node) {
+  if (typeof node === 'string') return decodeHtmlEntities(node).replace(/\s+/g, ' ');
+
+  const { tag } = node;
+  if (tag === 'br') return '\n';
+  if (tag === 'hr') return '\n\n----\n\n';
+  if (tag === 'pre') return `\n\n${nodeText(node).replace(/\n$/, '')}\n\n`;
+  if (tag === 'img') return node.attrs.alt ? `[${node.attrs.alt}]` : '';
+
+  const inner = node.children.map(nodeToPlainText).join('');
+  if (tag === 'li') return `\n• ${inner.trim()}`;
+  if (tag === 'tr') return `\n${inner.trim()}`;
+  if (tag === 'td' || tag === 'th') return `${inner.trim()}\t`;
+  if (tag === 'a' && node.attrs.href && node.attrs.href !== inner.trim()) return `${inner} (${node.attrs.href})`;
+  if (MARKDOWN_BLOCK_TAGS.has(tag) || tag === 'summary') return `\n\n${inner.trim()}\n\n`;
+  return inner;
+}
+
+/**
+ * Block-level elements that start their own paragraph in Markdown
+ */
+const MARKDOWN_BLOCK_TAGS = new Set([
+  'p', 'div', 'pre', 'blockquote', 'ul', 'ol', 'table', 'hr', 'details', 'figure',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'dl'
+]);
+
+/**
+ * Render a list of sibling nodes; runs of inline content become paragraphs
+ */
+function blocksToMarkdown(nodes) {
+  const blocks = [];
+  let inline = [];
+
+  const flushInline = () => {
+    const text = inlineToMarkdown(inline).trim();
+    if (text) blocks.push(text);
+    inline = [];
+  };
+
+  for (const node of nodes) {
+    if (typeof node !== 'string' && MARKDOWN_BLOCK_TAGS.has(node.tag)) {
+      flushInline();
+      const block = blockToMarkdown(node);
+      if (block.trim()) blocks.push(block);
+    } else {
+      inline.push(node);
+    }
+  }
+  flushInline();
+
+  return blocks.join('\n\n');
+}
+
+/**
+ * Render one block-level element
+ */
+function blockToMarkdown(node) {
+  const { tag } = node;
+
+  if (/^h[1-6]$/.test(tag)) {
+    return `${'#'.repeat(Number(tag[1]))} ${inlineToMarkdown(node.children).trim()}`;
+  }
+  switch (tag) {
+    case 'hr':
+      return '---';
+    case 'pre': {
+      const code = node.children.find(child => typeof child !== 'string' && child.tag === 'code') || node;
+      const language = /(?:^|\s)(?:language|lang)-([\w+#.-]+)/.exec(code.attrs.class || '')?.[1] || '';
+      const text = nodeText(code).replace(/\n$/, '');
+      const fence = /```/.test(text) ? '~~~~' : '```';
+      return `${fence}${language}\n${text}\n${fence}`;
+    }
+    case 'blockquote':
+      return blocksToMarkdown(node.children)
+        .split('\n')
+        .map(line => (line ? `> ${line}` : '>'))
+        .join('\n');
+    case 'ul':
+    case 'ol':
+      return listToMarkdown(node);
+    case 'table':
+      return tableToMarkdown(node);
+    case 'details': {
+      const summary = node.children.find(child => typeof child !== 'string' && child.tag === 'summary');
+      const rest = node.children.filter(child => child !== summary);
+      const title = summary ? inlineToMarkdown(summary.children).trim() : 'Details';
+      return `**${title}**\n\n${blocksToMarkdown(rest)}`;
+    }
+    default:
+      return blocksToMarkdown(node.children);
+  }
+}
+
+/**
+ * Render a list; nested lists are indented under their item
+ */
+function listToMarkdown(node) {
+  const ordered = node.tag === 'ol';
+  let number = Number(node.attrs.start) || 1;
+  const lines = [];
+
+  for (const item of node.children) {
+    if (typeof item === 'string' || item.tag !== 'li') continue;
+    const marker = ordered ? `${number++}. ` : '- ';
+    const body = blocksToMarkdown(item.children) || '';
+    const indent = ' '.repeat(marker.length);
+    lines.push(marker + body.split('\n').map((line, i) => (i === 0 || !line ? line : indent + line)).join('\n'));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render a table as a GFM pipe table (first row is the header)
+ */
+function tableToMarkdown(node) {
+  const rows = [];
+  const collectRows = (parent) => {
+    for (const child of parent.children) {
+      if (typeof child === 'string') continue;
+      if (child.tag === 'tr') {
+        rows.push(child.children
+          .filter(cell => typeof cell !== 'string' && (cell.tag === 'td' || cell.tag === 'th'))
+          .map(cell => ({
+            text: inlineToMarkdown(cell.children).trim().replace(/\n/g, ' ').replace(/\|/g, '\\|'),
+            align: /text-align:\s*(left|right|center)/.exec(cell.attrs.style || '')?.[1]
+          })));
+      } else if (['thead', 'tbody', 'tfoot'].includes(child.tag)) {
+        collectRows(child);
+      }
+    }
+  };
+  collectRows(node);
+  if (rows.length === 0) return '';
+
+  const width = Math.max(...rows.map(row => row.length));
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] ?? '').join(' | ')} |`;
+  const delimiters = { left: ':---', right: '---:', center: ':---:' };
+
+  return [
+    line(rows[0].map(cell => cell.text)),
+    line(Array.from({ length: width }, (_, i) => delimiters[rows[0][i]?.align] || '---')),
+    ...rows.slice(1).map(row => line(row.map(cell => cell.text)))
+  ].join('\n');
+}
+
+/**
+ * Render inline content (text, emphasis, code, links, images, line breaks)
+ */
+function inlineToMarkdown(nodes) {
+  let markdown = '';
+
+  for (const node of nodes) {
+    if (typeof node === 'string') {
+      markdown += decodeHtmlEntities(node).replace(/\s+/g, ' ');
+      continue;
+    }
+
+    const inner = () => inlineToMarkdown(node.children);
+    switch (node.tag) {
+      case 'br':
+        markdown += '  \n';
+        break;
+      case 'strong':
+      case 'b':
+        markdown += `**${inner()}**`;
+        break;
+      case 'em':
+      case 'i':
+        markdown += `*${inner()}*`;
+        break;
+      case 'del':
+      case 's':
+        markdown += `~~${inner()}~~`;
+        break;
+      case 'code': {
+        const text = nodeText(node);
+        const ticks = text.includes('`') ? '``' : '`';
+        markdown += `${ticks}${ticks.length > 1 ? ` ${text} ` : text}${ticks}`;
+        break;
+      }
+      case 'a':
+        markdown += node.attrs.href ? `[${inner()}](${node.attrs.href})` : inner();
+        break;
+      case 'img':
+        markdown += node.attrs.src ? `![${node.attrs.alt || ''}](${node.attrs.src})` : '';
+        break;
+      default:
+        markdown += MARKDOWN_BLOCK_TAGS.has(node.tag) ? `\n${blockToMarkdown(node)}\n` : inner();
+    }
+  }
+  return markdown;
+}
+
+/**
+ * Parse JSON conversation format
+ */
+async function parseJSONConversation(content) {
+  try {
+    const data = JSON.parse(content);
+    const messages = await Promise.all(data.map(async item => {
+      const message = {
+        role: normalizeRole(item.from),
+        content: await renderMessageText(item.value)
+      };
+      if (SHAREGPT_TOOL_CALL_ROLES.has(item.from)) {
+        message.role = 'assistant';
+        message.type = 'tool_call';
+        // Function-calling datasets store {"name": ..., "arguments": ...} in value
+        try {
+          const call = JSON.parse(item.value);
+          if (call && typeof call.name === 'string') message.toolName = call.name;
+        } catch (error) {
+          // Free-form tool call text
+        }
+      } else if (message.role === 'system') {
+        message.type = 'system';
+      } else if (message.role === 'tool') {
+        message.type = 'tool_result';
+      }
+      if (typeof item.name === 'string' && item.name.trim()) {
+        message.name = item.name.trim();
+      }
+      return message;
+    }));
+    
+    return {
+      messages: messages,
+      format: 'json',
+      messageCount: messages.length
+    };
+  } catch (error) {
+    console.error('JSON parsing error:', error);
+    return {
+      messages: [{
+        role: 'unknown',
+        content: cleanHtmlContent(content)
+      }],
+      format: 'fallback',
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Roles accepted in OpenAI Chat Completions messages arrays
+ */
+const OPENAI_ROLES = new Set(['system', 'developer', 'user', 'assistant', 'tool', 'function']);
+
+/**
+ * Content block types that only appear in Anthropic Messages payloads
+ */
+const ANTHROPIC_BLOCK_TYPES = new Set([
+  'text', 'image', 'document', 'tool_use', 'tool_result', 'thinking', 'redacted_thinking'
+]);
+
+/**
+ * Extract a messages array from either a bare array or a request payload
+ */
+function getMessagesPayload(content) {
+  try {
+    const data = JSON.parse(content);
+    if (Array.isArray(data)) {
+      return { system: undefined, messages: data };
+    }
+    if (data && typeof data === 'object' && Array.isArray(data.messages)) {
+      return { system: data.system, messages: data.messages };
+    }
+  } catch (error) {
+    // Not JSON
+  }
+  return null;
+}
+
+/**
+ * Check if content is an Anthropic Messages payload (content blocks, top-level system)
+ */
+function isAnthropicMessagesJSON(content) {
+  const payload = getMessagesPayload(content);
+  if (!payload || payload.messages.length === 0) return false;
+
+  const { system, messages } = payload;
+  const validShape = messages.every(item =>
+    item &&
+    typeof item === 'object' &&
+    (item.role === 'user' || item.role === 'assistant') &&
+    (typeof item.content === 'string' ||
+      (Array.isArray(item.content) &&
+        item.content.every(block => block && ANTHROPIC_BLOCK_TYPES.has(block.type))))
+  );
+  if (!validShape) return false;
+
+  // Plain string contents are indistinguishable from OpenAI; require an Anthropic marker
+  const hasAnthropicBlocks = messages.some(item =>
+    Array.isArray(item.content) &&
+    item.content.some(block => block.type !== 'text')
+  );
+  return system !== undefined || hasAnthropicBlocks;
+}
+
+/**
+ * Check if content is an OpenAI Chat Completions messages array
+ */
+function isOpenAIMessagesJSON(content) {
+  const payload = getMessagesPayload(content);
+  if (!payload || payload.messages.length === 0) return false;
+
+  return payload.messages.every(item =>
+    item &&
+    typeof item === 'object' &&
+    OPENAI_ROLES.has(item.role) &&
+    (item.content === null ||
+      item.content === undefined ||
+      typeof item.content === 'string' ||
+      Array.isArray(item.content))
+  );
+}
+
+/**
+ * Escape text for safe inclusion in HTML
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a tool payload (arguments/input) as a highlighted JSON code block
+ */
+function formatToolPayload(payload) {
+  let text = payload;
+  if (typeof payload === 'string') {
+    try {
+      text = JSON.stringify(JSON.parse(payload), null, 2);
+    } catch (error) {
+      // Keep non-JSON argument strings as they are
+    }
+  } else {
+    text = JSON.stringify(payload ?? {}, null, 2);
+  }
+  return `<pre><code class="language-json">${escapeHtml(text)}</code></pre>`;
+}
+
+/**
+ * Render an image reference (URL images only, inline base64 becomes a placeholder)
+ */
+function formatImageReference(url) {
+  if (typeof url === 'string' && /^https?:\/\//i.test(url)) {
+    return `<img src="${escapeHtml(url)}" alt="image">`;
+  }
+  return '<em>[image]</em>';
+}
+
+/**
+ * Convert OpenAI content (string or content-part array) to HTML
+ */
+function openAIContentToHtml(content) {
+  if (typeof content === 'string') return renderMarkdown(content);
+  if (!Array.isArray(content)) return '';
+
+  return content.map(part => {
+    if (!part || typeof part !== 'object') return '';
+    switch (part.type) {
+      case 'text':
+      case 'input_text':
+        return renderMarkdown(part.text);
+      case 'image_url':
+        return formatImageReference(part.image_url?.url);
+      case 'input_audio':
+        return '<em>[audio]</em>';
+      case 'file':
+        return `<em>[file${part.file?.filename ? `: ${escapeHtml(part.file.filename)}` : ''}]</em>`;
+      case 'refusal':
+        return `<em>${escapeHtml(part.refusal)}</em>`;
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Parse an OpenAI Chat Completions messages array
+ */
+function parseOpenAIConversation(content) {
+  const { messages: items } = getMessagesPayload(content);
+  const toolNames = {};
+  const messages = [];
+
+  for (const item of items) {
+    const isToolResult = item.role === 'tool' || item.role === 'function';
+    const html = isToolResult && typeof item.content === 'string'
+      ? escapeHtml(item.content)
+      : openAIContentToHtml(item.content);
+
+    if (item.role === 'system' || item.role === 'developer') {
+      messages.push({ role: 'system', type: 'system', content: html });
+      continue;
+    }
+
+    if (isToolResult) {
+      const toolName = item.name || toolNames[item.tool_call_id] || null;
+      messages.push({
+        role: 'tool',
+        type: 'tool_result',
+        toolName: toolName,
+        toolCallId: item.tool_call_id || null,
+        content: html
+      });
+      continue;
+    }
+
+    if (html) {
+      const message = { role: item.role, type: 'text', content: html };
+      if (typeof item.name === 'string' && item.name.trim()) {
+        message.name = item.name.trim();
+      }
+      messages.push(message);
+    }
+
+    // Assistant tool calls (and the legacy single function_call) become their own messages
+    const calls = Array.isArray(item.tool_calls)
+      ? item.tool_calls.filter(call => call && typeof call === 'object')
+      : [];
+    if (item.function_call) {
+      calls.push({ id: null, function: item.function_call });
+    }
+    for (const call of calls) {
+      const toolName = call.function?.name || 'unknown';
+      if (call.id) toolNames[call.id] = toolName;
+      messages.push({
+        role: 'assistant',
+        type: 'tool_call',
+        toolName: toolName,
+        toolCallId: call.id || null,
+        content: formatToolPayload(call.function?.arguments)
+      });
+    }
+  }
+
+  return {
+    messages: messages,
+    format: 'openai',
+    messageCount: messages.length
+  };
+}
+
+/**
+ * Convert Anthropic text-like blocks (text, image, thinking) to HTML
+ * Tool results pass escapeHtml as renderText so their output stays verbatim.
+ */
+function anthropicBlocksToHtml(blocks, renderText = renderMarkdown) {
+  if (typeof blocks === 'string') return renderText(blocks);
+  if (!Array.isArray(blocks)) return '';
+
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'text':
+        return renderText(block.text);
+      case 'image':
+        return formatImageReference(block.source?.type === 'url' ? block.source.url : null);
+      case 'document':
+        return `<em>[document${block.title ? `: ${escapeHtml(block.title)}` : ''}]</em>`;
+      case 'thinking':
+        return `<details><summary>Thinking</summary>${escapeHtml(block.thinking)}</details>`;
+      case 'redacted_thinking':
+        return '<em>[redacted thinking]</em>';
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Parse an Anthropic Messages payload (top-level system, content blocks, tool use)
+ */
+function parseAnthropicConversation(content) {
+  const { system, messages: items } = getMessagesPayload(content);
+  const toolNames = {};
+  const messages = [];
+
+  if (system) {
+    messages.push({ role: 'system', type: 'system', content: anthropicBlocksToHtml(system) });
+  }
+
+  for (const item of items) {
+    const blocks = typeof item.content === 'string'
+      ? [{ type: 'text', text: item.content }]
+      : item.content;
+
+    // Keep block order: consecutive text-like blocks are grouped into one message
+    let pending = [];
+    const flush = () => {
+      const html = anthropicBlocksToHtml(pending);
+      if (html) messages.push({ role: item.role, type: 'text', content: html });
+      pending = [];
+    };
+
+    for (const block of blocks) {
+      if (block.type === 'tool_use') {
+        flush();
+        toolNames[block.id] = block.name;
+        messages.push({
+          role: 'assistant',
+          type: 'tool_call',
+          toolName: block.name || 'unknown',
+          toolCallId: block.id || null,
+          content: formatToolPayload(block.input)
+        });
+      } else if (block.type === 'tool_result') {
+        flush();
+        messages.push({
+          role: 'tool',
+          type: 'tool_result',
+          toolName: toolNames[block.tool_use_id] || null,
+          toolCallId: block.tool_use_id || null,
+          isError: block.is_error === true,
+          content: anthropicBlocksToHtml(block.content, escapeHtml)
+        });
+      } else {
+        pending.push(block);
+      }
+    }
+    flush();
+  }
+
+  return {
+    messages: messages,
+    format: 'anthropic',
+    messageCount: messages.length
+  };
+}
+
+/**
+ * Markdown renderer for plain-text and JSON messages
+ * Covers the subset chat apps emit: headings, lists, emphasis, links, images,
+ * tables, blockquotes, rules and fenced code. Raw HTML in the source is escaped.
+ */
+function renderMarkdown(text) {
+  if (!text || typeof text !== 'string') return '';
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  return `<div class="markdown">${renderMarkdownBlocks(lines)}</div>`;
+}
+
+/**
+ * Render a list of Markdown lines into block-level HTML
+ */
+function renderMarkdownBlocks(lines) {
+  let html = '';
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // Blank line
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/.exec(line);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // Skip closing fence
+      const langClass = fence[2] ? ` class="language-${escapeHtml(fence[2].toLowerCase())}"` : '';
+      html += `<pre><code${langClass}>${escapeHtml(code.join('\n'))}</code></pre>`;
+      continue;
+    }
+
+    // ATX heading
+    const heading = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      html += `<h${level}>${renderMarkdownInline(heading[2])}</h${level}>`;
+      i++;
+      continue;
+    }
+
+    // Horizontal rule
+    if (/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      html += '<hr>';
+      i++;
+      continue;
+    }
+
+    // Blockquote
+    if (/^ {0,3}>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^ {0,3}>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+        i++;
+      }
+      html += `<blockquote>${renderMarkdownBlocks(quoted)}</blockquote>`;
+      continue;
+    }
+
+    // Table: header row followed by a delimiter row
+    if (line.includes('|') && i + 1 < lines.length && isTableDelimiter(lines[i + 1])) {
+      const rows = [];
+      const align = splitTableRow(lines[i + 1]).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        if (right) return 'right';
+        if (left) return 'left';
+        return null;
+      });
+      const header = splitTableRow(line);
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        rows.push(splitTableRow(lines[i]));
+        i++;
+      }
+      const cellHtml = (tag, cell, index) => {
+        const style = align[index] ? ` style="text-align: ${align[index]}"` : '';
+        return `<${tag}${style}>${renderMarkdownInline(cell)}</${tag}>`;
+      };
+      html += '<table><thead><tr>' +
+        header.map((cell, index) => cellHtml('th', cell, index)).join('') +
+        '</tr></thead><tbody>' +
+        rows.map(row => '<tr>' + header.map((_, index) => cellHtml('td', row[index] || '', index)).join('') + '</tr>').join('') +
+        '</tbody></table>';
+      continue;
+    }
+
+    // List
+    const listItem = /^( *)([-*+]|\d{1,9}[.)])\s+/.exec(line);
+    if (listItem) {
+      const consumed = renderMarkdownList(lines, i);
+      html += consumed.html;
+      i = consumed.next;
+      continue;
+    }
+
+    // Paragraph: runs until a blank line or the start of another block
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && !startsMarkdownBlock(lines, i)) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    if (paragraph.length === 0) {
+      // Defensive: a line that looked like a block start but was not consumed
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    html += `<p>${paragraph.map(renderMarkdownInline).join('<br>')}</p>`;
+  }
+
+  return html;
+}
+
+/**
+ * Render a (possibly nested) list starting at lines[start]
+ */
+function renderMarkdownList(lines, start) {
+  const first = /^( *)([-*+]|\d{1,9}[.)])\s+/.exec(lines[start]);
+  const baseIndent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const startNumber = ordered ? parseInt(first[2], 10) : 1;
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const match = /^( *)([-*+]|\d{1,9}[.)])\s+(.*)$/.exec(lines[i]);
+    if (!match || match[1].length !== baseIndent || /\d/.test(match[2]) !== ordered) break;
+
+    const contentIndent = match[1].length + match[2].length + 1;
+    const itemLines = [match[3]];
+    i++;
+
+    // Continuation lines: indented deeper than the marker, or blank lines inside the item
+    while (i < lines.length) {
+      const next = lines[i];
+      if (!next.trim()) {
+        const following = lines[i + 1];
+        if (following !== undefined && following.trim() && leadingSpaces(following) > baseIndent) {
+          itemLines.push('');
+          i++;
+          continue;
+        }
+        break;
+      }
+      if (leadingSpaces(next) > baseIndent) {
+        itemLines.push(next.slice(Math.min(contentIndent, leadingSpaces(next))));
+        i++;
+        continue;
+      }
+      break;
+    }
+    items.push(itemLines);
+
+    // Allow a single blank line between items of the same list
+    if (i < lines.length && !lines[i].trim() && i + 1 < lines.length) {
+      const after = /^( *)([-*+]|\d{1,9}[.)])\s+/.exec(lines[i + 1]);
+      if (after && after[1].length === baseIndent && /\d/.test(after[2]) === ordered) i++;
+    }
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+  const itemsHtml = items.map(itemLines => {
+    let body = renderMarkdownBlocks(itemLines);
+    // Tight list items render without a wrapping paragraph
+    const single = /^<p>([\s\S]*?)<\/p>([\s\S]*)$/.exec(body);
+    if (single && !single[1].includes('<p>')) body = single[1] + single[2];
+    return `<li>${body}</li>`;
+  }).join('');
+
+  return { html: `<${tag}${startAttr}>${itemsHtml}</${tag}>`, next: i };
+}
+
+/**
+ * Whether lines[i] begins a non-paragraph block (used to end paragraphs)
+ */
+function startsMarkdownBlock(lines, i) {
+  const line = lines[i];
+  return /^ {0,3}(`{3,}|~{3,})/.test(line) ||
+    /^ {0,3}#{1,6}\s/.test(line) ||
+    /^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line) ||
+    /^ {0,3}>/.test(line) ||
+    /^ *([-*+]|\d{1,9}[.)])\s+/.test(line) ||
+    (line.includes('|') && i + 1 < lines.length && isTableDelimiter(lines[i + 1]));
+}
+
+/**
+ * Whether a line is a table delimiter row such as |---|:---:|
+ */
+function isTableDelimiter(line) {
+  return /^\s*\|?\s*:?-{1,}:?\s*(\|\s*:?-{1,}:?\s*)*\|?\s*$/.test(line) && line.includes('-');
+}
+
+/**
+ * Split a table row into trimmed cells, ignoring outer pipes and escaped pipes
+ */
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+  return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Count leading spaces (tabs count as four)
+ */
+function leadingSpaces(line) {
+  return /^ */.exec(line.replace(/\t/g, '    '))[0].length;
+}
+
+/**
+ * Render inline Markdown: code spans, images, links, autolinks, emphasis
+ */
+function renderMarkdownInline(text) {
+  const tokens = [];
+  const stash = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+  let out = text
+    // Code spans first so their contents are left alone
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => stash(`<code>${escapeHtml(code.trim())}</code>`));
+
+  out = escapeHtml(out)
+    // Images and links
+    .replace(/!\[([^\]]*)\]\(\s*([^\s)]+)(?:\s+&quot;[^)]*&quot;)?\s*\)/g, (match, alt, url) =>
+      isSafeMarkdownUrl(url) ? stash(`<img src="${url}" alt="${alt}">`) : match)
+    .replace(/\[([^\]]+)\]\(\s*([^\s)]+)(?:\s+&quot;[^)]*&quot;)?\s*\)/g, (match, label, url) =>
+      isSafeMarkdownUrl(url) ? stash(`<a href="${url}" rel="noopener noreferrer">${label}</a>`) : match)
+    // Autolinks: <https://...> and bare URLs
+    .replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, (_, url) => stash(`<a href="${url}" rel="noopener noreferrer">${url}</a>`))
+    .replace(/\bhttps?:\/\/(?:(?!&(?:quot|#39|lt|gt);)[^\s\u0000])+/g, match => {
+      // Trailing punctuation belongs to the sentence, not the URL
+      const url = match.replace(/[.,:;!?)]+$/, '');
+      return stash(`<a href="${url}" rel="noopener noreferrer">${url}</a>`) + match.slice(url.length);
+    })
+    // Emphasis
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+  // Restore stashed fragments (links may contain stashed code spans)
+  while (/\u0000\d+\u0000/.test(out)) {
+    out = out.replace(/\u0000(\d+)\u0000/g, (_, index) => tokens[index]);
+  }
+  return out;
+}
+
+/**
+ * Allow only http(s), mailto and scheme-less (relative) URLs in Markdown links
+ */
+function isSafeMarkdownUrl(url) {
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+  return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Whether message text already contains HTML markup rather than Markdown
+ */
+function looksLikeHtml(text) {
+  return /<(p|div|span|pre|code|table|ul|ol|li|h[1-6]|br|blockquote|strong|em|a)\b[^>]*>/i.test(text);
+}
+
+/**
+ * Render message text as sanitized HTML, treating non-HTML text as Markdown
+ */
+async function renderMessageText(text) {
+  if (!text || typeof text !== 'string') return '';
+  if (looksLikeHtml(text)) return await sanitizeHtmlContent(text);
+  return await sanitizeHtmlContent(renderMarkdown(text));
+}
+
+/**
+ * Sanitize every message of a parsed conversation. The messages-API parsers build their HTML
+ * with the Markdown renderer and escapeHtml, which are not a sanitizer; this is the same
+ * allowlist pass every other stored message goes through.
+ */
+async function sanitizeParsedMessages(parsed) {
+  for (const message of parsed.messages) {
+    message.content = await sanitizeHtmlContent(message.content);
+  }
+  return parsed;
+}
+
+/**
+ * Parse HTML content to extract conversation data
+ */
+async function parseHtmlContent(html) {
+  try {
+    // First priority: Check for JSON conversation format
+    if (isValidConversationJSON(html)) {
+      console.log('Detected JSON conversation format');
+      return await parseJSONConversation(html);
+    }
+
+    // Anthropic Messages / OpenAI Chat Completions payloads
+    if (isAnthropicMessagesJSON(html)) {
+      return await sanitizeParsedMessages(parseAnthropicConversation(html));
+    }
+    if (isOpenAIMessagesJSON(html)) {
+      return await sanitizeParsedMessages(parseOpenAIConversation(html));
+    }
+
+    // Second priority: HTMLRewriter-based parsing for ChatGPT format
+    if (html.includes('data-message-author-role')) {
+      try {
+        const blocks = await parseWithHTMLRewriter(html);
+        const messages = await Promise.all(blocks
+          .filter(block => block.html.length > 0)
+          .map(async block => ({
+            role: normalizeRole(block.role),
+            content: await sanitizeHtmlContent(block.html)
+          })));
+
+        if (messages.length > 0) {
+          return {
+            messages: messages,
+            format: 'htmlrewriter',
+            messageCount: messages.length
+          };
+        }
+      } catch (htmlRewriterError) {
+        console.log('HTMLRewriter parsing failed, falling back to regex:', htmlRewriterError);
+      }
+    }
+
+    // Fallback to regex-based parsing
+    const messages = [];
+    
+    // Look for common ChatGPT patterns
+    // Messages run until the next speaker line or the end of input, so multi-line Markdown survives
+    const textPattern = /^(User|Human|Assistant|AI|System|Tool):\s*([\s\S]*?)(?=^(?:User|Human|Assistant|AI|System|Tool):|(?![\s\S]))/gmi;
+    const patterns = [
+      // ChatGPT web interface
+      /<div[^>]*data-message-author-role="(user|assistant|system|tool)"[^>]*>([\s\S]*?)<\/div>/gi,
+      // Alternative pattern for copied conversations
+      /<div[^>]*class="[^"]*message[^"]*"[^>]*>([\s\S]*?)<\/div>/gi,
+      // Simple pattern for pasted text
+      textPattern
+    ];
+
+    for (const pattern of patterns) {
+      const matches = [...html.matchAll(pattern)];
+      if (matches.length > 0) {
+        for (const match of matches) {
+          if (match[1] && match[2]) {
+            messages.push({
+              role: normalizeRole(match[1]),
+              // Pasted text may carry Markdown; HTML matches are flattened as before
+              content: pattern === textPattern && !looksLikeHtml(match[2])
+                ? await renderMessageText(match[2].trim())
+                : cleanHtmlContent(match[2])
+            });
+          } else if (match[1]) {
+            // Handle simple text pattern
+            const role = match[0].toLowerCase().includes('user') || match[0].toLowerCase().includes('human') ? 'user' : 'assistant';
+            messages.push({
+              role: role,
+              content: cleanHtmlContent(match[1])
+            });
+          }
+        }
+        break;
+      }
+    }
+
+    // If no structured messages found, treat as single message
+    if (messages.length === 0) {
+      messages.push({
+        role: 'unknown',
+        content: cleanHtmlContent(html)
+      });
+    }
+
+    return {
+      messages: messages,
+      format: 'parsed',
+      messageCount: messages.length
+    };
+
+  } catch (error) {
+    console.error('Parse error:', error);
+    return {
+      messages: [{
+        role: 'unknown',
+        content: cleanHtmlContent(html)
+      }],
+      format: 'fallback',
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Preprocess content to remove multipart form data artifacts
+ */
+function preprocessContent(content) {
+  if (!content || typeof content !== 'string') {
+    return '';
+  }
+
+  return content
+    // Remove multipart boundaries and headers
+    .replace(/^-{20,}\d{15,}-{0,2}$/gm, '')
+    .replace(/^Content-Disposition:.*$/gm, '')
+    .replace(/^Content-Type:.*$/gm, '')
+    .replace(/^Content-Length:.*$/gm, '')
+    .replace(/^boundary=.*$/gm, '')
+    .replace(/^name=".*?"$/gm, '')
+    
+    // Remove empty lines created by boundary removal
+    .replace(/^\s*$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    
+    .trim();
+}
+
+/**
+ * What to do with secrets and personal data found in uploads (REDACTION_MODE var):
+ * mask replaces them, warn only reports them, reject refuses the upload, off skips the scan
+ */
+const REDACTION_MODES = ['mask', 'warn', 'reject', 'off'];
+
+/**
+ * Secret and personal-data formats, most specific first so a token is reported under its own
+ * type rather than as a generic bearer token (and an IP address is not read as a phone number).
+ * Matches for which ignore() is true are left alone.
+ */
+const REDACTION_PATTERNS = [
+  { type: 'private_key', pattern: /-----BEGIN [A-Z0-9 ]*PRIVATE KEY[A-Z ]*-----[\s\S]*?-----END [A-Z0-9 ]*PRIVATE KEY[A-Z ]*-----/g },
+  { type: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{16,}/g },
+  { type: 'aws_access_key', pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g },
+  { type: 'aws_secret_key', pattern: /(?<=\baws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?)[A-Za-z0-9/+]{40}(?![A-Za-z0-9/+])/gi },
+  { type: 'github_token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { type: 'anthropic_key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { type: 'openai_key', pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}/g, ignore: match => !/\d/.test(match) },
+  { type: 'slack_token', pattern: /\bxox[abposre]-[A-Za-z0-9-]{10,}/g },
+  { type: 'slack_webhook', pattern: /https:\/\/hooks\.slack\.com\/(?:services|workflows)\/[A-Za-z0-9/_-]+/g },
+  { type: 'bearer_token', pattern: /(?<=\bBearer\s+)[A-Za-z0-9._~+/-]{20,}=*/g },
+  {
+    type: 'email',
+    // Parts are bounded (RFC 5321 limits) so a long run of address characters without an @
+    // is not rescanned from every position
+    pattern: /\b[A-Za-z0-9._%+-]{1,64}@[A-Za-z0-9-]{1,63}(?:\.[A-Za-z0-9-]{1,63}){0,8}\.[A-Za-z]{2,24}\b/g,
+    // Image names like icon@2x.png look like addresses
+    ignore: match => /\.(?:png|jpe?g|gif|svg|webp|ico)$/i.test(match)
+  },
+  {
+    type: 'ip',
+    pattern: /(?<![\w.])(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?!\w|\.\d)/g,
+    // Unspecified, loopback and broadcast addresses say nothing about anyone
+    ignore: match => /^(?:0\.0\.0\.0|127\.|255\.255\.255\.255)/.test(match)
+  },
+  {
+    type: 'ip',
+    pattern: /(?<![\w:])(?:(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}|(?:[0-9a-f]{1,4}:){1,7}:(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4}){0,6})?)(?![\w:])/gi,
+    // Needs a digit and three groups, so Rust and C++ paths like f32::abs are not addresses
+    ignore: match => !/\d/.test(match) || match.split(':').filter(Boolean).length < 3
+  },
+  {
+    type: 'phone',
+    // Groups split by spaces only count after a country code or an area code in parentheses;
+    // otherwise the separators must be the same dash or dot, so tables of numbers are not phones
+    pattern: /(?<![\w+.-])(?:\+\d{1,3}[ .-]?(?:\(\d{1,4}\)[ .-]?|\d{1,4}[ .-])\d{3,4}[ .-]\d{3,4}|\(\d{2,4}\)[ .-]?\d{3,4}[ .-]\d{3,4}|\d{2,4}([.-])\d{3,4}\1\d{3,4})(?![\w-]|\.\d)/g,
+    ignore: match => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits < 9 || digits > 15;
+    }
+  }
+];
+
+/**
+ * Redaction mode from the REDACTION_MODE var (default mask). An unknown mode is an error
+ * rather than a silent fallback, since the point is not to store what it would have caught.
+ */
+function getRedactionMode(env) {
+  const mode = env.REDACTION_MODE || 'mask';
+  if (!REDACTION_MODES.includes(mode)) {
+    throw new Error(`Unknown REDACTION_MODE: ${mode}`);
+  }
+  return mode;
+}
+
+/**
+ * Find secrets and personal data in text. Each match is added to findings (type -> Set of
+ * matched values) and, when mask is set, replaced with [REDACTED:type].
+ */
+function redactText(text, findings, mask) {
+  let result = text;
+  for (const { type, pattern, ignore } of REDACTION_PATTERNS) {
+    result = result.replace(pattern, (match) => {
+      if (ignore && ignore(match)) return match;
+      if (!findings.has(type)) findings.set(type, new Set());
+      findings.get(type).add(match);
+      return mask ? `[REDACTED:${type}]` : match;
+    });
+  }
+  return result;
+}
+
+/**
+ * Run the redaction pass over the short fields sent alongside content (titles, tags,
+ * descriptions). Arrays are tag lists: a masked tag would no longer be a valid tag, so a
+ * tag with a finding is dropped instead.
+ */
+function redactFields(fields, findings, mask) {
+  const result = {};
+  for (const [name, value] of Object.entries(fields)) {
+    if (Array.isArray(value)) {
+      result[name] = value.filter(tag => redactText(tag, findings, mask) === tag);
+    } else {
+      result[name] = typeof value === 'string' ? redactText(value, findings, mask) : value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Number of distinct values found per type, and the error refusing them in reject mode
+ */
+function summarizeFindings(mode, findings) {
+  const types = [...findings.keys()];
+  const redactions = Object.fromEntries(types.map(type => [type, findings.get(type).size]));
+  const error = mode === 'reject' && types.length > 0
+    ? `Content contains secrets or personal data (${types.join(', ')}). Remove them and try again.`
+    : null;
+  return { redactions, error };
+}
+
+/**
+ * Parse submitted content with the redaction pass applied to both forms: the raw text first,
+ * then each parsed message, whose text also shows what the markup hid (e.g. &#64; in HTML).
+ * The explicit fields given with it ({title, tags}) go through the same pass.
+ * Returns { raw, parsed, fields, mode, redactions } with the number of distinct values per type,
+ * plus error when the upload must be refused.
+ */
+async function parseWithRedaction(env, content, fields = {}) {
+  const mode = getRedactionMode(env);
+  if (mode === 'off') {
+    return { raw: content, parsed: await parseHtmlContent(content), fields, mode, redactions: {} };
+  }
+
+  const mask = mode === 'mask';
+  const findings = new Map();
+  const raw = redactText(content, findings, mask);
+  const redactedFields = redactFields(fields, findings, mask);
+  const found = (type) => findings.get(type).size;
+  const rawCounts = Object.fromEntries([...findings.keys()].map(type => [type, found(type)]));
+
+  const parsed = await parseHtmlContent(raw);
+  for (const message of parsed?.messages || []) {
+    if (typeof message.content !== 'string') continue;
+    message.content = redactText(message.content, findings, mask);
+    // Entities and inline markup can hide a value from the HTML; its text is only scanned
+    redactText(await htmlToPlainText(message.content), findings, false);
+  }
+
+  let { redactions, error } = summarizeFindings(mode, findings);
+  if (mask) {
+    // Values only visible after parsing are masked in the messages but still sit,
+    // encoded, in the raw source that is stored alongside them
+    const unmasked = Object.keys(redactions).filter(type => found(type) > (rawCounts[type] || 0));
+    if (unmasked.length > 0) {
+      error = `Content contains encoded secrets or personal data that cannot be masked (${unmasked.join(', ')}). Remove them and try again.`;
+    }
+  }
+  return { raw, parsed, fields: redactedFields, mode, redactions, error };
+}
+
+/**
+ * Clean HTML content for display with enhanced formatting
+ */
+function cleanHtmlContent(content) {
+  if (!content || typeof content !== 'string') {
+    return '';
+  }
+
+  return content
+    // Remove multipart form boundaries
+    .replace(/^-{10,}\d{10,}-{0,2}$/gm, '')
     .replace(/^Content-.*?$/gm, '')
     .replace(/^boundary=.*?$/gm, '')
     
@@ -592,58 +5431,1564 @@ function cleanHtmlContent(content) {
     .replace(/^\n+/, '')     // Remove leading newlines
     .replace(/\n+$/, '')     // Remove trailing newlines
     
-    // Clean up special characters and artifacts
-    .replace(/[\u200B-\u200D\uFEFF]/g, '') // Remove zero-width spaces
-    .replace(/[^\S\n]+/g, ' ') // Replace other whitespace with spaces
+    // Clean up special characters and artifacts
+    .replace(/[\u200B-\u200D\uFEFF]/g, '') // Remove zero-width spaces
+    .replace(/[^\S\n]+/g, ' ') // Replace other whitespace with spaces
+    
+    .trim();
+}
+
+/**
+ * Rate limiting check - record a hit for a client on a route and return
+ * { allowed, limit, remaining, reset, retryAfter }; `rule` overrides the route's limit (API-key quotas)
+ */
+async function checkRateLimit(env, route, client, rule = getRateLimitRule(env, route)) {
+  return await getRateLimitStore(env).hit(`${route}:${client}`, rule);
+}
+
+/**
+ * Default per-route limits: `limit` requests per sliding `window` seconds
+ */
+const RATE_LIMITS = {
+  create: { limit: 10, window: 3600 },
+  unlock: { limit: 10, window: 3600 },
+  search: { limit: 60, window: 60 },
+  // Default quota for newly issued API keys
+  apikey: { limit: 1000, window: 3600 }
+};
+
+/**
+ * Limit for a route; the RATE_LIMITS var (JSON, e.g. {"create": {"limit": 20, "window": 3600}}) overrides defaults
+ */
+function getRateLimitRule(env, route) {
+  let overrides = {};
+  try {
+    overrides = env.RATE_LIMITS ? JSON.parse(env.RATE_LIMITS) : {};
+  } catch (error) {
+    console.error('Invalid RATE_LIMITS configuration:', error);
+  }
+
+  const rule = { ...RATE_LIMITS[route], ...overrides[route] };
+  const limit = parseInt(rule.limit, 10);
+  const window = parseInt(rule.window, 10);
+  if (!(limit > 0) || !(window > 0)) {
+    throw new Error(`No rate limit configured for route: ${route}`);
+  }
+  return { limit, window };
+}
+
+/**
+ * Record a hit in a sliding log of timestamps (ms) and decide whether it is allowed.
+ * Only the newest `limit` timestamps inside the window are kept, so the log stays small.
+ */
+function slidingWindowHit(timestamps, rule, now) {
+  const windowMs = rule.window * 1000;
+  const recent = timestamps.filter(time => time > now - windowMs).slice(-rule.limit);
+  const allowed = recent.length < rule.limit;
+  if (allowed) recent.push(now);
+
+  // The oldest hit in the window is the next one to expire
+  const resetAt = (recent[0] ?? now) + windowMs;
+  return {
+    timestamps: recent,
+    result: {
+      allowed,
+      limit: rule.limit,
+      remaining: rule.limit - recent.length,
+      reset: Math.ceil(resetAt / 1000),
+      retryAfter: allowed ? 0 : Math.max(1, Math.ceil((resetAt - now) / 1000))
+    }
+  };
+}
+
+/**
+ * In-memory rate limit store, used when no RATE_LIMITER Durable Object is bound (local development and tests).
+ * State is per isolate, so it does not coordinate across Cloudflare locations. At most maxKeys
+ * clients are tracked; past that, expired windows go first, then the least recently hit client.
+ */
+class MemoryRateLimitStore {
+  constructor({ maxKeys = 10000 } = {}) {
+    this._entries = new Map();
+    this._maxKeys = maxKeys;
+  }
+
+  async hit(key, rule, now = Date.now()) {
+    const entry = this._entries.get(key);
+    const { timestamps, result } = slidingWindowHit(entry?.timestamps || [], rule, now);
+
+    if (!entry && this._entries.size >= this._maxKeys) {
+      this._sweep(now);
+      // Still full of live windows: drop the least recently hit key
+      if (this._entries.size >= this._maxKeys) {
+        this._entries.delete(this._entries.keys().next().value);
+      }
+    }
+    // Re-inserting keeps the map ordered by last hit
+    this._entries.delete(key);
+    this._entries.set(key, { timestamps, expiresAt: now + rule.window * 1000 });
+    return result;
+  }
+
+  // Forget keys whose window has passed
+  _sweep(now) {
+    for (const [key, entry] of this._entries) {
+      if (entry.expiresAt <= now) this._entries.delete(key);
+    }
+  }
+}
+
+/**
+ * Rate limit store backed by the RateLimiter Durable Object (one object per route and client)
+ */
+class DurableObjectRateLimitStore {
+  constructor(namespace) {
+    this._namespace = namespace;
+  }
+
+  async hit(key, rule) {
+    const stub = this._namespace.get(this._namespace.idFromName(key));
+    const response = await stub.fetch('https://rate-limiter/hit', {
+      method: 'POST',
+      body: JSON.stringify(rule)
+    });
+    return await response.json();
+  }
+}
+
+/**
+ * Durable Object holding the sliding log for one rate limit key; its single-threaded execution makes each hit atomic
+ */
+class RateLimiter {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const rule = await request.json();
+    const stored = await this.state.storage.get('timestamps') || [];
+    const { timestamps, result } = slidingWindowHit(stored, rule, Date.now());
+
+    await this.state.storage.put('timestamps', timestamps);
+    // Drop the object's storage once the window has fully passed
+    await this.state.storage.setAlarm(Date.now() + rule.window * 1000);
+    return new Response(JSON.stringify(result), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  async alarm() {
+    await this.state.storage.deleteAll();
+  }
+}
+
+/**
+ * Per-isolate fallback store
+ */
+const memoryRateLimitStore = new MemoryRateLimitStore();
+
+/**
+ * Pick the rate limit backend for this environment
+ */
+function getRateLimitStore(env) {
+  return env.RATE_LIMITER ? new DurableObjectRateLimitStore(env.RATE_LIMITER) : memoryRateLimitStore;
+}
+
+/**
+ * Retry-After and X-RateLimit-* headers for a rate limit result
+ */
+function rateLimitHeaders(result) {
+  const headers = {
+    'X-RateLimit-Limit': String(result.limit),
+    'X-RateLimit-Remaining': String(result.remaining),
+    'X-RateLimit-Reset': String(result.reset)
+  };
+  if (!result.allowed) {
+    headers['Retry-After'] = String(result.retryAfter);
+  }
+  return headers;
+}
+
+/**
+ * Number of distinct colours available for named speakers
+ */
+const SPEAKER_PALETTE_SIZE = 6;
+
+/**
+ * CSS class and label for a message, covering system prompts, tool traffic and named speakers
+ */
+function describeMessage(message, speakers) {
+  const name = message.name ? escapeHtml(message.name) : '';
+  let roleClass;
+  let roleLabel;
+
+  if (message.type === 'system' || message.role === 'system') {
+    roleClass = 'system-message';
+    roleLabel = 'System';
+  } else if (message.type === 'tool_call') {
+    roleClass = 'tool-message';
+    roleLabel = `Tool call: ${escapeHtml(message.toolName || message.name || 'unknown')}`;
+  } else if (message.type === 'tool_result' || message.role === 'tool') {
+    const toolName = message.toolName || message.name;
+    roleClass = message.isError ? 'tool-message tool-error' : 'tool-message';
+    roleLabel = `Tool result${toolName ? `: ${escapeHtml(toolName)}` : ''}`;
+  } else if (message.role === 'user') {
+    roleClass = 'user-message';
+    roleLabel = 'User';
+  } else if (message.role === 'assistant') {
+    roleClass = 'assistant-message';
+    roleLabel = 'Assistant';
+  } else {
+    roleClass = 'unknown-message';
+    roleLabel = 'Message';
+  }
+
+  // Named speakers keep their role styling but get their own accent colour
+  if (name && message.type !== 'tool_call' && message.type !== 'tool_result' && message.role !== 'tool') {
+    if (!speakers.has(message.name)) {
+      speakers.set(message.name, speakers.size % SPEAKER_PALETTE_SIZE);
+    }
+    roleClass += ` named-speaker speaker-${speakers.get(message.name)}`;
+    roleLabel = `${name} <span class="role-hint">(${roleLabel})</span>`;
+  }
+
+  return { roleClass, roleLabel };
+}
+
+/**
+ * Generate HTML for displaying conversation. With a range ({ from, to }, 1-based and
+ * inclusive) only that excerpt is rendered, keeping the original message numbers.
+ */
+async function generateConversationHtml(conversationData, { nonce = '', url = '', image = '', standalone = false, assets = null, range = null, forks = [] } = {}) {
+  const { parsed, metadata } = conversationData.content;
+  const allMessages = parsed.messages || [];
+  const messages = range ? allMessages.slice(range.from - 1, range.to) : allMessages;
+  const title = range
+    ? `${getConversationTitle(conversationData)} (${messageRangeLabel(range)})`
+    : getConversationTitle(conversationData);
+  const description = conversationDescription(range ? { messages } : parsed);
+  const fullUrl = standalone ? '' : `/${conversationData.id}`;
+
+  // Back-links between a fork and its source (exports keep the id, but there is nothing to link to)
+  let forkedFromHtml = '';
+  if (metadata.forkedFrom) {
+    const source = standalone ? metadata.forkedFrom : `<a href="/${metadata.forkedFrom}">${metadata.forkedFrom}</a>`;
+    forkedFromHtml = `<p class="fork-info">Forked from ${source}</p>`;
+  }
+  const forksHtml = forks.length
+    ? `<div class="forks">Forks: ${forks.map(fork => `<a href="/${fork.id}">${escapeHtml(fork.title)}</a>`).join(' • ')}</div>`
+    : '';
+  
+  let noticeHtml = '';
+  if (metadata.burnAfterReading) {
+    noticeHtml += `<div class="notice">This conversation was shared as burn-after-reading and has now been deleted. Reloading this page will not work.</div>`;
+  }
+  if (metadata.expiresAt) {
+    noticeHtml += `<div class="notice">This conversation expires on ${new Date(metadata.expiresAt).toLocaleString()}.</div>`;
+  }
+  
+  let messagesHtml = '';
+  const speakers = new Map();
+  
+  // Walk every message so named speakers keep the same colours in an excerpt
+  for (const [index, message] of allMessages.entries()) {
+    const { roleClass, roleLabel } = describeMessage(message, speakers);
+    const number = index + 1;
+    if (range && (number < range.from || number > range.to)) continue;
+    
+    messagesHtml += `
+      <div class="message ${roleClass}" id="m${number}">
+        <div class="message-header">
+          <div class="role-label">${roleLabel}</div>
+          <button class="message-link" type="button" data-message="${number}" title="Copy a link to this message (Shift-click another to link the range)">#${number}</button>
+        </div>
+        <div class="content">${await sanitizeHtmlContent(message.content)}</div>
+      </div>
+    `;
+  }
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} - ShareGPT</title>
+    ${pageMetaTags({ title, description, url, image })}
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            background: #f5f5f5;
+            padding: 20px;
+        }
+        
+        .container {
+            max-width: 60vw;
+            margin: 0 auto;
+            background: white;
+            border-radius: 8px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            overflow: hidden;
+        }
+        
+        .header {
+            background: #2563eb;
+            color: white;
+            padding: 20px;
+            text-align: center;
+        }
+        
+        .notice {
+            background: #fffbeb;
+            border-bottom: 1px solid #fcd34d;
+            color: #92400e;
+            padding: 10px 20px;
+            font-size: 14px;
+            text-align: center;
+        }
+        
+        .conversation {
+            padding: 20px;
+        }
+        
+        .message {
+            margin-bottom: 20px;
+            padding: 2vw;
+            border-radius: 8px;
+            border-left: 4px solid #ddd;
+        }
+        
+        .user-message {
+            background: #f0f9ff;
+            border-left-color: #2563eb;
+        }
+        
+        .assistant-message {
+            background: #f9fafb;
+            border-left-color: #10b981;
+        }
+        
+        .system-message {
+            background: #fefce8;
+            border-left-color: #ca8a04;
+        }
+        
+        .tool-message {
+            background: #faf5ff;
+            border-left-color: #7c3aed;
+        }
+        
+        .tool-error {
+            border-left-color: #ef4444;
+        }
+        
+        .message:target {
+            box-shadow: 0 0 0 3px #fcd34d;
+        }
+        
+        .message-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: baseline;
+            gap: 8px;
+            margin-bottom: 8px;
+        }
+        
+        .role-label {
+            font-weight: bold;
+            font-size: 14px;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+        }
+        
+        .message-link {
+            background: none;
+            border: none;
+            color: #9ca3af;
+            cursor: pointer;
+            font-size: 12px;
+            opacity: 0;
+        }
+        
+        .message:hover .message-link,
+        .message:target .message-link,
+        .message-link:focus {
+            opacity: 1;
+        }
+        
+        .message-link:hover {
+            color: #2563eb;
+        }
+        
+        .excerpt-info a,
+        .fork-info a {
+            color: white;
+        }
+        
+        .fork-btn {
+            display: inline-block;
+            margin-left: 8px;
+            text-decoration: none;
+        }
+        
+        .forks {
+            margin-top: 8px;
+        }
+        
+        .forks a {
+            color: #2563eb;
+        }
+        
+        .user-message .role-label {
+            color: #2563eb;
+        }
+        
+        .assistant-message .role-label {
+            color: #10b981;
+        }
+        
+        .system-message .role-label {
+            color: #ca8a04;
+        }
+        
+        .tool-message .role-label {
+            color: #7c3aed;
+            text-transform: none;
+        }
+        
+        .unknown-message .role-label {
+            color: #6b7280;
+        }
+        
+        .named-speaker .role-label {
+            text-transform: none;
+        }
+        
+        .role-hint {
+            font-weight: normal;
+            color: #6b7280;
+            text-transform: uppercase;
+            font-size: 12px;
+        }
+        
+        .speaker-0 { border-left-color: #2563eb; }
+        .speaker-0 .role-label { color: #2563eb; }
+        .speaker-1 { border-left-color: #db2777; }
+        .speaker-1 .role-label { color: #db2777; }
+        .speaker-2 { border-left-color: #ea580c; }
+        .speaker-2 .role-label { color: #ea580c; }
+        .speaker-3 { border-left-color: #0891b2; }
+        .speaker-3 .role-label { color: #0891b2; }
+        .speaker-4 { border-left-color: #65a30d; }
+        .speaker-4 .role-label { color: #65a30d; }
+        .speaker-5 { border-left-color: #9333ea; }
+        .speaker-5 .role-label { color: #9333ea; }
+        
+        .content {
+            white-space: pre-wrap;
+            word-wrap: break-word;
+        }
+        
+        /* Markdown-rendered messages lay out as blocks instead of pre-wrapped text */
+        .content .markdown {
+            white-space: normal;
+        }
+        
+        .content .markdown > :first-child {
+            margin-top: 0;
+        }
+        
+        .content .markdown > :last-child {
+            margin-bottom: 0;
+        }
+        
+        .content .markdown p,
+        .content .markdown ul,
+        .content .markdown ol,
+        .content .markdown blockquote {
+            margin: 8px 0;
+        }
+        
+        .content .markdown h1,
+        .content .markdown h2,
+        .content .markdown h3,
+        .content .markdown h4,
+        .content .markdown h5,
+        .content .markdown h6 {
+            margin: 16px 0 8px;
+            line-height: 1.3;
+        }
+        
+        .content .markdown ul,
+        .content .markdown ol {
+            padding-left: 24px;
+        }
+        
+        .content .markdown blockquote {
+            padding-left: 12px;
+            border-left: 3px solid #e5e7eb;
+            color: #6b7280;
+        }
+        
+        .content .markdown hr {
+            border: none;
+            border-top: 1px solid #e5e7eb;
+            margin: 16px 0;
+        }
+        
+        .content .markdown pre code {
+            white-space: pre;
+        }
+        
+        /* Table styling for proper display */
+        .content table {
+            width: 100%;
+            border-collapse: collapse;
+            margin: 12px 0;
+        }
+        
+        .content th, .content td {
+            border: 1px solid #e5e7eb;
+            padding: 8px;
+            text-align: left;
+        }
+        
+        .content th {
+            background: #f3f4f6;
+            font-weight: 600;
+        }
+        
+        /* Code block styling */
+        .content pre {
+            position: relative;
+            background: #0d1117;
+            border-radius: 6px;
+            padding: 16px;
+            margin: 16px 0;
+            overflow-x: auto;
+        }
+        
+        .content code {
+            background: #f6f8fa;
+            padding: 2px 4px;
+            border-radius: 3px;
+            font-size: 85%;
+        }
+        
+        .content pre code {
+            background: transparent;
+            padding: 0;
+            font-size: 14px;
+            color: #e6edf3;
+        }
+        
+        /* Copy button for code blocks */
+        .code-copy-btn {
+            position: absolute;
+            top: 8px;
+            right: 8px;
+            background: #21262d;
+            color: #f0f6fc;
+            border: 1px solid #30363d;
+            padding: 6px 12px;
+            font-size: 12px;
+            border-radius: 4px;
+            cursor: pointer;
+            opacity: 0;
+            transition: opacity .2s;
+        }
+        
+        .content pre:hover .code-copy-btn {
+            opacity: 1;
+        }
+        
+        .code-copy-btn.copied {
+            background: #16a34a;
+            border-color: #16a34a;
+        }
+        
+        /* Scrollbar styling */
+        .content pre::-webkit-scrollbar {
+            width: 8px;
+            height: 8px;
+        }
+        
+        .content pre::-webkit-scrollbar-thumb {
+            background: rgba(255,255,255,0.2);
+            border-radius: 4px;
+        }
+        
+        .content pre::-webkit-scrollbar-track {
+            background: transparent;
+        }
+        
+        .footer {
+            background: #f9fafb;
+            padding: 15px 20px;
+            border-top: 1px solid #e5e7eb;
+            font-size: 12px;
+            color: #6b7280;
+            text-align: center;
+        }
+        
+        .share-info {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 10px;
+        }
+        
+        .copy-btn {
+            background: #2563eb;
+            color: white;
+            border: none;
+            padding: 8px 16px;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 12px;
+        }
+        
+        .copy-btn:hover {
+            background: #1d4ed8;
+        }
+        
+        .export-links {
+            margin-top: 8px;
+        }
+        
+        .tags {
+            margin-top: 8px;
+        }
+        
+        .tag {
+            display: inline-block;
+            background: rgba(255,255,255,0.2);
+            color: white;
+            border-radius: 999px;
+            padding: 1px 10px;
+            margin: 2px;
+            font-size: 13px;
+            text-decoration: none;
+        }
+        
+        .export-links a {
+            color: #2563eb;
+        }
+        
+        @media (max-width: 768px) {
+            body {
+                padding: 10px;
+            }
+            
+            .container {
+                border-radius: 0;
+                max-width: 90vw;
+            }
+            
+            .share-info {
+                flex-direction: column;
+                gap: 10px;
+            }
+        }
+    </style>
+    ${assets
+      ? `<style>${assets.themeCss.replace(/<\/style/gi, '<\\/style')}</style>
+    <script nonce="${nonce}">${assets.highlightJs.replace(/<\/script/gi, '<\\/script')}</script>`
+      : `<link rel="stylesheet" href="${HIGHLIGHT_THEME_URL}">
+    <script nonce="${nonce}" src="${HIGHLIGHT_SCRIPT_URL}"></script>`}
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>${escapeHtml(title)}</h1>
+            <p>Conversation ID: ${conversationData.id}</p>
+            ${range ? `<p class="excerpt-info">Showing ${messageRangeLabel(range)} of ${allMessages.length}${standalone ? '' : ` • <a href="${fullUrl}#m${range.from}">View full conversation</a>`}</p>` : ''}
+            ${forkedFromHtml}
+            ${tagLinksHtml(metadata, standalone)}
+        </div>
+        
+        ${noticeHtml}
+        
+        <div class="conversation">
+            ${messagesHtml}
+        </div>
+        
+        <div class="footer">
+            <div class="share-info">
+                <span>Created: ${new Date(metadata.created).toLocaleString()}${metadata.expiresAt ? ` • Expires: ${new Date(metadata.expiresAt).toLocaleString()}` : ''}</span>
+                <div>
+                    <button class="copy-btn" id="copyUrlBtn">Copy Share URL</button>${standalone || metadata.burnAfterReading ? '' : `<a class="copy-btn fork-btn" href="/${conversationData.id}/fork">Fork</a>`}
+                </div>
+            </div>
+            <div>
+                ${range ? `${messages.length} of ${allMessages.length}` : messages.length} messages • ${Math.round(metadata.size / 1024)}KB
+            </div>
+            ${standalone ? '' : `<div class="export-links">
+                Download:
+                <a href="/${conversationData.id}.md">Markdown</a> •
+                <a href="/${conversationData.id}.json">JSON</a> •
+                <a href="/${conversationData.id}.txt">Text</a> •
+                <a href="/${conversationData.id}.html">HTML</a>
+            </div>`}
+            ${forksHtml}
+        </div>
+    </div>
+    
+    <script nonce="${nonce}">
+        function copyUrl() {
+            navigator.clipboard.writeText(window.location.href).then(() => {
+                const btn = document.getElementById('copyUrlBtn');
+                const original = btn.textContent;
+                btn.textContent = 'Copied!';
+                setTimeout(() => btn.textContent = original, 2000);
+            });
+        }
+        
+        document.getElementById('copyUrlBtn').addEventListener('click', copyUrl);
+        
+        // Message permalinks: #mN on the full conversation, or /{id}/m/{from}-{to}
+        // after Shift-clicking a second message
+        const shareUrl = ${standalone ? "location.href.split('#')[0]" : `location.origin + '${fullUrl}'`};
+        let lastLinked = null;
+        document.querySelectorAll('.message-link').forEach(btn => {
+            btn.addEventListener('click', (event) => {
+                const number = Number(btn.dataset.message);
+                let link = shareUrl + '#m' + number;
+                if (event.shiftKey && lastLinked !== null && lastLinked !== number && ${!standalone}) {
+                    link = shareUrl + '/m/' + Math.min(lastLinked, number) + '-' + Math.max(lastLinked, number);
+                } else {
+                    lastLinked = number;
+                }
+                navigator.clipboard.writeText(link).then(() => {
+                    btn.textContent = 'Copied!';
+                    setTimeout(() => btn.textContent = '#' + number, 2000);
+                });
+            });
+        });
+        
+        // Initialize highlight.js and add copy buttons
+        document.addEventListener('DOMContentLoaded', function() {
+            // Highlight all code blocks
+            hljs.highlightAll();
+            
+            // Add copy buttons to all pre blocks
+            document.querySelectorAll('pre').forEach(pre => {
+                const btn = document.createElement('button');
+                btn.className = 'code-copy-btn';
+                btn.textContent = 'Copy';
+                btn.addEventListener('click', () => {
+                    const code = pre.innerText;
+                    navigator.clipboard.writeText(code).then(() => {
+                        btn.classList.add('copied');
+                        btn.textContent = 'Copied!';
+                        setTimeout(() => {
+                            btn.classList.remove('copied');
+                            btn.textContent = 'Copy';
+                        }, 2000);
+                    }).catch(err => {
+                        console.error('Failed to copy: ', err);
+                    });
+                });
+                pre.appendChild(btn);
+            });
+        });
+    </script>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Generate upload form HTML
+ */
+function getUploadForm(nonce) {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>ShareGPT - Share Your Conversations</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            background: linear-gradient(135deg, #2563eb 0%, #7c3aed 100%);
+            min-height: 100vh;
+            padding: 20px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+        }
+        
+        .container {
+            background: white;
+            padding: 40px;
+            border-radius: 12px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.2);
+            width: 100%;
+            max-width: 500px;
+        }
+        
+        h1 {
+            text-align: center;
+            margin-bottom: 10px;
+            color: #2563eb;
+        }
+        
+        .subtitle {
+            text-align: center;
+            color: #6b7280;
+            margin-bottom: 30px;
+        }
+        
+        .form-group {
+            margin-bottom: 20px;
+        }
+        
+        label {
+            display: block;
+            margin-bottom: 8px;
+            font-weight: 500;
+        }
+        
+        textarea {
+            width: 100%;
+            min-height: 200px;
+            padding: 12px;
+            border: 2px solid #e5e7eb;
+            border-radius: 6px;
+            font-family: inherit;
+            font-size: 14px;
+            resize: vertical;
+        }
+        
+        .options {
+            display: flex;
+            align-items: center;
+            gap: 12px;
+        }
+        
+        .options label {
+            margin-bottom: 0;
+        }
+        
+        .options select {
+            padding: 6px;
+            border: 2px solid #e5e7eb;
+            border-radius: 6px;
+            font-family: inherit;
+        }
+        
+        .checkbox-label {
+            font-weight: normal;
+        }
+        
+        input[type="password"],
+        input[type="text"] {
+            width: 100%;
+            padding: 12px;
+            border: 2px solid #e5e7eb;
+            border-radius: 6px;
+            font-family: inherit;
+            font-size: 14px;
+        }
+        
+        textarea:focus {
+            outline: none;
+            border-color: #2563eb;
+        }
+        
+        .submit-btn {
+            width: 100%;
+            background: #2563eb;
+            color: white;
+            border: none;
+            padding: 12px;
+            border-radius: 6px;
+            font-size: 16px;
+            font-weight: 500;
+            cursor: pointer;
+            transition: background 0.2s;
+        }
+        
+        .submit-btn:hover {
+            background: #1d4ed8;
+        }
+        
+        .submit-btn:disabled {
+            background: #9ca3af;
+            cursor: not-allowed;
+        }
+        
+        .result {
+            margin-top: 20px;
+            padding: 15px;
+            border-radius: 6px;
+            display: none;
+        }
+        
+        .result.success {
+            background: #ecfdf5;
+            border: 1px solid #10b981;
+            color: #065f46;
+        }
+        
+        .result.error {
+            background: #fef2f2;
+            border: 1px solid #ef4444;
+            color: #991b1b;
+        }
+        
+        .share-url {
+            background: #f9fafb;
+            padding: 10px;
+            border-radius: 4px;
+            margin-top: 10px;
+            font-family: monospace;
+            word-break: break-all;
+        }
+        
+        .token-note {
+            margin-top: 12px;
+            font-size: 13px;
+        }
+        
+        .copy-btn {
+            background: #10b981;
+            color: white;
+            border: none;
+            padding: 6px 12px;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 12px;
+            margin-top: 8px;
+        }
+        
+        .instructions {
+            background: #f0f9ff;
+            padding: 15px;
+            border-radius: 6px;
+            margin-bottom: 20px;
+            font-size: 14px;
+        }
+        
+        .instructions h3 {
+            margin-bottom: 8px;
+            color: #2563eb;
+        }
+        
+        .instructions ul {
+            margin-left: 20px;
+        }
+        
+        .instructions li {
+            margin-bottom: 4px;
+        }
+        /* ===== 新增：highlight.js Dark Theme ===== */
+        .hljs {
+          display: block;
+          overflow-x: auto;
+          padding: 0.75rem;
+          border-radius: 0.25rem;
+          color: #cdd9e5;
+          background: #000;
+        }
+        .hljs-comment,
+        .hljs-punctuation {
+          color: #768390;
+        }
+        .hljs-attr,
+        .hljs-attribute,
+        .hljs-meta,
+        .hljs-selector-attr,
+        .hljs-selector-class,
+        .hljs-selector-id {
+          color: #6cb6ff;
+        }
+        .hljs-variable,
+        .hljs-literal,
+        .hljs-number,
+        .hljs-doctag {
+          color: #f69d50;
+        }
+        .hljs-params { color: #cdd9e5; }
+        .hljs-function { color: #dcbdfb; }
+        .hljs-class,
+        .hljs-tag,
+        .hljs-title,
+        .hljs-built_in { color: #8ddb8c; }
+        .hljs-keyword,
+        .hljs-type,
+        .hljs-builtin-name,
+        .hljs-meta-keyword,
+        .hljs-template-tag,
+        .hljs-template-variable { color: #f47067; }
+        .hljs-string,
+        .hljs-undefined,
+        .hljs-regexp { color: #96d0ff; }
+        .hljs-symbol { color: #6cb6ff; }
+        .hljs-bullet { color: #f69d50; }
+        .hljs-section { color: #6cb6ff; font-weight: bold; }
+        .hljs-quote,
+        .hljs-name,
+        .hljs-selector-tag,
+        .hljs-selector-pseudo { color: #8ddb8c; }
+        .hljs-emphasis { color: #f69d50; font-style: italic; }
+        .hljs-strong { color: #f69d50; font-weight: bold; }
+        .hljs-deletion { color: #ff938a; background-color: #78191b; }
+        .hljs-addition { color: #8ddb8c; background-color: #113417; }
+        .hljs-link { color: #96d0ff; font-style: underline; }
+            /* 額外：讓 <pre> 區塊拉滿寬、橫向捲動時隱藏底部捲軸 */
+    pre {
+      margin: 1rem 0;
+      overflow: auto;
+      margin: 1rem 0;            /* Firefox */
+    }
+        /* 捲軸美化（可省略） */
+        pre::-webkit-scrollbar {
+            width: 8px;
+            height: 8px;
+        }
+        pre::-webkit-scrollbar-thumb {
+            background: rgba(0,0,0,0.3);
+            border-radius: 4px;
+        }
+        pre::-webkit-scrollbar-track {
+            background: transparent;
+        }
+    </style>
+    <script nonce="${nonce}" src="https://cdn.jsdelivr.net/npm/highlight.js@11.8.0/build/common.min.js"></script>
+</head>
+<body>
+    <div class="container">
+        <h1>ShareGPT</h1>
+        <p class="subtitle">Share your AI conversations easily · <a href="/dashboard">My shares</a> · <a href="/search">Search</a> · <a href="/gallery">Gallery</a></p>
+        
+        <div class="instructions">
+            <h3>How to use:</h3>
+            <ul>
+                <li>Copy and paste your chat conversation HTML</li>
+                <li>Or paste the raw conversation text</li>
+                <li>Click "Share Conversation" to get a shareable link</li>
+                <li>Share the link with others to show your conversation</li>
+            </ul>
+        </div>
+        
+        <form id="shareForm">
+            <div class="form-group">
+                <label for="content">Conversation Content:</label>
+                <textarea 
+                    id="content" 
+                    name="content" 
+                    placeholder="Paste your conversation HTML or text here..."
+                    required
+                ></textarea>
+            </div>
+            
+            <div class="form-group">
+                <label for="title">Title (optional):</label>
+                <input type="text" id="title" name="title" maxlength="200" placeholder="Defaults to your first message">
+            </div>
+            
+            <div class="form-group">
+                <label for="tags">Tags (optional):</label>
+                <input type="text" id="tags" name="tags" placeholder="Comma separated, e.g. python, debugging">
+            </div>
+            
+            <div class="form-group options">
+                <label for="expiresIn">Expires:</label>
+                <select id="expiresIn" name="expiresIn">
+                    <option value="">Never</option>
+                    <option value="1h">1 hour</option>
+                    <option value="1d">1 day</option>
+                    <option value="7d">7 days</option>
+                    <option value="30d">30 days</option>
+                </select>
+                <label class="checkbox-label">
+                    <input type="checkbox" id="burnAfterReading" name="burnAfterReading">
+                    Burn after reading
+                </label>
+                <label class="checkbox-label">
+                    <input type="checkbox" id="public" name="public">
+                    List in public search
+                </label>
+            </div>
+            
+            <div class="form-group">
+                <label for="password">Password (optional):</label>
+                <input type="password" id="password" name="password" autocomplete="new-password" placeholder="Leave empty for a public link">
+            </div>
+            
+            <button type="submit" class="submit-btn">Share Conversation</button>
+        </form>
+        
+        <div id="result" class="result"></div>
+    </div>
     
-    .trim();
+    <script nonce="${nonce}">
+        document.getElementById('shareForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const content = document.getElementById('content').value;
+            const submitBtn = document.querySelector('.submit-btn');
+            const result = document.getElementById('result');
+            
+            if (!content.trim()) {
+                showResult('Please enter some content to share.', 'error');
+                return;
+            }
+            
+            // Show loading state
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Creating share link...';
+            result.style.display = 'none';
+            
+            try {
+                const response = await fetch('/', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        html: content,
+                        title: document.getElementById('title').value || undefined,
+                        tags: document.getElementById('tags').value.split(',').map(tag => tag.trim()).filter(Boolean),
+                        expiresIn: document.getElementById('expiresIn').value || undefined,
+                        burnAfterReading: document.getElementById('burnAfterReading').checked,
+                        public: document.getElementById('public').checked,
+                        password: document.getElementById('password').value || undefined
+                    })
+                });
+                
+                if (!response.ok) {
+                    throw new Error(await response.text());
+                }
+                
+                const data = await response.json();
+                
+                if (data.success) {
+                    showResult(
+                        'Conversation shared successfully!' +
+                        '<div class="share-url">' + data.url + '</div>' +
+                        '<button class="copy-btn" data-copy="' + data.url + '">Copy Link</button>' +
+                        redactionNote(data) +
+                        '<p class="token-note">Management token (needed to edit or delete this share, keep it secret):</p>' +
+                        '<div class="share-url">' + data.token + '</div>',
+                        'success'
+                    );
+                    document.getElementById('content').value = '';
+                    document.getElementById('title').value = '';
+                    document.getElementById('tags').value = '';
+                    document.getElementById('password').value = '';
+                } else {
+                    throw new Error('Failed to create share link');
+                }
+                
+            } catch (error) {
+                showResult('Error: ' + error.message, 'error');
+            } finally {
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Share Conversation';
+            }
+        });
+        
+        function showResult(message, type) {
+            const result = document.getElementById('result');
+            result.innerHTML = message;
+            result.className = 'result ' + type;
+            result.style.display = 'block';
+        }
+        
+        // What the redaction pass found, e.g. "Redacted: email ×2, github_token ×1"
+        function redactionNote(data) {
+            const found = Object.entries(data.redactions || {}).map(([type, count]) => type + ' ×' + count);
+            if (found.length === 0) return '';
+            const label = data.redactionMode === 'mask' ? 'Redacted: ' : 'Possible secrets or personal data (not redacted): ';
+            return '<p class="token-note">' + label + found.join(', ') + '</p>';
+        }
+        
+        function copyToClipboard(text, btn) {
+            navigator.clipboard.writeText(text).then(() => {
+                const original = btn.textContent;
+                btn.textContent = 'Copied!';
+                setTimeout(() => btn.textContent = original, 2000);
+            });
+        }
+        
+        document.getElementById('result').addEventListener('click', (e) => {
+            if (e.target.dataset.copy) {
+                copyToClipboard(e.target.dataset.copy, e.target);
+            }
+        });
+    </script>
+      <!-- ===== 啟動 highlight.js ===== -->
+  <script nonce="${nonce}">
+    document.querySelectorAll('code.hljs').forEach(el => hljs.highlightElement(el));
+  </script>
+</body>
+</html>
+  `;
 }
 
 /**
- * Rate limiting check
+ * Description and Open Graph / Twitter card tags so shared links unfurl with a preview
  */
-async function checkRateLimit(env, ip) {
-  const key = `rate_limit:${ip}`;
-  const current = await env.sharegpt.get(key);
-  const limit = 10; // 10 requests per hour
-  
-  if (current && parseInt(current) >= limit) {
-    throw new Error('Rate limit exceeded. Please try again later.');
+function pageMetaTags({ title, description, url, image }) {
+  const tags = [
+    `<meta name="description" content="${escapeHtml(description)}">`,
+    `<meta property="og:type" content="article">`,
+    `<meta property="og:site_name" content="ShareGPT">`,
+    `<meta property="og:title" content="${escapeHtml(title)}">`,
+    `<meta property="og:description" content="${escapeHtml(description)}">`,
+    `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`,
+    `<meta name="twitter:title" content="${escapeHtml(title)}">`,
+    `<meta name="twitter:description" content="${escapeHtml(description)}">`
+  ];
+  if (url) {
+    tags.push(`<meta property="og:url" content="${escapeHtml(url)}">`);
+    tags.push(`<link rel="canonical" href="${escapeHtml(url)}">`);
   }
-  
-  const newCount = (parseInt(current) || 0) + 1;
-  await env.sharegpt.put(key, String(newCount), { expirationTtl: 3600 });
+  if (image) {
+    tags.push(`<meta property="og:image" content="${escapeHtml(image)}">`);
+    tags.push(`<meta property="og:image:width" content="${OG_WIDTH}">`);
+    tags.push(`<meta property="og:image:height" content="${OG_HEIGHT}">`);
+    tags.push(`<meta name="twitter:image" content="${escapeHtml(image)}">`);
+  }
+  return tags.join('\n    ');
+}
+
+/**
+ * User agents of link unfurlers (Slack, Discord, Twitter/X, Facebook, LinkedIn, Telegram, ...)
+ */
+const LINK_PREVIEW_BOTS = /Slackbot|Discordbot|Twitterbot|facebookexternalhit|LinkedInBot|TelegramBot|WhatsApp|SkypeUriPreview|Embedly|redditbot|Mastodon/i;
+
+/**
+ * Whether a request comes from a link-preview crawler
+ */
+function isLinkPreviewBot(request) {
+  return LINK_PREVIEW_BOTS.test(request.headers.get('User-Agent') || '');
+}
+
+/**
+ * Minimal page carrying only preview meta tags
+ */
+function getLinkPreviewHtml(meta) {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(meta.title)} - ShareGPT</title>
+    ${pageMetaTags(meta)}
+</head>
+<body>
+    <p>${escapeHtml(meta.description)}</p>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Generate the owner dashboard (lists the caller's shares via GET /api/conversations)
+ */
+function getDashboardPage(nonce) {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>My Shares - ShareGPT</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            background: linear-gradient(135deg, #2563eb 0%, #7c3aed 100%);
+            min-height: 100vh;
+            padding: 20px;
+            display: flex;
+            align-items: flex-start;
+            justify-content: center;
+        }
+        
+        .container {
+            background: white;
+            padding: 40px;
+            border-radius: 12px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.2);
+            width: 100%;
+            max-width: 900px;
+        }
+        
+        h1 {
+            text-align: center;
+            margin-bottom: 10px;
+            color: #2563eb;
+        }
+        
+        .subtitle {
+            text-align: center;
+            color: #6b7280;
+            margin-bottom: 30px;
+        }
+        
+        .toolbar {
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            margin-bottom: 16px;
+        }
+        
+        .toolbar select {
+            padding: 6px;
+            border: 2px solid #e5e7eb;
+            border-radius: 6px;
+            font-family: inherit;
+        }
+        
+        .toolbar .spacer {
+            flex: 1;
+        }
+        
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 14px;
+        }
+        
+        th, td {
+            text-align: left;
+            padding: 10px 8px;
+            border-bottom: 1px solid #e5e7eb;
+        }
+        
+        th {
+            color: #6b7280;
+            font-weight: 500;
+        }
+        
+        td a {
+            color: #2563eb;
+            text-decoration: none;
+        }
+        
+        td.count, th.count {
+            text-align: right;
+        }
+        
+        .btn {
+            background: #2563eb;
+            color: white;
+            border: none;
+            padding: 8px 14px;
+            border-radius: 6px;
+            font-size: 14px;
+            font-weight: 500;
+            cursor: pointer;
+            transition: background 0.2s;
+        }
+        
+        .btn:hover {
+            background: #1d4ed8;
+        }
+        
+        .btn.danger {
+            background: #ef4444;
+        }
+        
+        .btn.danger:hover {
+            background: #dc2626;
+        }
+        
+        .btn:disabled {
+            background: #9ca3af;
+            cursor: not-allowed;
+        }
+        
+        .more {
+            text-align: center;
+            margin-top: 16px;
+        }
+        
+        .result {
+            margin-top: 20px;
+            padding: 15px;
+            border-radius: 6px;
+            display: none;
+        }
+        
+        .result.success {
+            background: #ecfdf5;
+            border: 1px solid #10b981;
+            color: #065f46;
+        }
+        
+        .result.error {
+            background: #fef2f2;
+            border: 1px solid #ef4444;
+            color: #991b1b;
+        }
+        
+        .empty {
+            text-align: center;
+            color: #6b7280;
+            padding: 30px 0;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>My Shares</h1>
+        <p class="subtitle">Conversations shared from this browser · <a href="/">Share another</a></p>
+        
+        <div class="toolbar">
+            <label><input type="checkbox" id="selectAll"> Select all</label>
+            <label for="order">Sort:</label>
+            <select id="order">
+                <option value="desc">Newest first</option>
+                <option value="asc">Oldest first</option>
+            </select>
+            <span class="spacer"></span>
+            <button id="deleteBtn" class="btn danger" disabled>Delete selected</button>
+        </div>
+        
+        <table>
+            <thead>
+                <tr><th></th><th>Title</th><th>Created</th><th class="count">Messages</th></tr>
+            </thead>
+            <tbody id="rows"></tbody>
+        </table>
+        <p id="empty" class="empty" hidden>No shares yet.</p>
+        <div class="more"><button id="moreBtn" class="btn" hidden>Load more</button></div>
+        
+        <div id="result" class="result"></div>
+    </div>
+    
+    <script nonce="${nonce}">
+        const rows = document.getElementById('rows');
+        const deleteBtn = document.getElementById('deleteBtn');
+        const moreBtn = document.getElementById('moreBtn');
+        let cursor = null;
+        
+        async function load(reset) {
+            if (reset) {
+                rows.textContent = '';
+                cursor = null;
+                document.getElementById('selectAll').checked = false;
+            }
+            const params = new URLSearchParams({ order: document.getElementById('order').value, limit: '20' });
+            if (cursor) params.set('cursor', cursor);
+            
+            const response = await fetch('/api/conversations?' + params);
+            const data = await response.json();
+            if (!response.ok) {
+                // No owner cookie yet: nothing has been shared from this browser
+                document.getElementById('empty').hidden = response.status !== 401;
+                if (response.status !== 401) showResult('Error: ' + data.error, 'error');
+                return;
+            }
+            
+            for (const conversation of data.conversations) {
+                const row = document.createElement('tr');
+                const check = document.createElement('input');
+                check.type = 'checkbox';
+                check.value = conversation.id;
+                const link = document.createElement('a');
+                link.href = '/' + conversation.id;
+                link.textContent = conversation.title;
+                const cells = [check, link, new Date(conversation.created).toLocaleString(), String(conversation.messageCount)];
+                cells.forEach((content, i) => {
+                    const cell = document.createElement('td');
+                    if (i === 3) cell.className = 'count';
+                    cell.append(content);
+                    row.append(cell);
+                });
+                rows.append(row);
+            }
+            cursor = data.cursor;
+            moreBtn.hidden = !cursor;
+            document.getElementById('empty').hidden = rows.children.length > 0;
+            updateDeleteButton();
+        }
+        
+        function selectedIds() {
+            return [...rows.querySelectorAll('input:checked')].map(input => input.value);
+        }
+        
+        function updateDeleteButton() {
+            deleteBtn.disabled = selectedIds().length === 0;
+        }
+        
+        function showResult(message, type) {
+            const result = document.getElementById('result');
+            result.textContent = message;
+            result.className = 'result ' + type;
+            result.style.display = 'block';
+        }
+        
+        rows.addEventListener('change', updateDeleteButton);
+        document.getElementById('selectAll').addEventListener('change', (e) => {
+            rows.querySelectorAll('input').forEach(input => { input.checked = e.target.checked; });
+            updateDeleteButton();
+        });
+        document.getElementById('order').addEventListener('change', () => load(true));
+        moreBtn.addEventListener('click', () => load(false));
+        
+        deleteBtn.addEventListener('click', async () => {
+            const ids = selectedIds();
+            if (!confirm('Delete ' + ids.length + ' share(s)? This cannot be undone.')) return;
+            
+            deleteBtn.disabled = true;
+            try {
+                const response = await fetch('/api/conversations', {
+                    method: 'DELETE',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ids })
+                });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error);
+                showResult('Deleted ' + data.deleted.length + ' share(s).' +
+                    (data.failed.length ? ' ' + data.failed.length + ' could not be deleted.' : ''),
+                    data.failed.length ? 'error' : 'success');
+                await load(true);
+            } catch (error) {
+                showResult('Error: ' + error.message, 'error');
+                updateDeleteButton();
+            }
+        });
+        
+        load(true);
+    </script>
+</body>
+</html>
+  `;
 }
-
 /**
- * Generate HTML for displaying conversation
+ * Styles shared by the search, gallery and collection pages
  */
-function generateConversationHtml(conversationData) {
-  const { parsed, metadata } = conversationData.content;
-  const messages = parsed.messages || [];
-  
-  let messagesHtml = '';
-  
-  for (const message of messages) {
-    const roleClass = message.role === 'user' ? 'user-message' : 'assistant-message';
-    const roleLabel = message.role === 'user' ? 'User' : 'Assistant';
-    
-    messagesHtml += `
-      <div class="message ${roleClass}">
-        <div class="role-label">${roleLabel}</div>
-        <div class="content">${sanitizeHtmlContent(message.content)}</div>
-      </div>
-    `;
-  }
-
-  return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Shared Conversation - ${conversationData.id}</title>
-    <style>
+const LIST_PAGE_STYLES = `
         * {
             margin: 0;
             padding: 0;
@@ -654,274 +6999,323 @@ function generateConversationHtml(conversationData) {
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
             line-height: 1.6;
             color: #333;
-            background: #f5f5f5;
+            background: linear-gradient(135deg, #2563eb 0%, #7c3aed 100%);
+            min-height: 100vh;
             padding: 20px;
+            display: flex;
+            align-items: flex-start;
+            justify-content: center;
         }
         
         .container {
-            max-width: 60vw;
-            margin: 0 auto;
             background: white;
-            border-radius: 8px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-            overflow: hidden;
+            padding: 40px;
+            border-radius: 12px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.2);
+            width: 100%;
+            max-width: 900px;
         }
         
-        .header {
-            background: #2563eb;
-            color: white;
-            padding: 20px;
+        h1 {
             text-align: center;
+            margin-bottom: 10px;
+            color: #2563eb;
         }
         
-        .conversation {
-            padding: 20px;
+        .subtitle {
+            text-align: center;
+            color: #6b7280;
+            margin-bottom: 30px;
         }
         
-        .message {
+        form {
+            display: flex;
+            gap: 12px;
             margin-bottom: 20px;
-            padding: 2vw;
-            border-radius: 8px;
-            border-left: 4px solid #ddd;
-        }
-        
-        .user-message {
-            background: #f0f9ff;
-            border-left-color: #2563eb;
-        }
-        
-        .assistant-message {
-            background: #f9fafb;
-            border-left-color: #10b981;
         }
         
-        .role-label {
-            font-weight: bold;
-            margin-bottom: 8px;
+        input[type="search"] {
+            flex: 1;
+            padding: 10px;
+            border: 2px solid #e5e7eb;
+            border-radius: 6px;
+            font-family: inherit;
             font-size: 14px;
-            text-transform: uppercase;
-            letter-spacing: 0.5px;
         }
         
-        .user-message .role-label {
-            color: #2563eb;
+        input[type="search"]:focus {
+            outline: none;
+            border-color: #2563eb;
         }
         
-        .assistant-message .role-label {
-            color: #10b981;
+        .btn {
+            background: #2563eb;
+            color: white;
+            border: none;
+            padding: 8px 18px;
+            border-radius: 6px;
+            font-size: 14px;
+            font-weight: 500;
+            cursor: pointer;
         }
         
-        .content {
-            white-space: pre-wrap;
-            word-wrap: break-word;
+        .btn:hover {
+            background: #1d4ed8;
         }
         
-        /* Table styling for proper display */
-        .content table {
-            width: 100%;
-            border-collapse: collapse;
-            margin: 12px 0;
+        .count {
+            color: #6b7280;
+            font-size: 14px;
+            margin-bottom: 8px;
         }
         
-        .content th, .content td {
-            border: 1px solid #e5e7eb;
-            padding: 8px;
-            text-align: left;
+        .results {
+            list-style: none;
         }
         
-        .content th {
-            background: #f3f4f6;
-            font-weight: 600;
+        .results li {
+            padding: 14px 0;
+            border-bottom: 1px solid #e5e7eb;
         }
         
-        /* Code block styling */
-        .content pre {
-            position: relative;
-            background: #0d1117;
-            border-radius: 6px;
-            padding: 16px;
-            margin: 16px 0;
-            overflow-x: auto;
+        .results a {
+            color: #2563eb;
+            font-weight: 500;
+            text-decoration: none;
         }
         
-        .content code {
-            background: #f6f8fa;
-            padding: 2px 4px;
-            border-radius: 3px;
-            font-size: 85%;
+        .meta {
+            color: #6b7280;
+            font-size: 13px;
         }
         
-        .content pre code {
-            background: transparent;
-            padding: 0;
+        .snippet {
             font-size: 14px;
-            color: #e6edf3;
-        }
-        
-        /* Copy button for code blocks */
-        .code-copy-btn {
-            position: absolute;
-            top: 8px;
-            right: 8px;
-            background: #21262d;
-            color: #f0f6fc;
-            border: 1px solid #30363d;
-            padding: 6px 12px;
-            font-size: 12px;
-            border-radius: 4px;
-            cursor: pointer;
-            opacity: 0;
-            transition: opacity .2s;
-        }
-        
-        .content pre:hover .code-copy-btn {
-            opacity: 1;
+            margin-top: 4px;
         }
         
-        .code-copy-btn.copied {
-            background: #16a34a;
-            border-color: #16a34a;
+        .description {
+            margin-bottom: 20px;
+            white-space: pre-line;
         }
         
-        /* Scrollbar styling */
-        .content pre::-webkit-scrollbar {
-            width: 8px;
-            height: 8px;
+        .tag {
+            display: inline-block;
+            background: #eef2ff;
+            color: #4338ca;
+            border-radius: 999px;
+            padding: 0 10px;
+            margin: 2px 4px 0 0;
+            font-size: 12px;
+            font-weight: 400;
+            text-decoration: none;
         }
         
-        .content pre::-webkit-scrollbar-thumb {
-            background: rgba(255,255,255,0.2);
-            border-radius: 4px;
+        .results a.tag {
+            color: #4338ca;
+            font-weight: 400;
         }
         
-        .content pre::-webkit-scrollbar-track {
-            background: transparent;
+        mark {
+            background: #fef08a;
+            padding: 0 1px;
         }
         
-        .footer {
-            background: #f9fafb;
-            padding: 15px 20px;
-            border-top: 1px solid #e5e7eb;
-            font-size: 12px;
-            color: #6b7280;
+        .more {
             text-align: center;
+            margin-top: 16px;
         }
         
-        .share-info {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 10px;
-        }
-        
-        .copy-btn {
-            background: #2563eb;
-            color: white;
-            border: none;
-            padding: 8px 16px;
-            border-radius: 4px;
-            cursor: pointer;
-            font-size: 12px;
+        .more a {
+            color: #2563eb;
         }
         
-        .copy-btn:hover {
-            background: #1d4ed8;
+        .empty {
+            text-align: center;
+            color: #6b7280;
+            padding: 30px 0;
         }
+`;
+
+/**
+ * Tag chips for a conversation page header; tags of public shares link to their gallery listing
+ */
+function tagLinksHtml(metadata, standalone = false) {
+  const tags = metadata.tags || [];
+  if (tags.length === 0) return '';
+  const chips = tags.map(tag => metadata.public && !standalone
+    ? `<a class="tag" href="/gallery?${new URLSearchParams({ tag })}">#${escapeHtml(tag)}</a>`
+    : `<span class="tag">#${escapeHtml(tag)}</span>`);
+  return `<div class="tags">${chips.join('')}</div>`;
+}
+
+/**
+ * One entry of a search, gallery or collection list; `snippet` is already-escaped HTML
+ */
+function listItemHtml(item, snippet = '') {
+  const details = [escapeHtml(new Date(item.created).toUTCString().slice(5, 16))];
+  if (item.messageCount !== undefined) details.push(`${item.messageCount} messages`);
+  // Only public shares appear in the gallery, so only their tags link there
+  const tags = (item.tags || [])
+    .map(tag => item.public === false
+      ? `<span class="tag">#${escapeHtml(tag)}</span>`
+      : `<a class="tag" href="/gallery?${new URLSearchParams({ tag })}">#${escapeHtml(tag)}</a>`)
+    .join('');
+  return `
+            <li>
+                <a href="/${item.id}">${escapeHtml(item.title)}</a>
+                <div class="meta">${details.join(' · ')}</div>
+                ${snippet ? `<p class="snippet">${snippet}</p>` : ''}
+                ${tags ? `<div>${tags}</div>` : ''}
+            </li>`;
+}
+
+/**
+ * Generate the search page: the form, then results or a status message
+ */
+function getSearchPage(params, search, status) {
+  const query = params.query || '';
+  let body = '';
+  if (status === 400) {
+    body = `<p class="empty">${escapeHtml(params.error)}</p>`;
+  } else if (status === 429) {
+    body = '<p class="empty">Too many searches. Please try again later.</p>';
+  } else if (search && search.results.length === 0) {
+    body = '<p class="empty">No public conversations match your search.</p>';
+  } else if (search) {
+    const items = search.results.map(result => listItemHtml(result, result.snippet)).join('');
+    const pages = [];
+    if (params.offset > 0) {
+      pages.push(`<a href="/search?${new URLSearchParams({ q: query, offset: Math.max(params.offset - params.limit, 0) })}">← Previous</a>`);
+    }
+    if (params.offset + params.limit < search.total) {
+      pages.push(`<a href="/search?${new URLSearchParams({ q: query, offset: params.offset + params.limit })}">Next →</a>`);
+    }
+    body = `
+        <p class="count">${search.total} result${search.total === 1 ? '' : 's'}</p>
+        <ul class="results">${items}
+        </ul>
+        <div class="more">${pages.join(' · ')}</div>`;
+  }
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${query ? `${escapeHtml(query)} - ` : ''}Search - ShareGPT</title>
+    <style>${LIST_PAGE_STYLES}    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>Search</h1>
+        <p class="subtitle">Conversations shared publicly · <a href="/">Share one</a></p>
         
-        @media (max-width: 768px) {
-            body {
-                padding: 10px;
-            }
-            
-            .container {
-                border-radius: 0;
-                max-width: 90vw;
-            }
-            
-            .share-info {
-                flex-direction: column;
-                gap: 10px;
-            }
-        }
-    </style>
-    <link rel="stylesheet" href="https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11.8.0/build/styles/github-dark.min.css">
-    <script src="https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11.8.0/build/highlight.min.js"></script>
+        <form action="/search" method="get" role="search">
+            <input type="search" name="q" value="${escapeHtml(query)}" maxlength="200" placeholder="Search public conversations..." autofocus>
+            <button type="submit" class="btn">Search</button>
+        </form>
+        ${body}
+    </div>
+</body>
+</html>
+  `;
+}
+/**
+ * Generate the gallery page: recent public shares, optionally for one tag
+ */
+function getGalleryPage(params, gallery) {
+  let body = '';
+  if (params.error) {
+    body = `<p class="empty">${escapeHtml(params.error)}</p>`;
+  } else if (gallery.conversations.length === 0) {
+    body = '<p class="empty">No public conversations yet.</p>';
+  } else {
+    const more = gallery.cursor
+      ? `<a href="/gallery?${new URLSearchParams({ ...(params.tag ? { tag: params.tag } : {}), cursor: gallery.cursor })}">More →</a>`
+      : '';
+    body = `
+        <ul class="results">${gallery.conversations.map(item => listItemHtml(item)).join('')}
+        </ul>
+        <div class="more">${more}</div>`;
+  }
+  const heading = params.tag ? `#${escapeHtml(params.tag)}` : 'Gallery';
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${heading} - ShareGPT</title>
+    <style>${LIST_PAGE_STYLES}    </style>
 </head>
 <body>
     <div class="container">
-        <div class="header">
-            <h1>Shared Conversation</h1>
-            <p>Conversation ID: ${conversationData.id}</p>
-        </div>
-        
-        <div class="conversation">
-            ${messagesHtml}
-        </div>
-        
-        <div class="footer">
-            <div class="share-info">
-                <span>Created: ${new Date(metadata.created).toLocaleString()}</span>
-                <button class="copy-btn" onclick="copyUrl()">Copy Share URL</button>
-            </div>
-            <div>
-                ${messages.length} messages • ${Math.round(metadata.size / 1024)}KB
-            </div>
-        </div>
+        <h1>${heading}</h1>
+        <p class="subtitle">Recent public conversations${params.tag ? ' · <a href="/gallery">All tags</a>' : ''} · <a href="/search">Search</a> · <a href="/">Share one</a></p>
+        ${body}
     </div>
-    
-    <script>
-        function copyUrl() {
-            navigator.clipboard.writeText(window.location.href).then(() => {
-                const btn = document.querySelector('.copy-btn');
-                const original = btn.textContent;
-                btn.textContent = 'Copied!';
-                setTimeout(() => btn.textContent = original, 2000);
-            });
-        }
-        
-        // Initialize highlight.js and add copy buttons
-        document.addEventListener('DOMContentLoaded', function() {
-            // Highlight all code blocks
-            hljs.highlightAll();
-            
-            // Add copy buttons to all pre blocks
-            document.querySelectorAll('pre').forEach(pre => {
-                const btn = document.createElement('button');
-                btn.className = 'code-copy-btn';
-                btn.textContent = 'Copy';
-                btn.addEventListener('click', () => {
-                    const code = pre.innerText;
-                    navigator.clipboard.writeText(code).then(() => {
-                        btn.classList.add('copied');
-                        btn.textContent = 'Copied!';
-                        setTimeout(() => {
-                            btn.classList.remove('copied');
-                            btn.textContent = 'Copy';
-                        }, 2000);
-                    }).catch(err => {
-                        console.error('Failed to copy: ', err);
-                    });
-                });
-                pre.appendChild(btn);
-            });
-        });
-    </script>
 </body>
 </html>
   `;
 }
 
 /**
- * Generate upload form HTML
+ * Generate a collection page: title, description and its shares in order
  */
-function getUploadForm() {
+function getCollectionPage(collection, items, url) {
+  const body = items.length === 0
+    ? '<p class="empty">The conversations in this collection are no longer available.</p>'
+    : `<ul class="results">${items.map(item => listItemHtml(item)).join('')}
+        </ul>`;
+
   return `
 <!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>ShareGPT - Share Your Conversations</title>
+    <title>${escapeHtml(collection.title)} - ShareGPT</title>
+    ${pageMetaTags({
+      title: collection.title,
+      description: collection.description || `A collection of ${items.length} shared conversations`,
+      url: url
+    })}
+    <style>${LIST_PAGE_STYLES}    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>${escapeHtml(collection.title)}</h1>
+        <p class="subtitle">Collection · ${items.length} conversation${items.length === 1 ? '' : 's'} · <a href="/gallery">Gallery</a></p>
+        ${collection.description ? `<p class="description">${escapeHtml(collection.description)}</p>` : ''}
+        ${body}
+    </div>
+</body>
+</html>
+  `;
+}
+
+
+
+/**
+ * Generate the fork editor: the source's messages as reorderable, editable cards
+ */
+function getForkEditor(conversationData, messages, nonce) {
+  const { metadata } = conversationData.content;
+  const title = getConversationTitle(conversationData);
+  // Embedded as data rather than markup; escaping < keeps message text from closing the script
+  const data = JSON.stringify({ id: conversationData.id, messages: messages }).replace(/</g, '\\u003c');
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Fork: ${escapeHtml(title)} - ShareGPT</title>
     <style>
         * {
             margin: 0;
@@ -933,266 +7327,267 @@ function getUploadForm() {
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
             line-height: 1.6;
             color: #333;
-            background: linear-gradient(135deg, #2563eb 0%, #7c3aed 100%);
-            min-height: 100vh;
+            background: #f5f5f5;
             padding: 20px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
         }
         
         .container {
+            max-width: 800px;
+            margin: 0 auto;
             background: white;
-            padding: 40px;
-            border-radius: 12px;
-            box-shadow: 0 10px 30px rgba(0,0,0,0.2);
-            width: 100%;
-            max-width: 500px;
+            border-radius: 8px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            padding: 30px;
         }
         
         h1 {
-            text-align: center;
-            margin-bottom: 10px;
             color: #2563eb;
+            margin-bottom: 4px;
         }
         
         .subtitle {
-            text-align: center;
             color: #6b7280;
-            margin-bottom: 30px;
+            margin-bottom: 20px;
+        }
+        
+        .subtitle a {
+            color: #2563eb;
         }
         
         .form-group {
-            margin-bottom: 20px;
+            margin-bottom: 16px;
         }
         
         label {
             display: block;
-            margin-bottom: 8px;
+            margin-bottom: 6px;
             font-weight: 500;
         }
         
+        .checkbox-label {
+            font-weight: normal;
+        }
+        
+        input[type="text"],
+        select,
         textarea {
             width: 100%;
-            min-height: 200px;
-            padding: 12px;
+            padding: 8px;
             border: 2px solid #e5e7eb;
             border-radius: 6px;
             font-family: inherit;
             font-size: 14px;
-            resize: vertical;
         }
         
-        textarea:focus {
-            outline: none;
-            border-color: #2563eb;
-        }
-        
-        .submit-btn {
-            width: 100%;
-            background: #2563eb;
-            color: white;
-            border: none;
+        .message {
+            border: 1px solid #e5e7eb;
+            border-left: 4px solid #ddd;
+            border-radius: 8px;
             padding: 12px;
-            border-radius: 6px;
-            font-size: 16px;
-            font-weight: 500;
-            cursor: pointer;
-            transition: background 0.2s;
-        }
-        
-        .submit-btn:hover {
-            background: #1d4ed8;
+            margin-bottom: 12px;
         }
         
-        .submit-btn:disabled {
-            background: #9ca3af;
-            cursor: not-allowed;
+        .message-toolbar {
+            display: flex;
+            gap: 8px;
+            margin-bottom: 8px;
         }
         
-        .result {
-            margin-top: 20px;
-            padding: 15px;
-            border-radius: 6px;
-            display: none;
+        .message-toolbar select {
+            width: auto;
         }
         
-        .result.success {
-            background: #ecfdf5;
-            border: 1px solid #10b981;
-            color: #065f46;
+        .message-toolbar .name {
+            flex: 1;
         }
         
-        .result.error {
-            background: #fef2f2;
-            border: 1px solid #ef4444;
-            color: #991b1b;
+        .message-toolbar button {
+            background: #f3f4f6;
+            border: 1px solid #e5e7eb;
+            border-radius: 4px;
+            padding: 0 10px;
+            cursor: pointer;
         }
         
-        .share-url {
-            background: #f9fafb;
-            padding: 10px;
-            border-radius: 4px;
-            margin-top: 10px;
+        .message textarea {
+            min-height: 100px;
+            resize: vertical;
             font-family: monospace;
-            word-break: break-all;
         }
         
-        .copy-btn {
-            background: #10b981;
-            color: white;
-            border: none;
-            padding: 6px 12px;
-            border-radius: 4px;
+        .add-btn {
+            background: none;
+            border: 2px dashed #d1d5db;
+            border-radius: 8px;
+            color: #6b7280;
             cursor: pointer;
-            font-size: 12px;
-            margin-top: 8px;
-        }
-        
-        .instructions {
-            background: #f0f9ff;
-            padding: 15px;
-            border-radius: 6px;
+            padding: 10px;
+            width: 100%;
             margin-bottom: 20px;
-            font-size: 14px;
-        }
-        
-        .instructions h3 {
-            margin-bottom: 8px;
-            color: #2563eb;
-        }
-        
-        .instructions ul {
-            margin-left: 20px;
         }
         
-        .instructions li {
-            margin-bottom: 4px;
-        }
-        /* ===== 新增：highlight.js Dark Theme ===== */
-        .hljs {
-          display: block;
-          overflow-x: auto;
-          padding: 0.75rem;
-          border-radius: 0.25rem;
-          color: #cdd9e5;
-          background: #000;
-        }
-        .hljs-comment,
-        .hljs-punctuation {
-          color: #768390;
-        }
-        .hljs-attr,
-        .hljs-attribute,
-        .hljs-meta,
-        .hljs-selector-attr,
-        .hljs-selector-class,
-        .hljs-selector-id {
-          color: #6cb6ff;
-        }
-        .hljs-variable,
-        .hljs-literal,
-        .hljs-number,
-        .hljs-doctag {
-          color: #f69d50;
-        }
-        .hljs-params { color: #cdd9e5; }
-        .hljs-function { color: #dcbdfb; }
-        .hljs-class,
-        .hljs-tag,
-        .hljs-title,
-        .hljs-built_in { color: #8ddb8c; }
-        .hljs-keyword,
-        .hljs-type,
-        .hljs-builtin-name,
-        .hljs-meta-keyword,
-        .hljs-template-tag,
-        .hljs-template-variable { color: #f47067; }
-        .hljs-string,
-        .hljs-undefined,
-        .hljs-regexp { color: #96d0ff; }
-        .hljs-symbol { color: #6cb6ff; }
-        .hljs-bullet { color: #f69d50; }
-        .hljs-section { color: #6cb6ff; font-weight: bold; }
-        .hljs-quote,
-        .hljs-name,
-        .hljs-selector-tag,
-        .hljs-selector-pseudo { color: #8ddb8c; }
-        .hljs-emphasis { color: #f69d50; font-style: italic; }
-        .hljs-strong { color: #f69d50; font-weight: bold; }
-        .hljs-deletion { color: #ff938a; background-color: #78191b; }
-        .hljs-addition { color: #8ddb8c; background-color: #113417; }
-        .hljs-link { color: #96d0ff; font-style: underline; }
-            /* 額外：讓 <pre> 區塊拉滿寬、橫向捲動時隱藏底部捲軸 */
-    pre {
-      margin: 1rem 0;
-      overflow: auto;
-      margin: 1rem 0;            /* Firefox */
-    }
-        /* 捲軸美化（可省略） */
-        pre::-webkit-scrollbar {
-            width: 8px;
-            height: 8px;
+        .submit-btn {
+            width: 100%;
+            background: #2563eb;
+            color: white;
+            border: none;
+            padding: 12px;
+            border-radius: 6px;
+            font-size: 16px;
+            font-weight: 500;
+            cursor: pointer;
         }
-        pre::-webkit-scrollbar-thumb {
-            background: rgba(0,0,0,0.3);
+        
+        .submit-btn:disabled {
+            background: #9ca3af;
+            cursor: not-allowed;
+        }
+        
+        .result {
+            margin-top: 20px;
+            padding: 15px;
+            border-radius: 6px;
+            display: none;
+        }
+        
+        .result.success {
+            background: #ecfdf5;
+            border: 1px solid #10b981;
+            color: #065f46;
+        }
+        
+        .result.error {
+            background: #fef2f2;
+            border: 1px solid #ef4444;
+            color: #991b1b;
+        }
+        
+        .share-url {
+            background: #f9fafb;
+            padding: 10px;
             border-radius: 4px;
+            margin-top: 10px;
+            font-family: monospace;
+            word-break: break-all;
         }
-        pre::-webkit-scrollbar-track {
-            background: transparent;
+        
+        .token-note {
+            margin-top: 12px;
+            font-size: 13px;
+        }
+        
+        .result a {
+            color: inherit;
         }
     </style>
-    <script src="https://cdn.jsdelivr.net/npm/highlight.js@11.8.0/build/common.min.js"></script>
 </head>
 <body>
     <div class="container">
-        <h1>ShareGPT</h1>
-        <p class="subtitle">Share your AI conversations easily</p>
-        
-        <div class="instructions">
-            <h3>How to use:</h3>
-            <ul>
-                <li>Copy and paste your chat conversation HTML</li>
-                <li>Or paste the raw conversation text</li>
-                <li>Click "Share Conversation" to get a shareable link</li>
-                <li>Share the link with others to show your conversation</li>
-            </ul>
-        </div>
+        <h1>Fork conversation</h1>
+        <p class="subtitle">Edit, reorder or delete messages from <a href="/${conversationData.id}">${escapeHtml(title)}</a>, then save them as a new share. Messages are Markdown.</p>
         
-        <form id="shareForm">
+        <form id="forkForm">
             <div class="form-group">
-                <label for="content">Conversation Content:</label>
-                <textarea 
-                    id="content" 
-                    name="content" 
-                    placeholder="Paste your conversation HTML or text here..."
-                    required
-                ></textarea>
+                <label for="title">Title:</label>
+                <input type="text" id="title" maxlength="200" value="${escapeHtml(title)}">
             </div>
             
-            <button type="submit" class="submit-btn">Share Conversation</button>
+            <div class="form-group">
+                <label for="tags">Tags (optional, comma separated):</label>
+                <input type="text" id="tags" value="${escapeHtml((metadata.tags || []).join(', '))}">
+            </div>
+            
+            <div id="messages"></div>
+            <button type="button" class="add-btn" id="addMessage">+ Add message</button>
+            
+            <div class="form-group">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="linkBack" checked>
+                    Link back to the original (the original lists it only if you own both)
+                </label>
+            </div>
+            
+            <button type="submit" class="submit-btn">Save as New Share</button>
         </form>
         
         <div id="result" class="result"></div>
     </div>
     
-    <script>
-        document.getElementById('shareForm').addEventListener('submit', async (e) => {
+    <template id="messageTemplate">
+        <div class="message">
+            <div class="message-toolbar">
+                <select class="role" aria-label="Role">
+                    <option value="user">User</option>
+                    <option value="assistant">Assistant</option>
+                    <option value="system">System</option>
+                    <option value="tool">Tool result</option>
+                </select>
+                <input type="text" class="name" placeholder="Speaker or tool name (optional)" aria-label="Name">
+                <button type="button" data-action="up" title="Move up">↑</button>
+                <button type="button" data-action="down" title="Move down">↓</button>
+                <button type="button" data-action="remove" title="Delete">✕</button>
+            </div>
+            <textarea class="content" aria-label="Message"></textarea>
+        </div>
+    </template>
+    
+    <script type="application/json" id="forkData">${data}</script>
+    <script nonce="${nonce}">
+        const source = JSON.parse(document.getElementById('forkData').textContent);
+        const list = document.getElementById('messages');
+        const template = document.getElementById('messageTemplate');
+        
+        function addMessage(message) {
+            const item = template.content.firstElementChild.cloneNode(true);
+            item.querySelector('.role').value = message.role;
+            item.querySelector('.name').value = message.name || '';
+            item.querySelector('.content').value = message.content;
+            list.appendChild(item);
+            return item;
+        }
+        
+        source.messages.forEach(addMessage);
+        
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('.message');
+            switch (e.target.dataset.action) {
+                case 'up':
+                    if (item.previousElementSibling) list.insertBefore(item, item.previousElementSibling);
+                    break;
+                case 'down':
+                    if (item.nextElementSibling) list.insertBefore(item.nextElementSibling, item);
+                    break;
+                case 'remove':
+                    item.remove();
+                    break;
+            }
+        });
+        
+        document.getElementById('addMessage').addEventListener('click', () => {
+            addMessage({ role: 'user', content: '' }).querySelector('.content').focus();
+        });
+        
+        document.getElementById('forkForm').addEventListener('submit', async (e) => {
             e.preventDefault();
             
-            const content = document.getElementById('content').value;
-            const submitBtn = document.querySelector('.submit-btn');
-            const result = document.getElementById('result');
+            const messages = [...list.querySelectorAll('.message')].map(item => {
+                const message = {
+                    role: item.querySelector('.role').value,
+                    content: item.querySelector('.content').value
+                };
+                const name = item.querySelector('.name').value.trim();
+                if (name) message.name = name;
+                return message;
+            }).filter(message => message.content.trim());
             
-            if (!content.trim()) {
-                showResult('Please enter some content to share.', 'error');
+            if (messages.length === 0) {
+                showResult('Keep at least one message.', 'error');
                 return;
             }
             
-            // Show loading state
+            const submitBtn = document.querySelector('.submit-btn');
             submitBtn.disabled = true;
-            submitBtn.textContent = 'Creating share link...';
-            result.style.display = 'none';
+            submitBtn.textContent = 'Saving...';
             
             try {
                 const response = await fetch('/', {
@@ -1200,7 +7595,12 @@ function getUploadForm() {
                     headers: {
                         'Content-Type': 'application/json',
                     },
-                    body: JSON.stringify({ html: content })
+                    body: JSON.stringify({
+                        messages: messages,
+                        title: document.getElementById('title').value || undefined,
+                        tags: document.getElementById('tags').value.split(',').map(tag => tag.trim()).filter(Boolean),
+                        forkedFrom: document.getElementById('linkBack').checked ? source.id : undefined
+                    })
                 });
                 
                 if (!response.ok) {
@@ -1208,24 +7608,17 @@ function getUploadForm() {
                 }
                 
                 const data = await response.json();
-                
-                if (data.success) {
-                    showResult(
-                        'Conversation shared successfully!' +
-                        '<div class="share-url">' + data.url + '</div>' +
-                        '<button class="copy-btn" onclick="copyToClipboard(\'' + data.url + '\')">Copy Link</button>',
-                        'success'
-                    );
-                    document.getElementById('content').value = '';
-                } else {
-                    throw new Error('Failed to create share link');
-                }
-                
+                showResult(
+                    'Fork saved: <a href="' + data.url + '">' + data.url + '</a>' +
+                    '<p class="token-note">Management token (needed to edit or delete this share, keep it secret):</p>' +
+                    '<div class="share-url">' + data.token + '</div>',
+                    'success'
+                );
             } catch (error) {
                 showResult('Error: ' + error.message, 'error');
             } finally {
                 submitBtn.disabled = false;
-                submitBtn.textContent = 'Share Conversation';
+                submitBtn.textContent = 'Save as New Share';
             }
         });
         
@@ -1235,20 +7628,181 @@ function getUploadForm() {
             result.className = 'result ' + type;
             result.style.display = 'block';
         }
+    </script>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Generate password unlock form HTML for a protected conversation
+ */
+function getUnlockForm(id, rawMode, error = '', range = null) {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Protected Conversation - ${id}</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
         
-        function copyToClipboard(text) {
-            navigator.clipboard.writeText(text).then(() => {
-                const btn = event.target;
-                const original = btn.textContent;
-                btn.textContent = 'Copied!';
-                setTimeout(() => btn.textContent = original, 2000);
-            });
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            background: linear-gradient(135deg, #2563eb 0%, #7c3aed 100%);
+            min-height: 100vh;
+            padding: 20px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
         }
-    </script>
-      <!-- ===== 啟動 highlight.js ===== -->
-  <script>
-    document.querySelectorAll('code.hljs').forEach(el => hljs.highlightElement(el));
-  </script>
+        
+        .container {
+            background: white;
+            padding: 40px;
+            border-radius: 12px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.2);
+            width: 100%;
+            max-width: 400px;
+        }
+        
+        h1 {
+            text-align: center;
+            margin-bottom: 10px;
+            color: #2563eb;
+        }
+        
+        .subtitle {
+            text-align: center;
+            color: #6b7280;
+            margin-bottom: 30px;
+        }
+        
+        input[type="password"] {
+            width: 100%;
+            padding: 12px;
+            border: 2px solid #e5e7eb;
+            border-radius: 6px;
+            font-family: inherit;
+            font-size: 14px;
+            margin-bottom: 20px;
+        }
+        
+        input[type="password"]:focus {
+            outline: none;
+            border-color: #2563eb;
+        }
+        
+        .submit-btn {
+            width: 100%;
+            background: #2563eb;
+            color: white;
+            border: none;
+            padding: 12px;
+            border-radius: 6px;
+            font-size: 16px;
+            font-weight: 500;
+            cursor: pointer;
+        }
+        
+        .submit-btn:hover {
+            background: #1d4ed8;
+        }
+        
+        .error {
+            margin-bottom: 20px;
+            padding: 10px;
+            border-radius: 6px;
+            background: #fef2f2;
+            border: 1px solid #ef4444;
+            color: #991b1b;
+            text-align: center;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>Protected</h1>
+        <p class="subtitle">This conversation is password protected</p>
+        ${error ? `<div class="error">${error}</div>` : ''}
+        <form method="POST" action="/${id}/unlock">
+            <input type="hidden" name="raw" value="${rawMode ? '1' : '0'}">
+            ${range ? `<input type="hidden" name="range" value="${messageRangePath(range)}">` : ''}
+            <input type="password" name="password" placeholder="Password" required autofocus>
+            <button type="submit" class="submit-btn">Unlock</button>
+        </form>
+    </div>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Generate the raw view page: the submitted HTML is framed in a sandboxed iframe
+ */
+function getRawViewerHtml(id, src, meta) {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(meta.title)} - ShareGPT</title>
+    ${pageMetaTags(meta)}
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        html, body {
+            height: 100%;
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            display: flex;
+            flex-direction: column;
+            background: #f5f5f5;
+        }
+        
+        .header {
+            background: #2563eb;
+            color: white;
+            padding: 10px 20px;
+            font-size: 14px;
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+        }
+        
+        .header a {
+            color: white;
+        }
+        
+        iframe {
+            flex: 1;
+            width: 100%;
+            border: none;
+            background: white;
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <span>Raw view of ${id} &middot; scripts and forms are disabled</span>
+        <a href="/${id}">Formatted view</a>
+    </div>
+    <iframe sandbox src="${src}" title="Raw conversation ${id}" referrerpolicy="no-referrer"></iframe>
 </body>
 </html>
   `;